@@ -1,11 +1,24 @@
 import { TILES } from '../shared/tiles.js';
-import { Genome, Population, Bot } from '../shared/genome.js';
-import { LEVELS } from './levels.js';
-import { getTierForDNA, getTierInfo, getNextTierInfo } from '../shared/gene-registry.js';
-import { advanceEntities, checkEntityCollision, cloneEntities } from '../shared/entities.js';
+import { Genome, Bot, SPECIES_PROTECTION } from '../shared/genome.js';
+import { TIER_THRESHOLDS, getTierForDNA, getTierInfo, getNextTierInfo, conformityStance } from '../shared/gene-registry.js';
+import { MECHANICS, getMechanicForTile, getMechanicForEntity } from '../shared/mechanic-registry.js';
+import { cloneEntities } from '../shared/entities.js';
+import { createBoard, step, boxesPlaced, isSolved } from '../shared/rules.js';
+import { solve } from '../shared/solver.js';
+import { loadSave, writeSave, clearSave } from './storage.js';
+import { levelToXSB } from '../shared/xsb.js';
+import { tutorialCollection, loadCollection, recordBest, levelKey } from './library.js';
+import { fossilizeRun, fossilLevels } from './museum.js';
+import { Archipelago } from '../shared/islands.js';
+import { EliteArchive, ARCHIVE_DIMENSIONS, ARCHIVE_DIMENSION_MAP, binIndex } from '../shared/elite-archive.js';
 
 // Game constants
 const MAX_CANVAS = 600;
+const HINT_MAX_STATES = 30000;   // solver budget for in-game hints
+const PLAYBACK_DELAY = 140;      // ms between moves during hint/solution playback
+const PULL_HOLD_MS = 350;        // touch held this long before a swipe pulls
+
+const MAX_ISLANDS = 4;
 
 const PHASES = Object.freeze({
     CHOOSE: 'CHOOSE',
@@ -35,16 +48,39 @@ function fillRoundedRect(ctx, x, y, w, h, r) {
     ctx.fill();
 }
 
-// --- Gate helper ---
+// --- Metrics formatting ---
 
-function _gateAllowsEntry(gateTile, dx, dy) {
-    switch (gateTile) {
-        case TILES.GATE_UP:    return dy === -1; // moving up (entering from below)
-        case TILES.GATE_DOWN:  return dy === 1;  // moving down (entering from above)
-        case TILES.GATE_LEFT:  return dx === -1; // moving left (entering from right)
-        case TILES.GATE_RIGHT: return dx === 1;  // moving right (entering from left)
-        default: return true;
-    }
+function pct(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
+
+// "≤" marks a solution that isn't known to be the shortest
+function bound(m) {
+    return m.optimal ? '' : '≤';
+}
+
+// One-line summary for comparison cards
+function formatMetrics(m) {
+    const solution = m.solved
+        ? `${bound(m)}${m.minPushes} pushes · ${bound(m)}${m.moves} moves`
+        : 'unsolved in budget';
+    return `${solution} · ${m.statesExplored} states`;
+}
+
+// Full breakdown (card tooltip)
+function formatMetricsDetail(m) {
+    return [
+        !m.solved ? 'Min pushes: unknown (solver budget exceeded)'
+            : m.optimal ? `Min pushes: ${m.minPushes}`
+            : `Min pushes: ≤${m.minPushes} (a known solution; shortest beyond solver budget)`,
+        m.solved ? `Moves: ${bound(m)}${m.moves}` : 'Moves: unknown',
+        `States explored: ${m.statesExplored}`,
+        `Dead ends: ${pct(m.deadEndRatio)} of floor`,
+        `Box–target distance: ${m.boxTargetDistance.toFixed(1)}`,
+        m.overlayCount === 0 ? 'Overlays: none placed'
+            : m.overlayPathRatio === null ? `Overlays: ${m.overlayCount} (path unknown)`
+            : `Overlays on solution path: ${pct(m.overlayPathRatio)} of ${m.overlayCount}`
+    ].join('\n');
 }
 
 // --- Theme resolution ---
@@ -115,383 +151,6 @@ export function resolveVisualTheme(genome) {
     };
 }
 
-// --- Overlay drawing helpers ---
-
-function drawCollectible(ctx, cx, cy, tileSize) {
-    const r = tileSize * 0.2;
-
-    // Glow
-    ctx.save();
-    ctx.globalAlpha = 0.25;
-    ctx.fillStyle = '#00e5ff';
-    ctx.beginPath();
-    ctx.arc(cx, cy, r * 2, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-
-    // Diamond shape
-    ctx.fillStyle = '#00e5ff';
-    ctx.beginPath();
-    ctx.moveTo(cx, cy - r);
-    ctx.lineTo(cx + r * 0.7, cy);
-    ctx.lineTo(cx, cy + r);
-    ctx.lineTo(cx - r * 0.7, cy);
-    ctx.closePath();
-    ctx.fill();
-
-    // Inner highlight
-    ctx.save();
-    ctx.globalAlpha = 0.5;
-    ctx.fillStyle = '#ffffff';
-    ctx.beginPath();
-    ctx.moveTo(cx, cy - r * 0.4);
-    ctx.lineTo(cx + r * 0.25, cy);
-    ctx.lineTo(cx, cy + r * 0.15);
-    ctx.lineTo(cx - r * 0.25, cy);
-    ctx.closePath();
-    ctx.fill();
-    ctx.restore();
-}
-
-function drawIce(ctx, px, py, tileSize) {
-    // Semi-transparent blue overlay
-    ctx.save();
-    ctx.globalAlpha = 0.2;
-    ctx.fillStyle = '#88ccff';
-    ctx.fillRect(px, py, tileSize, tileSize);
-    ctx.restore();
-
-    // Subtle diagonal lines
-    ctx.save();
-    ctx.globalAlpha = 0.12;
-    ctx.strokeStyle = '#ffffff';
-    ctx.lineWidth = 1;
-    const step = Math.max(3, tileSize / 4);
-    for (let i = 0; i < tileSize * 2; i += step) {
-        ctx.beginPath();
-        ctx.moveTo(px + i, py);
-        ctx.lineTo(px + i - tileSize, py + tileSize);
-        ctx.stroke();
-    }
-    ctx.restore();
-
-    // Small sparkle dots
-    ctx.save();
-    ctx.globalAlpha = 0.3;
-    ctx.fillStyle = '#ccefff';
-    const dotR = Math.max(1, tileSize * 0.03);
-    ctx.beginPath(); ctx.arc(px + tileSize * 0.25, py + tileSize * 0.3, dotR, 0, Math.PI * 2); ctx.fill();
-    ctx.beginPath(); ctx.arc(px + tileSize * 0.7, py + tileSize * 0.6, dotR, 0, Math.PI * 2); ctx.fill();
-    ctx.beginPath(); ctx.arc(px + tileSize * 0.45, py + tileSize * 0.8, dotR, 0, Math.PI * 2); ctx.fill();
-    ctx.restore();
-}
-
-function drawSpikes(ctx, px, py, tileSize, active) {
-    const cx = px + tileSize / 2;
-    const cy = py + tileSize / 2;
-    const r = tileSize * 0.35;
-
-    // Background tint
-    ctx.save();
-    ctx.globalAlpha = active ? 0.15 : 0.05;
-    ctx.fillStyle = active ? '#ff4444' : '#888888';
-    ctx.fillRect(px, py, tileSize, tileSize);
-    ctx.restore();
-
-    // Draw 5 triangular spikes
-    const color = active ? '#ff4444' : '#666666';
-    const alpha = active ? 0.9 : 0.35;
-    ctx.save();
-    ctx.globalAlpha = alpha;
-    ctx.fillStyle = color;
-    const spikeH = r * 0.7;
-    const spikeW = r * 0.3;
-    const positions = [
-        [cx, cy - r * 0.5],
-        [cx - r * 0.45, cy - r * 0.15],
-        [cx + r * 0.45, cy - r * 0.15],
-        [cx - r * 0.25, cy + r * 0.35],
-        [cx + r * 0.25, cy + r * 0.35]
-    ];
-    for (const [sx, sy] of positions) {
-        ctx.beginPath();
-        ctx.moveTo(sx, sy - spikeH);
-        ctx.lineTo(sx + spikeW, sy);
-        ctx.lineTo(sx - spikeW, sy);
-        ctx.closePath();
-        ctx.fill();
-    }
-    ctx.restore();
-}
-
-function drawPatrolEnemy(ctx, x, y, dx, dy, tileSize) {
-    const px = x * tileSize;
-    const py = y * tileSize;
-    const cx = px + tileSize / 2;
-    const cy = py + tileSize / 2;
-    const r = tileSize * 0.35;
-
-    // Semi-transparent background tint
-    ctx.save();
-    ctx.globalAlpha = 0.12;
-    ctx.fillStyle = '#ff6600';
-    ctx.fillRect(px, py, tileSize, tileSize);
-    ctx.restore();
-
-    // Directional triangle pointing in movement direction
-    ctx.save();
-    ctx.fillStyle = '#ff4422';
-    ctx.globalAlpha = 0.9;
-
-    ctx.beginPath();
-    if (dx === 1) {
-        // Right
-        ctx.moveTo(cx + r, cy);
-        ctx.lineTo(cx - r * 0.6, cy - r * 0.7);
-        ctx.lineTo(cx - r * 0.6, cy + r * 0.7);
-    } else if (dx === -1) {
-        // Left
-        ctx.moveTo(cx - r, cy);
-        ctx.lineTo(cx + r * 0.6, cy - r * 0.7);
-        ctx.lineTo(cx + r * 0.6, cy + r * 0.7);
-    } else if (dy === 1) {
-        // Down
-        ctx.moveTo(cx, cy + r);
-        ctx.lineTo(cx - r * 0.7, cy - r * 0.6);
-        ctx.lineTo(cx + r * 0.7, cy - r * 0.6);
-    } else {
-        // Up
-        ctx.moveTo(cx, cy - r);
-        ctx.lineTo(cx - r * 0.7, cy + r * 0.6);
-        ctx.lineTo(cx + r * 0.7, cy + r * 0.6);
-    }
-    ctx.closePath();
-    ctx.fill();
-
-    // Bright outline
-    ctx.strokeStyle = '#ff8844';
-    ctx.lineWidth = Math.max(1, tileSize * 0.04);
-    ctx.stroke();
-    ctx.restore();
-
-    // Inner eye dot
-    ctx.save();
-    ctx.fillStyle = '#ffcc00';
-    ctx.beginPath();
-    ctx.arc(cx + dx * r * 0.15, cy + dy * r * 0.15, Math.max(1, tileSize * 0.06), 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-}
-
-function drawTeleporter(ctx, cx, cy, tileSize, pairIndex) {
-    const r = tileSize * 0.35;
-    const hues = [300, 180, 45]; // magenta, cyan, gold
-    const hue = hues[pairIndex % hues.length];
-    const color = `hsl(${hue}, 80%, 60%)`;
-
-    // Outer glow
-    ctx.save();
-    ctx.globalAlpha = 0.15;
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(cx, cy, r * 1.6, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-
-    // Outer ring
-    ctx.strokeStyle = color;
-    ctx.lineWidth = Math.max(2, tileSize * 0.06);
-    ctx.beginPath();
-    ctx.arc(cx, cy, r, 0, Math.PI * 2);
-    ctx.stroke();
-
-    // Inner ring (smaller, offset for depth)
-    ctx.save();
-    ctx.globalAlpha = 0.6;
-    ctx.strokeStyle = color;
-    ctx.lineWidth = Math.max(1, tileSize * 0.04);
-    ctx.beginPath();
-    ctx.arc(cx, cy, r * 0.6, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.restore();
-
-    // Core dot
-    ctx.save();
-    ctx.globalAlpha = 0.8;
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(cx, cy, r * 0.2, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-}
-
-function drawGate(ctx, px, py, tileSize, gateTile) {
-    // Semi-transparent amber background tint
-    ctx.save();
-    ctx.globalAlpha = 0.18;
-    ctx.fillStyle = '#ffcc00';
-    ctx.fillRect(px, py, tileSize, tileSize);
-    ctx.restore();
-
-    // Draw arrow/chevron pointing in allowed direction
-    const cx = px + tileSize / 2;
-    const cy = py + tileSize / 2;
-    const ar = tileSize * 0.3;
-
-    ctx.save();
-    ctx.globalAlpha = 0.7;
-    ctx.strokeStyle = '#ffcc00';
-    ctx.lineWidth = Math.max(2, tileSize * 0.08);
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-
-    ctx.beginPath();
-    switch (gateTile) {
-        case TILES.GATE_UP:
-            ctx.moveTo(cx - ar * 0.7, cy + ar * 0.3);
-            ctx.lineTo(cx, cy - ar * 0.5);
-            ctx.lineTo(cx + ar * 0.7, cy + ar * 0.3);
-            break;
-        case TILES.GATE_DOWN:
-            ctx.moveTo(cx - ar * 0.7, cy - ar * 0.3);
-            ctx.lineTo(cx, cy + ar * 0.5);
-            ctx.lineTo(cx + ar * 0.7, cy - ar * 0.3);
-            break;
-        case TILES.GATE_LEFT:
-            ctx.moveTo(cx + ar * 0.3, cy - ar * 0.7);
-            ctx.lineTo(cx - ar * 0.5, cy);
-            ctx.lineTo(cx + ar * 0.3, cy + ar * 0.7);
-            break;
-        case TILES.GATE_RIGHT:
-            ctx.moveTo(cx - ar * 0.3, cy - ar * 0.7);
-            ctx.lineTo(cx + ar * 0.5, cy);
-            ctx.lineTo(cx - ar * 0.3, cy + ar * 0.7);
-            break;
-    }
-    ctx.stroke();
-    ctx.restore();
-}
-
-function drawKey(ctx, cx, cy, tileSize, colorIndex) {
-    const colors = ['#ff4444', '#4488ff'];
-    const color = colors[colorIndex % colors.length];
-    const r = tileSize * 0.2;
-
-    // Glow
-    ctx.save();
-    ctx.globalAlpha = 0.2;
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(cx, cy - r * 0.3, r * 2, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-
-    // Key head (circle)
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(cx, cy - r * 0.4, r * 0.6, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Key head hole
-    ctx.save();
-    ctx.globalAlpha = 0.5;
-    ctx.fillStyle = '#000000';
-    ctx.beginPath();
-    ctx.arc(cx, cy - r * 0.4, r * 0.2, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-
-    // Key shaft
-    ctx.fillStyle = color;
-    ctx.fillRect(cx - r * 0.12, cy, r * 0.24, r * 0.9);
-
-    // Key teeth
-    ctx.fillRect(cx, cy + r * 0.4, r * 0.3, r * 0.15);
-    ctx.fillRect(cx, cy + r * 0.7, r * 0.2, r * 0.15);
-
-    // Sparkle highlight
-    ctx.save();
-    ctx.globalAlpha = 0.6;
-    ctx.fillStyle = '#ffffff';
-    ctx.beginPath();
-    ctx.arc(cx - r * 0.2, cy - r * 0.6, r * 0.12, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-}
-
-function drawDoor(ctx, px, py, tileSize, colorIndex) {
-    const colors = ['#ff4444', '#4488ff'];
-    const color = colors[colorIndex % colors.length];
-
-    // Filled background at low alpha
-    ctx.save();
-    ctx.globalAlpha = 0.25;
-    ctx.fillStyle = color;
-    ctx.fillRect(px, py, tileSize, tileSize);
-    ctx.restore();
-
-    // Barred pattern (vertical bars)
-    ctx.save();
-    ctx.globalAlpha = 0.6;
-    ctx.strokeStyle = color;
-    ctx.lineWidth = Math.max(2, tileSize * 0.06);
-    const barSpacing = tileSize / 5;
-    for (let i = 1; i < 5; i++) {
-        ctx.beginPath();
-        ctx.moveTo(px + i * barSpacing, py + tileSize * 0.1);
-        ctx.lineTo(px + i * barSpacing, py + tileSize * 0.9);
-        ctx.stroke();
-    }
-
-    // Horizontal bars
-    ctx.beginPath();
-    ctx.moveTo(px + tileSize * 0.1, py + tileSize * 0.3);
-    ctx.lineTo(px + tileSize * 0.9, py + tileSize * 0.3);
-    ctx.moveTo(px + tileSize * 0.1, py + tileSize * 0.7);
-    ctx.lineTo(px + tileSize * 0.9, py + tileSize * 0.7);
-    ctx.stroke();
-    ctx.restore();
-}
-
-function drawExit(ctx, cx, cy, tileSize) {
-    const r = tileSize * 0.35;
-
-    // Outer glow
-    ctx.save();
-    ctx.globalAlpha = 0.15;
-    ctx.fillStyle = '#00ff88';
-    ctx.beginPath();
-    ctx.arc(cx, cy, r * 1.6, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-
-    // Portal ring
-    ctx.strokeStyle = '#00ff88';
-    ctx.lineWidth = Math.max(2, tileSize * 0.06);
-    ctx.beginPath();
-    ctx.arc(cx, cy, r, 0, Math.PI * 2);
-    ctx.stroke();
-
-    // Inner fill
-    ctx.save();
-    ctx.globalAlpha = 0.12;
-    ctx.fillStyle = '#00ff88';
-    ctx.beginPath();
-    ctx.arc(cx, cy, r, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
-
-    // Smaller inner ring
-    ctx.save();
-    ctx.globalAlpha = 0.5;
-    ctx.strokeStyle = '#00ff88';
-    ctx.lineWidth = Math.max(1, tileSize * 0.03);
-    ctx.beginPath();
-    ctx.arc(cx, cy, r * 0.55, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.restore();
-}
-
 // --- Standalone grid renderer ---
 
 function renderGrid(ctx, gridWidth, gridHeight, grid, playerX, playerY, theme, maxSize, overlays = null, options = {}) {
@@ -660,62 +319,15 @@ function renderGrid(ctx, gridWidth, gridHeight, grid, playerX, playerY, theme, m
         }
     }
 
-    // Draw overlays (collectibles, ice, exit) on top of floor tiles
+    // Draw overlays on top of floor tiles, each by its mechanic
     if (overlays) {
+        const playerIdx = playerY * gridWidth + playerX;
         for (let y = 0; y < gridHeight; y++) {
             for (let x = 0; x < gridWidth; x++) {
-                const overlay = overlays[y * gridWidth + x];
-                if (overlay === 0) continue;
-
-                const px = x * tileSize;
-                const py = y * tileSize;
-                const cx = px + tileSize / 2;
-                const cy = py + tileSize / 2;
-
-                if (overlay === TILES.COLLECTIBLE) {
-                    drawCollectible(ctx, cx, cy, tileSize);
-                } else if (overlay === TILES.ICE) {
-                    drawIce(ctx, px, py, tileSize);
-                } else if (overlay === TILES.EXIT) {
-                    drawExit(ctx, cx, cy, tileSize);
-                } else if (overlay === TILES.SPIKES) {
-                    drawSpikes(ctx, px, py, tileSize, !!options.spikePhase);
-                } else if (overlay === TILES.TELEPORTER) {
-                    // Look up pair index from teleporterPairs
-                    const idx = y * gridWidth + x;
-                    let pairIdx = 0;
-                    if (options.teleporterPairs) {
-                        for (let pi = 0; pi < options.teleporterPairs.length; pi++) {
-                            if (options.teleporterPairs[pi][0] === idx || options.teleporterPairs[pi][1] === idx) {
-                                pairIdx = pi;
-                                break;
-                            }
-                        }
-                    }
-                    drawTeleporter(ctx, cx, cy, tileSize, pairIdx);
-                } else if (overlay >= TILES.GATE_UP && overlay <= TILES.GATE_LEFT) {
-                    drawGate(ctx, px, py, tileSize, overlay);
-                } else if (overlay === TILES.KEY) {
-                    // Look up color index from keyDoorPairs
-                    const idx = y * gridWidth + x;
-                    let colorIdx = 0;
-                    if (options.keyDoorPairs) {
-                        for (const pair of options.keyDoorPairs) {
-                            if (pair.keyIdx === idx) { colorIdx = pair.colorIndex; break; }
-                        }
-                    }
-                    drawKey(ctx, cx, cy, tileSize, colorIdx);
-                } else if (overlay === TILES.DOOR) {
-                    // Look up color index from keyDoorPairs
-                    const idx = y * gridWidth + x;
-                    let colorIdx = 0;
-                    if (options.keyDoorPairs) {
-                        for (const pair of options.keyDoorPairs) {
-                            if (pair.doorIdx === idx) { colorIdx = pair.colorIndex; break; }
-                        }
-                    }
-                    drawDoor(ctx, px, py, tileSize, colorIdx);
-                }
+                const idx = y * gridWidth + x;
+                const mechanic = getMechanicForTile(overlays[idx]);
+                if (!mechanic) continue;
+                mechanic.draw(ctx, overlays[idx], x * tileSize, y * tileSize, tileSize, { ...options, idx, grid, playerIdx });
             }
         }
     }
@@ -723,7 +335,8 @@ function renderGrid(ctx, gridWidth, gridHeight, grid, playerX, playerY, theme, m
     // Draw entities (patrol enemies)
     if (options.entities) {
         for (const e of options.entities) {
-            drawPatrolEnemy(ctx, e.x, e.y, e.dx, e.dy, tileSize);
+            const mechanic = getMechanicForEntity(e);
+            if (mechanic) mechanic.drawEntity(ctx, e, tileSize);
         }
     }
 
@@ -756,14 +369,28 @@ export class Game {
         // Phase state
         this.phase = PHASES.CHOOSE;
 
-        // Population (tier 1 initially)
-        this.population = new Population(5, 1);
+        // Islands (tier 1 initially); this.population is the one being tended
+        this._resetIslands(1);
         this.generationHistory = [];
         this.lastBreedingReport = null;
 
+        // Fossil record: extinct runs, whose champions may return as wild cards
+        // and which the museum shows (see museum.js)
+        this.fossils = [];
+        this.museumOpen = false;
+        this._museumLevels = new Map(); // diedAt -> regenerated levels, not saved
+
+        // Atlas: MAP-Elites archive of every level this run generated, with
+        // tournament wins as quality (see elite-archive.js)
+        this.atlas = new EliteArchive();
+        this.atlasOpen = false;
+        this.atlasAxes = { x: 'walls', y: 'solution' };
+        this.atlasSelected = null; // archive cell key
+
         // Tournament state
         this.tournamentRound = 0;
         this.roundWinners = [];
+        this.roundWinnerMetrics = [];  // metrics of the chosen level each round
         this.roundSlots = [];
         this.activeLevelIdx = null;  // null=comparison, 0/1/2=playing
         this.tournamentPool = [];    // 15 slot objects
@@ -788,44 +415,95 @@ export class Game {
 
         // Teleporter state
         this.teleporterPairs = [];
-        this._justTeleported = false;
 
         // Key/door state
         this.keyDoorPairs = [];
-        this.keysCollected = new Set();
+        this.keysHeld = [];          // positions of picked-up keys, sorted
+
+        // Pressure plate/bridge pairs (bridges open by who stands where, so no other state)
+        this.switchPairs = [];
+
+        // Static rules board for the level being played (see shared/rules.js)
+        this.board = null;
+
+        // Hint/solution playback timer
+        this._playbackTimer = null;
+
+        // Library mode (classic collections, outside the tournament)
+        this.libraryOpen = false;
+        this.library = null;          // { title, text, levels } — see library.js
+        this.libraryLevelIdx = null;  // null=collection list, n=playing level n
+        this.libraryBest = {};        // levelKey -> { moves, pushes }
+        this.solverAssisted = false;  // hint/solution used on this attempt (no record)
 
         this.setupControls();
         this.setupTouchGestures();
+        window.addEventListener('beforeunload', () => this.saveGame());
 
-        // Start the phase loop
-        this.startTournament();
+        // Resume the saved run, or start the phase loop fresh
+        if (!this.loadGame()) {
+            this.startTournament();
+        }
     }
 
     get isPlaying() {
-        return this.activeLevelIdx !== null;
+        return this.activeLevelIdx !== null || this.libraryLevelIdx !== null;
+    }
+
+    get inLibrary() {
+        return this.libraryLevelIdx !== null;
     }
 
     get currentTier() {
         return getTierForDNA(this.dnaBank);
     }
 
+    get population() {
+        return this.archipelago.islands[this.activeIsland].population;
+    }
+
+    get islandName() {
+        return this.archipelago.islands[this.activeIsland].name;
+    }
+
+    // A single fresh island
+    _resetIslands(tier) {
+        this.archipelago = new Archipelago();
+        this.archipelago.foundIsland('Island 1', 5, tier);
+        this.activeIsland = 0;
+    }
+
     handleTouch(dx, dy) {
         if (!this.isPlaying) return;
+        this._stopPlayback();
         this.move(dx, dy);
     }
 
     setupTouchGestures() {
         let touchStartX = 0;
         let touchStartY = 0;
+        let touchStartTime = 0;
+        let swipeStartTime = null; // when the finger started moving
         const minSwipeDistance = 30;
 
         this.canvas.addEventListener('touchstart', (e) => {
             const touch = e.touches[0];
             touchStartX = touch.clientX;
             touchStartY = touch.clientY;
+            touchStartTime = Date.now();
+            swipeStartTime = null;
             e.preventDefault();
         }, { passive: false });
 
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (swipeStartTime !== null) return;
+            const touch = e.touches[0];
+            if (Math.abs(touch.clientX - touchStartX) >= minSwipeDistance / 3 ||
+                Math.abs(touch.clientY - touchStartY) >= minSwipeDistance / 3) {
+                swipeStartTime = Date.now();
+            }
+        }, { passive: true });
+
         this.canvas.addEventListener('touchend', (e) => {
             if (!this.isPlaying) return;
 
@@ -838,10 +516,14 @@ export class Game {
 
             if (absX < minSwipeDistance && absY < minSwipeDistance) return;
 
+            this._stopPlayback();
+
+            // Holding still before swiping pulls
+            const pull = (swipeStartTime ?? Date.now()) - touchStartTime >= PULL_HOLD_MS;
             if (absX > absY) {
-                this.move(deltaX > 0 ? 1 : -1, 0);
+                this.move(deltaX > 0 ? 1 : -1, 0, pull);
             } else {
-                this.move(0, deltaY > 0 ? 1 : -1);
+                this.move(0, deltaY > 0 ? 1 : -1, pull);
             }
 
             e.preventDefault();
@@ -849,7 +531,8 @@ export class Game {
     }
 
     reset() {
-        if (this.activeLevelIdx !== null && this.generatedLevelData) {
+        this._stopPlayback();
+        if (this.isPlaying && this.generatedLevelData) {
             const level = this.generatedLevelData;
             this.width = level.width;
             this.height = level.height;
@@ -861,8 +544,9 @@ export class Game {
             this.pushes = 0;
             this.history = [];
             this.won = false;
+            this.solverAssisted = false;
             // Undo any DNA collected this level
-            this.dnaBank = Math.max(0, this.dnaBank - this.dnaCollected);
+            if (!this.inLibrary) this.dnaBank = Math.max(0, this.dnaBank - this.dnaCollected);
             this.dnaCollected = 0;
             this.damageTakenThisLevel = false;
 
@@ -875,14 +559,15 @@ export class Game {
                 ? cloneEntities(this.generatedLevelData.entities)
                 : [];
             this.boxIceEnabled = !!this.generatedLevelData.boxIceEnabled;
+            this.pullEnabled = !!this.generatedLevelData.pullEnabled;
 
             // Reset teleporter state
             this.teleporterPairs = this.generatedLevelData.teleporterPairs || [];
-            this._justTeleported = false;
 
             // Reset key/door state
             this.keyDoorPairs = this.generatedLevelData.keyDoorPairs || [];
-            this.keysCollected = new Set();
+            this.keysHeld = [];
+            this.switchPairs = this.generatedLevelData.switchPairs || [];
 
             this.updateUI();
             this.render();
@@ -895,12 +580,18 @@ export class Game {
 
             const key = e.key.toLowerCase();
 
+            // Any key takes control back from hint/solution playback
+            this._stopPlayback();
+
             if (key === 'z') {
                 this.undo();
                 e.preventDefault();
             } else if (key === 'r') {
                 this.reset();
                 e.preventDefault();
+            } else if (key === 'h') {
+                this.hint();
+                e.preventDefault();
             } else {
                 const moves = {
                     'arrowup': [0, -1],
@@ -914,308 +605,657 @@ export class Game {
                 };
 
                 if (moves[key]) {
-                    this.move(...moves[key]);
+                    this.move(...moves[key], e.shiftKey);
                     e.preventDefault();
                 }
             }
         });
     }
 
-    move(dx, dy) {
+    // pull: drag the box behind along (Shift, a long press, or an uppercase
+    // solution letter); ignored on levels without pulling
+    move(dx, dy, pull = false) {
         if (this.won) return;
 
-        // Reset teleport bounce flag
-        this._justTeleported = false;
+        const result = step(this._rulesState(), [dx, dy], { pull });
+        if (!result) return;
 
-        const newX = this.playerX + dx;
-        const newY = this.playerY + dy;
+        this.saveState();
+        const { state, events } = result;
+
+        // The grid only marks the player on the start tile; clear it on the first move
+        const startIdx = this.playerY * this.width + this.playerX;
+        if (this.grid[startIdx] === TILES.PLAYER) this.grid[startIdx] = TILES.FLOOR;
+
+        for (const event of events) {
+            switch (event.type) {
+                case 'push':
+                case 'pull':
+                    this.grid[event.from] = this.grid[event.from] === TILES.BOX_ON_TARGET ? TILES.TARGET : TILES.FLOOR;
+                    this.grid[event.to] = this.grid[event.to] === TILES.TARGET ? TILES.BOX_ON_TARGET : TILES.BOX;
+                    this.pushes++;
+                    break;
+                case 'carry':
+                    // Moved by a conveyor, not a push
+                    this.grid[event.from] = this.grid[event.from] === TILES.BOX_ON_TARGET ? TILES.TARGET : TILES.FLOOR;
+                    this.grid[event.to] = this.grid[event.to] === TILES.TARGET ? TILES.BOX_ON_TARGET : TILES.BOX;
+                    break;
+                case 'fill':
+                    // The box is gone and the hole is floor
+                    this.grid[event.pos] = TILES.FLOOR;
+                    this.overlays[event.pos] = 0;
+                    break;
+                case 'crumble':
+                    // Undo restores it from the overlays snapshot
+                    this.overlays[event.pos] = TILES.HOLE;
+                    break;
+                case 'collect':
+                    this._collectDNA(event.pos);
+                    break;
+                case 'key':
+                    this.overlays[event.pos] = 0;
+                    this.overlays[event.door] = 0;
+                    break;
+                case 'damage':
+                    this._takeDamage(1);
+                    break;
+            }
+        }
 
-        if (!this.isValid(newX, newY)) return;
+        this.playerX = state.player % this.width;
+        this.playerY = Math.floor(state.player / this.width);
+        this.keysHeld = state.keys;
+        this.spikePhase = Math.floor(state.clock / this.spikeToggleInterval);
+        this.spikeMoveCounter = state.clock % this.spikeToggleInterval;
+        this.entities = state.entities;
+        this.moves++;
 
-        const targetTile = this.getTile(newX, newY);
-        if (targetTile === TILES.WALL) return;
+        this.updateUI();
+        this.render();
 
-        // Gate check: is destination a gate that blocks this direction?
-        if (this.overlays) {
-            const destIdx = newY * this.width + newX;
-            const destOverlay = this.overlays[destIdx];
-            if (destOverlay >= TILES.GATE_UP && destOverlay <= TILES.GATE_LEFT) {
-                if (!_gateAllowsEntry(destOverlay, dx, dy)) return;
-            }
-            // Door check: if destination is a locked door, block move
-            if (destOverlay === TILES.DOOR) return;
+        // Check for death before win
+        if (this.vitality <= 0) {
+            this._triggerExtinction();
+            return;
         }
 
-        this.saveState();
+        this.checkWin();
+    }
 
-        if (targetTile === TILES.BOX || targetTile === TILES.BOX_ON_TARGET) {
-            const boxNewX = newX + dx;
-            const boxNewY = newY + dy;
+    // The live board as a rules state. Collected keys have cleared their doors
+    // from this.overlays, but the board was built at level start and still has
+    // them, so held keys are passed along.
+    _rulesState() {
+        const boxes = [];
+        const holes = [];
+        const crumbles = [];
+        const collectibles = new Set();
+        for (let i = 0; i < this.grid.length; i++) {
+            if (this.grid[i] === TILES.BOX || this.grid[i] === TILES.BOX_ON_TARGET) boxes.push(i);
+            if (this.overlays && this.overlays[i] === TILES.COLLECTIBLE) collectibles.add(i);
+            if (this.overlays && this.overlays[i] === TILES.HOLE) holes.push(i);
+            if (this.overlays && this.overlays[i] === TILES.CRUMBLE) crumbles.push(i);
+        }
+        return {
+            board: this.board,
+            player: this.playerY * this.width + this.playerX,
+            boxes,
+            keys: this.keysHeld,
+            holes,
+            crumbles,
+            collectibles,
+            clock: this.spikePhase * this.spikeToggleInterval + this.spikeMoveCounter,
+            entities: this.entities
+        };
+    }
 
-            if (!this.isValid(boxNewX, boxNewY)) {
-                this.history.pop();
-                return;
-            }
+    _collectDNA(idx) {
+        this.overlays[idx] = 0;
+        this.dnaCollected++;
+        // Library levels are practice: DNA only counts toward the bank in the tournament
+        if (this.inLibrary) return;
+        const tierBefore = this.currentTier;
+        this.dnaBank++;
+        const tierAfter = this.currentTier;
+        if (tierAfter > tierBefore) {
+            this._showTierUpNotification(tierAfter);
+        }
+    }
 
-            const boxTargetTile = this.getTile(boxNewX, boxNewY);
+    // --- Damage ---
 
-            if (boxTargetTile === TILES.WALL ||
-                boxTargetTile === TILES.BOX ||
-                boxTargetTile === TILES.BOX_ON_TARGET) {
-                this.history.pop();
-                return;
-            }
+    _takeDamage(amount) {
+        if (!this.inLibrary) this.vitality = Math.max(0, this.vitality - amount);
+        this.damageTakenThisLevel = true;
+        this._flashDamage();
+    }
 
-            // Gate check: box can't be pushed into a gate that blocks this direction
-            if (this.overlays) {
-                const boxDestIdx = boxNewY * this.width + boxNewX;
-                const boxDestOverlay = this.overlays[boxDestIdx];
-                if (boxDestOverlay >= TILES.GATE_UP && boxDestOverlay <= TILES.GATE_LEFT) {
-                    if (!_gateAllowsEntry(boxDestOverlay, dx, dy)) {
-                        this.history.pop();
-                        return;
-                    }
-                }
-                // Door check: box can't be pushed into a locked door
-                if (boxDestOverlay === TILES.DOOR) {
-                    this.history.pop();
-                    return;
-                }
-            }
+    _flashDamage() {
+        const flash = document.getElementById('damage-flash');
+        if (!flash) return;
+        flash.style.display = 'block';
+        flash.style.animation = 'none';
+        // Force reflow
+        flash.offsetHeight;
+        flash.style.animation = 'damageFlash 0.4s ease-out forwards';
+        setTimeout(() => { flash.style.display = 'none'; }, 400);
+    }
 
-            const isOnTarget = boxTargetTile === TILES.TARGET;
-            this.setTile(boxNewX, boxNewY, isOnTarget ? TILES.BOX_ON_TARGET : TILES.BOX);
-            this.pushes++;
+    // --- Hints & solution playback ---
 
-            // Box-ice: if box landed on ice, slide it further
-            if (this.boxIceEnabled) {
-                this._handleBoxIceSlide(boxNewX, boxNewY, dx, dy);
-            }
-        }
+    // Solve from the live board. Collected keys have already cleared their
+    // doors from this.overlays; keys still on the board are solver inventory.
+    _solveFromHere() {
+        return solve({
+            width: this.width,
+            height: this.height,
+            grid: this.grid,
+            overlays: this.overlays,
+            playerX: this.playerX,
+            playerY: this.playerY,
+            teleporterPairs: this.teleporterPairs,
+            keyDoorPairs: this.keyDoorPairs,
+            switchPairs: this.switchPairs,
+            entities: this.entities
+        }, { boxIceEnabled: this.boxIceEnabled, pullEnabled: this.pullEnabled, maxStates: HINT_MAX_STATES });
+    }
 
-        const wasOnTarget = this.getTile(this.playerX, this.playerY) === TILES.TARGET;
-        this.setTile(this.playerX, this.playerY, wasOnTarget ? TILES.TARGET : TILES.FLOOR);
+    _showSolverFailure(result) {
+        this.showWin(result.reason === 'exceeded_limit'
+            ? 'Too tangled to hint from here — try Undo or Reset'
+            : 'No solution from here — try Undo or Reset');
+    }
 
-        const movingToTarget = targetTile === TILES.TARGET || targetTile === TILES.BOX_ON_TARGET;
+    // Walk to the next push and make it
+    hint() {
+        if (!this.isPlaying || this.won) return;
+        this._stopPlayback();
 
-        this.playerX = newX;
-        this.playerY = newY;
-        this.setTile(newX, newY, movingToTarget ? TILES.TARGET : TILES.FLOOR);
+        const result = this._solveFromHere();
+        if (!result.solvable) {
+            this._showSolverFailure(result);
+            return;
+        }
 
-        // Collect overlay at new position (handles collectibles and keys)
-        this._collectOverlay();
+        this.solverAssisted = true;
+        const pushIdx = result.solution.search(/[LURD]/);
+        this._playMoves(pushIdx < 0 ? result.solution : result.solution.slice(0, pushIdx + 1));
+    }
 
-        // Teleporter handling — after collect, before ice
-        this._handleTeleporter();
+    // Play the remaining solution move by move
+    showSolution() {
+        if (!this.isPlaying || this.won) return;
+        this._stopPlayback();
 
-        // Ice sliding — player slides on ice until hitting obstacle
-        this._handleIceSlide(dx, dy);
+        const result = this._solveFromHere();
+        if (!result.solvable) {
+            this._showSolverFailure(result);
+            return;
+        }
 
-        this.moves++;
+        this.solverAssisted = true;
+        this._playMoves(result.solution);
+    }
+
+    // Feed a LURD string through move() one step at a time, so every
+    // mechanic (ice, teleporters, gates, hazards) plays out exactly as typed input
+    _playMoves(moves) {
+        const dirs = { u: [0, -1], d: [0, 1], l: [-1, 0], r: [1, 0] };
+        let i = 0;
+
+        const step = () => {
+            this._playbackTimer = null;
+            if (i >= moves.length || this.won || !this.isPlaying || this.vitality <= 0) return;
+            // Uppercase shifts a box: a push, or with no box ahead, a pull
+            const ch = moves[i++];
+            const [dx, dy] = dirs[ch.toLowerCase()];
+            this.move(dx, dy, ch !== ch.toLowerCase());
+            this._playbackTimer = setTimeout(step, PLAYBACK_DELAY);
+        };
+        step();
+    }
 
-        // Advance spike phase and check for spike damage
-        this._advanceSpikePhase();
-        this._checkSpikeDamage();
+    _stopPlayback() {
+        if (this._playbackTimer !== null) {
+            clearTimeout(this._playbackTimer);
+            this._playbackTimer = null;
+        }
+    }
 
-        // Entity collision: player walked into enemy?
-        this._checkEntityDamage();
+    // --- XSB export ---
+
+    // Copy the level as dealt (not the live board) as XSB text, for pasting
+    // into other Sokoban tools. Falls back to a file download without clipboard access.
+    exportLevel() {
+        if (!this.isPlaying || !this.generatedLevelData) return;
+        const title = this.inLibrary
+            ? this.library.levels[this.libraryLevelIdx].title || `${this.library.title} ${this.libraryLevelIdx + 1}`
+            : `${this.roundSlots[this.activeLevelIdx].bot.name}, generation ${this.population.generation}`;
+        const xsb = levelToXSB(this.generatedLevelData, { title }) + '\n';
+
+        const download = () => {
+            const url = URL.createObjectURL(new Blob([xsb], { type: 'text/plain' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${title.replace(/\W+/g, '-').toLowerCase()}.xsb`;
+            link.click();
+            URL.revokeObjectURL(url);
+            this.showWin('Level saved as XSB');
+        };
 
-        // Advance patrol entities
-        if (this.entities.length > 0) {
-            advanceEntities(this.entities, this.grid, this.width, this.height);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(xsb).then(() => this.showWin('Level copied as XSB'), download);
+        } else {
+            download();
         }
+    }
 
-        // Entity collision: enemy walked into player?
-        this._checkEntityDamage();
+    // --- Library mode ---
 
-        this.updateUI();
-        this.render();
+    // Open the collection list. The tournament stays where it was underneath;
+    // a tournament level in progress is left, as with Back.
+    openLibrary() {
+        if (this.vitality <= 0) return;
+        this._stopPlayback();
+        this.activeLevelIdx = null;
+        this.libraryOpen = true;
+        document.getElementById('win-message').textContent = '';
+        this._hideLegend();
+        if (!this.library) this.library = tutorialCollection();
+        this._renderLibrary();
+    }
 
-        // Check for death before win
-        if (this.vitality <= 0) {
-            this._triggerExtinction();
-            return;
+    closeLibrary() {
+        this._stopPlayback();
+        this.libraryOpen = false;
+        this.libraryLevelIdx = null;
+        document.getElementById('win-message').textContent = '';
+        this._hideLegend();
+        this.updatePhaseUI();
+    }
+
+    // Load pasted or file text; the current collection stays if none of it is playable
+    loadLibraryText(text, fallbackTitle = 'Pasted levels') {
+        const { collection, errors } = loadCollection(text, fallbackTitle);
+        if (collection) {
+            this.library = collection;
+            this.saveGame();
         }
+        this._renderLibrary(errors);
+    }
 
-        this.checkWin();
+    loadLibraryFile(file) {
+        if (!file) return;
+        file.text().then(text => this.loadLibraryText(text, file.name.replace(/\.[^.]+$/, '')));
     }
 
-    _collectOverlay() {
-        if (!this.overlays) return;
-        const idx = this.playerY * this.width + this.playerX;
-        if (this.overlays[idx] === TILES.COLLECTIBLE) {
-            this.overlays[idx] = 0;
-            this.dnaCollected++;
-            const tierBefore = this.currentTier;
-            this.dnaBank++;
-            const tierAfter = this.currentTier;
-            if (tierAfter > tierBefore) {
-                this._showTierUpNotification(tierAfter);
-            }
-        } else if (this.overlays[idx] === TILES.KEY) {
-            // Find which pair this key belongs to
-            const pair = this.keyDoorPairs.find(p => p.keyIdx === idx);
-            if (pair) {
-                this.keysCollected.add(pair.colorIndex);
-                this.overlays[idx] = 0; // Remove key
-                this.overlays[pair.doorIdx] = 0; // Unlock door
-            }
-        }
+    loadLibraryTutorial() {
+        this.library = tutorialCollection();
+        this.saveGame();
+        this._renderLibrary();
     }
 
-    _handleTeleporter() {
-        if (!this.overlays || this._justTeleported) return;
-        const idx = this.playerY * this.width + this.playerX;
-        if (this.overlays[idx] !== TILES.TELEPORTER) return;
+    playLibraryLevel(idx) {
+        this.libraryLevelIdx = idx;
+        const level = this.library.levels[idx];
+        this._loadLevel(level, DEFAULT_THEME);
 
-        // Find partner
-        for (const [a, b] of this.teleporterPairs) {
-            let partner = -1;
-            if (a === idx) partner = b;
-            else if (b === idx) partner = a;
-            if (partner < 0) continue;
+        const nameEl = document.getElementById('play-bot-name');
+        nameEl.textContent = `${this.library.title} \u00b7 ${level.title || `Level ${idx + 1}`}`;
+        nameEl.style.color = '';
 
-            // Teleport player
-            this.playerX = partner % this.width;
-            this.playerY = Math.floor(partner / this.width);
-            this._justTeleported = true;
+        this.updateUI();
+        this.render();
+        this.updatePhaseUI();
+        this._updateLegend();
+    }
 
-            // Collect overlay at destination
-            this._collectOverlay();
-            break;
+    // Library wins cost and award nothing; they only update the level's best
+    _recordLibraryWin() {
+        let message = 'Level Complete!';
+        if (this.solverAssisted) {
+            message += ' (solver-assisted, not recorded)';
+        } else {
+            const level = this.library.levels[this.libraryLevelIdx];
+            const beaten = recordBest(this.libraryBest, level, this.moves, this.pushes);
+            const records = [];
+            if (beaten.moves) records.push(`${this.moves} moves`);
+            if (beaten.pushes) records.push(`${this.pushes} pushes`);
+            if (records.length > 0) message += ` New best: ${records.join(', ')}`;
+            this.saveGame();
         }
+
+        this.updateUI();
+        this.showWin(message);
     }
 
-    _handleIceSlide(dx, dy) {
-        if (!this.overlays) return;
+    _renderLibrary(errors = []) {
+        const lib = this.library;
+        document.getElementById('library-title').textContent = lib.title;
 
-        let idx = this.playerY * this.width + this.playerX;
-        while (this.overlays[idx] === TILES.ICE) {
-            const slideX = this.playerX + dx;
-            const slideY = this.playerY + dy;
+        const solved = lib.levels.filter(level => this.libraryBest[levelKey(level)]).length;
+        let status = `${lib.levels.length} level${lib.levels.length === 1 ? '' : 's'}, ${solved} solved`;
+        if (errors.length > 0) {
+            status += ` \u2014 skipped ${errors.length}: ${errors[0]}${errors.length > 1 ? ' \u2026' : ''}`;
+        }
+        document.getElementById('library-status').textContent = status;
 
-            if (!this.isValid(slideX, slideY)) break;
+        const list = document.getElementById('library-levels');
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
 
-            const nextTile = this.getTile(slideX, slideY);
-            if (nextTile === TILES.WALL || nextTile === TILES.BOX || nextTile === TILES.BOX_ON_TARGET) break;
+        lib.levels.forEach((level, i) => {
+            const row = document.createElement('div');
+            row.className = 'library-level';
+            row.onclick = () => this.playLibraryLevel(i);
+
+            const thumb = document.createElement('canvas');
+            thumb.width = 48;
+            thumb.height = 48;
+            renderGrid(thumb.getContext('2d'), level.width, level.height, level.grid,
+                level.playerX, level.playerY, DEFAULT_THEME, 48, level.overlays || null, {
+                    entities: level.entities,
+                    teleporterPairs: level.teleporterPairs,
+                    keyDoorPairs: level.keyDoorPairs,
+                    switchPairs: level.switchPairs
+                });
+            row.appendChild(thumb);
 
-            // Gate check: stop if next tile is a gate that blocks entry
-            const nextIdx = slideY * this.width + slideX;
-            const nextOverlay = this.overlays[nextIdx];
-            if (nextOverlay >= TILES.GATE_UP && nextOverlay <= TILES.GATE_LEFT) {
-                if (!_gateAllowsEntry(nextOverlay, dx, dy)) break;
-            }
-            // Door check: stop at locked door
-            if (nextOverlay === TILES.DOOR) break;
+            const name = document.createElement('span');
+            name.className = 'library-level-name';
+            name.textContent = `${i + 1}. ${level.title || `Level ${i + 1}`}`;
+            row.appendChild(name);
 
-            // Leave current ice tile — restore floor (preserve TARGET)
-            const leavingTile = this.getTile(this.playerX, this.playerY);
-            this.setTile(this.playerX, this.playerY, leavingTile === TILES.TARGET ? TILES.TARGET : TILES.FLOOR);
+            const best = this.libraryBest[levelKey(level)];
+            const bestSpan = document.createElement('span');
+            bestSpan.className = 'library-level-best';
+            bestSpan.textContent = best ? `${best.moves} moves \u00b7 ${best.pushes} pushes` : '\u2014';
+            bestSpan.title = 'Best moves and best pushes (may come from different solves)';
+            row.appendChild(bestSpan);
 
-            // Move player to next position
-            this.playerX = slideX;
-            this.playerY = slideY;
+            list.appendChild(row);
+        });
 
-            // Set grid at new position (preserve TARGET if present)
-            const isTarget = nextTile === TILES.TARGET;
-            this.setTile(slideX, slideY, isTarget ? TILES.TARGET : TILES.FLOOR);
+        this.updatePhaseUI();
+    }
 
-            // Collect overlay at new position
-            this._collectOverlay();
+    // --- Museum of Extinct Civilizations ---
 
-            // Check for spike damage at each slide position
-            this._checkSpikeDamage();
+    // Opens over whatever is showing, the death screen included; a level in
+    // progress is left, as with the library
+    openMuseum() {
+        this._stopPlayback();
+        this.activeLevelIdx = null;
+        this.libraryLevelIdx = null;
+        this.atlasOpen = false;
+        this.museumOpen = true;
+        document.getElementById('win-message').textContent = '';
+        document.getElementById('death-screen').style.display = 'none';
+        this._hideLegend();
+        this._renderMuseum();
+    }
 
-            // Check for entity collision at each slide position
-            this._checkEntityDamage();
+    closeMuseum() {
+        this.museumOpen = false;
+        this.updatePhaseUI();
+        if (this.vitality <= 0) this._showDeathScreen();
+    }
 
-            idx = this.playerY * this.width + this.playerX;
+    _renderMuseum() {
+        const count = this.fossils.length;
+        document.getElementById('museum-status').textContent = count > 0
+            ? `${count} extinct civilization${count === 1 ? '' : 's'}`
+            : 'No civilization has fallen yet.';
+
+        const list = document.getElementById('museum-runs');
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
         }
-    }
 
-    _handleBoxIceSlide(boxX, boxY, dx, dy) {
-        if (!this.overlays) return;
+        // Most recent extinction first
+        [...this.fossils].reverse().forEach((fossil, i) => {
+            const bot = new Bot(Genome.fromJSON(fossil.genome));
+            const run = document.createElement('div');
+            run.className = 'museum-run';
+
+            const header = document.createElement('div');
+            header.className = 'museum-run-header';
+            header.onclick = () => this._toggleMuseumLevels(fossil, run);
+
+            const sprite = document.createElement('canvas');
+            sprite.width = 56;
+            sprite.height = 56;
+            bot.drawSprite(sprite.getContext('2d'), 28, 28, 44);
+            header.appendChild(sprite);
+
+            const info = document.createElement('div');
+            info.className = 'museum-run-info';
+
+            const title = document.createElement('div');
+            title.className = 'museum-run-title';
+            title.textContent = `Civilization ${count - i} \u00b7 ${fossil.name}`;
+            title.style.color = bot.colors.primary;
+            info.appendChild(title);
+
+            const personality = document.createElement('div');
+            personality.className = 'museum-run-personality';
+            personality.textContent = bot.personality;
+            info.appendChild(personality);
+
+            const tier = TIER_THRESHOLDS.find(t => t.tier === fossil.peakTier);
+            const stats = document.createElement('div');
+            stats.className = 'museum-run-stats';
+            stats.textContent = [
+                `${fossil.generation} generation${fossil.generation === 1 ? '' : 's'}`,
+                tier ? `peak tier ${tier.name}` : null,
+                `${fossil.dnaBank} DNA`,
+                new Date(fossil.diedAt).toLocaleDateString()
+            ].filter(Boolean).join(' \u00b7 ');
+            info.appendChild(stats);
+
+            header.appendChild(info);
+            run.appendChild(header);
+            list.appendChild(run);
+        });
 
-        let idx = boxY * this.width + boxX;
-        while (this.overlays[idx] === TILES.ICE) {
-            const nextX = boxX + dx;
-            const nextY = boxY + dy;
+        this.updatePhaseUI();
+    }
 
-            // Out of bounds — stop
-            if (!this.isValid(nextX, nextY)) break;
+    // Show or hide a run's representative levels, regenerating them on first view
+    _toggleMuseumLevels(fossil, run) {
+        const existing = run.querySelector('.museum-run-levels');
+        if (existing) {
+            run.removeChild(existing);
+            return;
+        }
 
-            const nextTile = this.getTile(nextX, nextY);
-            // Wall or another box — stop
-            if (nextTile === TILES.WALL || nextTile === TILES.BOX || nextTile === TILES.BOX_ON_TARGET) break;
+        const row = document.createElement('div');
+        row.className = 'museum-run-levels';
+        row.textContent = 'Excavating\u2026';
+        run.appendChild(row);
 
-            // Gate check: stop if next tile is a gate that blocks entry
-            const nextIdx = nextY * this.width + nextX;
-            const nextOverlay = this.overlays[nextIdx];
-            if (nextOverlay >= TILES.GATE_UP && nextOverlay <= TILES.GATE_LEFT) {
-                if (!_gateAllowsEntry(nextOverlay, dx, dy)) break;
+        // Generation blocks the main thread, so let the placeholder paint first
+        const doExcavate = () => {
+            if (!this._museumLevels.has(fossil.diedAt)) {
+                this._museumLevels.set(fossil.diedAt, fossilLevels(fossil));
+            }
+            row.textContent = '';
+            for (const { genome, level } of this._museumLevels.get(fossil.diedAt)) {
+                const preview = document.createElement('canvas');
+                preview.width = 120;
+                preview.height = 120;
+                preview.title = new Bot(genome).name;
+                renderGrid(preview.getContext('2d'), level.width, level.height, level.grid,
+                    level.playerX, level.playerY, resolveVisualTheme(genome), 120, level.overlays || null, {
+                        entities: level.entities,
+                        teleporterPairs: level.teleporterPairs,
+                        keyDoorPairs: level.keyDoorPairs,
+                        switchPairs: level.switchPairs
+                    });
+                row.appendChild(preview);
             }
-            // Door check: stop at locked door
-            if (nextOverlay === TILES.DOOR) break;
+        };
+        requestAnimationFrame(() => requestAnimationFrame(doExcavate));
+    }
 
-            // Clear old box tile (restore FLOOR or TARGET)
-            const oldTile = this.getTile(boxX, boxY);
-            this.setTile(boxX, boxY, oldTile === TILES.BOX_ON_TARGET ? TILES.TARGET : TILES.FLOOR);
+    // --- Atlas (MAP-Elites archive) ---
 
-            // Set new box tile (BOX or BOX_ON_TARGET based on destination)
-            const destIsTarget = nextTile === TILES.TARGET;
-            this.setTile(nextX, nextY, destIsTarget ? TILES.BOX_ON_TARGET : TILES.BOX);
+    // Opens over whatever is showing, like the museum
+    openAtlas() {
+        this._stopPlayback();
+        this.activeLevelIdx = null;
+        this.libraryLevelIdx = null;
+        this.museumOpen = false;
+        this.atlasOpen = true;
+        document.getElementById('win-message').textContent = '';
+        document.getElementById('death-screen').style.display = 'none';
+        this._hideLegend();
+        this._renderAtlas();
+    }
 
-            boxX = nextX;
-            boxY = nextY;
-            idx = boxY * this.width + boxX;
-        }
+    closeAtlas() {
+        this.atlasOpen = false;
+        this.atlasSelected = null;
+        this.updatePhaseUI();
+        if (this.vitality <= 0) this._showDeathScreen();
     }
 
-    // --- Spike phase & damage ---
+    // Pick which two archive dimensions the grid shows
+    setAtlasAxes(x, y) {
+        if (ARCHIVE_DIMENSION_MAP.has(x)) this.atlasAxes.x = x;
+        if (ARCHIVE_DIMENSION_MAP.has(y)) this.atlasAxes.y = y;
+        this.atlasSelected = null;
+        this._renderAtlas();
+    }
 
-    _advanceSpikePhase() {
-        if (!this.overlays) return;
-        // Only advance if level has spikes
-        const hasSpikes = this.overlays.some(o => o === TILES.SPIKES);
-        if (!hasSpikes) return;
+    selectAtlasCell(key) {
+        this.atlasSelected = key;
+        this._renderAtlas();
+    }
 
-        this.spikeMoveCounter++;
-        if (this.spikeMoveCounter >= this.spikeToggleInterval) {
-            this.spikeMoveCounter = 0;
-            this.spikePhase = this.spikePhase ? 0 : 1;
-        }
+    // Bring a cell's elite into the tended population. Only between
+    // tournaments: a tournament's pool holds references to the current genomes
+    pullElite(key) {
+        if (this.phase !== PHASES.BREED || this.vitality <= 0) return;
+        const genome = this.atlas.getElite(key);
+        if (!genome) return;
+        this.population.adopt(genome, { fromAtlas: true });
+        this.saveGame();
+        this.closeAtlas();
+        this._populateObserveOverlay();
     }
 
-    _checkSpikeDamage() {
-        if (!this.overlays || this.spikePhase !== 1) return;
-        const idx = this.playerY * this.width + this.playerX;
-        if (this.overlays[idx] === TILES.SPIKES) {
-            this._takeDamage(1);
+    _renderAtlas() {
+        const totalCells = ARCHIVE_DIMENSIONS.reduce((n, dim) => n * dim.labels.length, 1);
+        document.getElementById('atlas-status').textContent = this.atlas.size > 0
+            ? `${this.atlas.size} of ${totalCells} niches discovered`
+            : 'No levels generated yet.';
+
+        for (const axis of ['x', 'y']) {
+            const select = document.getElementById(`atlas-${axis}`);
+            if (select.options.length === 0) {
+                for (const dim of ARCHIVE_DIMENSIONS) {
+                    const option = document.createElement('option');
+                    option.value = dim.key;
+                    option.textContent = dim.label;
+                    select.appendChild(option);
+                }
+            }
+            select.value = this.atlasAxes[axis];
         }
-    }
 
-    _checkEntityDamage() {
-        if (this.entities.length === 0) return;
-        if (checkEntityCollision(this.entities, this.playerX, this.playerY)) {
-            this._takeDamage(1);
+        const xDim = ARCHIVE_DIMENSION_MAP.get(this.atlasAxes.x);
+        const yDim = ARCHIVE_DIMENSION_MAP.get(this.atlasAxes.y);
+        const projected = this.atlas.project(xDim.key, yDim.key);
+
+        const grid = document.getElementById('atlas-grid');
+        while (grid.firstChild) {
+            grid.removeChild(grid.firstChild);
         }
+        grid.style.gridTemplateColumns = `auto repeat(${xDim.labels.length}, 1fr)`;
+
+        const addLabel = (text) => {
+            const label = document.createElement('div');
+            label.className = 'atlas-axis-label';
+            label.textContent = text;
+            grid.appendChild(label);
+        };
+
+        // Highest row bin at the top, column labels along the bottom
+        for (let yBin = yDim.labels.length - 1; yBin >= 0; yBin--) {
+            addLabel(yDim.labels[yBin]);
+            for (let xBin = 0; xBin < xDim.labels.length; xBin++) {
+                const entry = projected.get(`${xBin},${yBin}`);
+                const cell = document.createElement('div');
+                cell.className = 'atlas-cell';
+                if (entry) {
+                    const bot = new Bot(Genome.fromJSON(entry.cell.genome));
+                    cell.classList.add('filled');
+                    if (entry.key === this.atlasSelected) cell.classList.add('selected');
+                    cell.title = [bot.name, ...this._atlasFeatureLines(entry.cell.features)].join('\n');
+                    cell.onclick = () => this.selectAtlasCell(entry.key);
+
+                    const sprite = document.createElement('canvas');
+                    sprite.width = 32;
+                    sprite.height = 32;
+                    bot.drawSprite(sprite.getContext('2d'), 16, 16, 26);
+                    cell.appendChild(sprite);
+
+                    if (entry.cell.quality > 0) {
+                        const wins = document.createElement('span');
+                        wins.textContent = `\u2605${entry.cell.quality}`;
+                        cell.appendChild(wins);
+                    }
+                }
+                grid.appendChild(cell);
+            }
+        }
+        addLabel('');
+        xDim.labels.forEach(addLabel);
+
+        this._renderAtlasDetail();
+        this.updatePhaseUI();
     }
 
-    _takeDamage(amount) {
-        this.vitality = Math.max(0, this.vitality - amount);
-        this.damageTakenThisLevel = true;
-        this._flashDamage();
+    // "Dimension: bin" lines for a cell's measured features
+    _atlasFeatureLines(features) {
+        return ARCHIVE_DIMENSIONS.map(dim => `${dim.label}: ${dim.labels[binIndex(dim, features[dim.key])]}`);
     }
 
-    _flashDamage() {
-        const flash = document.getElementById('damage-flash');
-        if (!flash) return;
-        flash.style.display = 'block';
-        flash.style.animation = 'none';
-        // Force reflow
-        flash.offsetHeight;
-        flash.style.animation = 'damageFlash 0.4s ease-out forwards';
-        setTimeout(() => { flash.style.display = 'none'; }, 400);
+    _renderAtlasDetail() {
+        const detail = document.getElementById('atlas-detail');
+        detail.textContent = '';
+        const cell = this.atlasSelected && this.atlas.cells[this.atlasSelected];
+        if (!cell) {
+            detail.textContent = 'Select a niche to see its elite.';
+            return;
+        }
+
+        const bot = new Bot(Genome.fromJSON(cell.genome));
+        const title = document.createElement('div');
+        title.className = 'atlas-detail-title';
+        title.textContent = `${bot.name} \u00b7 ${bot.personality}`;
+        title.style.color = bot.colors.primary;
+        detail.appendChild(title);
+
+        const stats = document.createElement('div');
+        stats.className = 'atlas-detail-stats';
+        stats.textContent = [
+            ...this._atlasFeatureLines(cell.features),
+            cell.quality > 0 ? `Won ${cell.quality} round${cell.quality === 1 ? '' : 's'}` : 'Never chosen'
+        ].join(' \u00b7 ');
+        detail.appendChild(stats);
+
+        const canPull = this.phase === PHASES.BREED && this.vitality > 0;
+        const pull = document.createElement('button');
+        pull.textContent = `Bring into ${this.islandName}`;
+        pull.disabled = !canPull;
+        pull.title = canPull
+            ? 'Replaces a random non-champion bot'
+            : 'Elites can join between tournaments';
+        pull.onclick = () => this.pullElite(this.atlasSelected);
+        detail.appendChild(pull);
     }
 
     // --- Tier-up notification ---
@@ -1235,6 +1275,22 @@ export class Game {
     // --- Extinction (death) ---
 
     _triggerExtinction() {
+        this._recordFossil();
+        this._showDeathScreen();
+        this.saveGame();
+    }
+
+    _recordFossil() {
+        this.fossils.push(fossilizeRun({
+            population: this.population,
+            roundWinners: this.roundWinners,
+            tournamentPool: this.tournamentPool,
+            dnaBank: this.dnaBank,
+            tier: this.currentTier
+        }));
+    }
+
+    _showDeathScreen() {
         // Hide all views, show death screen
         document.getElementById('comparison-view').style.display = 'none';
         document.getElementById('play-view').style.display = 'none';
@@ -1246,13 +1302,15 @@ export class Game {
         document.getElementById('death-screen').style.display = 'none';
         this.dnaBank = 0;
         this.vitality = 3;
-        this.population = new Population(5, this.currentTier);
+        this._resetIslands(this.currentTier);
+        this.atlas = new EliteArchive();
         this.generationHistory = [];
         this.lastBreedingReport = null;
         this.startTournament();
     }
 
     undo() {
+        this._stopPlayback();
         if (this.history.length === 0) return;
 
         const state = this.history.pop();
@@ -1265,7 +1323,7 @@ export class Game {
         // Undo DNA collection
         const dnaDelta = (this.dnaCollected || 0) - (state.dnaCollected || 0);
         this.dnaCollected = state.dnaCollected || 0;
-        this.dnaBank = Math.max(0, (this.dnaBank || 0) - dnaDelta);
+        if (!this.inLibrary) this.dnaBank = Math.max(0, (this.dnaBank || 0) - dnaDelta);
         // Restore spike and vitality state
         this.spikePhase = state.spikePhase || 0;
         this.spikeMoveCounter = state.spikeMoveCounter || 0;
@@ -1274,7 +1332,7 @@ export class Game {
         // Restore entities
         this.entities = state.entities ? cloneEntities(state.entities) : [];
         // Restore keys
-        this.keysCollected = state.keysCollected ? new Set(state.keysCollected) : new Set();
+        this.keysHeld = state.keysHeld || [];
         this.won = false;
 
         this.updateUI();
@@ -1296,7 +1354,7 @@ export class Game {
             vitality: this.vitality,
             damageTakenThisLevel: this.damageTakenThisLevel,
             entities: cloneEntities(this.entities),
-            keysCollected: new Set(this.keysCollected)
+            keysHeld: this.keysHeld
         });
     }
 
@@ -1313,24 +1371,23 @@ export class Game {
     }
 
     checkWin() {
-        const hasLooseBox = this.grid.some(tile => tile === TILES.BOX);
-        if (hasLooseBox) return;
+        const state = this._rulesState();
+        if (!boxesPlaced(state)) return;
 
         // If exit overlay exists, player must be standing on it
-        if (this.overlays) {
-            const hasExit = this.overlays.some(o => o === TILES.EXIT);
-            if (hasExit) {
-                const playerOverlay = this.overlays[this.playerY * this.width + this.playerX];
-                if (playerOverlay !== TILES.EXIT) {
-                    // Show hint that player needs to reach exit
-                    document.getElementById('win-message').textContent = 'All boxes placed! Find the exit...';
-                    return;
-                }
-            }
+        if (!isSolved(state)) {
+            // Show hint that player needs to reach exit
+            document.getElementById('win-message').textContent = 'All boxes placed! Find the exit...';
+            return;
         }
 
         this.won = true;
 
+        if (this.inLibrary) {
+            this._recordLibraryWin();
+            return;
+        }
+
         // Award vitality on clean solve (no damage taken)
         let winMsg = 'Level Complete!';
         if (!this.damageTakenThisLevel) {
@@ -1348,6 +1405,7 @@ export class Game {
         }
 
         this.updateUI();
+        this.saveGame();
     }
 
     showWin(message) {
@@ -1446,82 +1504,17 @@ export class Game {
             fillRoundedRect(ctx, pad, pad, S - pad, S - pad, cr * 0.8);
         }});
 
-        // --- Conditional overlays ---
-        if (this.overlays) {
-            const has = (v) => this.overlays.includes(v);
-
-            if (has(TILES.COLLECTIBLE)) {
-                items.push({ label: 'DNA fragment', draw(ctx) {
-                    drawCollectible(ctx, S / 2, S / 2, S);
-                }});
-            }
-            if (has(TILES.ICE)) {
-                items.push({ label: 'Ice (slide)', draw(ctx) {
-                    drawIce(ctx, 0, 0, S);
-                }});
-            }
-            if (has(TILES.EXIT)) {
-                items.push({ label: 'Exit portal', draw(ctx) {
-                    drawExit(ctx, S / 2, S / 2, S);
-                }});
-            }
-            if (has(TILES.SPIKES)) {
-                items.push({ label: 'Spikes (timed)', draw(ctx) {
-                    drawSpikes(ctx, 0, 0, S, true);
-                }});
+        // --- Mechanics present in this level ---
+        const overlays = this.overlays || [];
+        const entities = this.entities || [];
+        for (const mechanic of MECHANICS) {
+            for (const entry of mechanic.legend) {
+                let shown;
+                if (entry.entityType) shown = entities.some(e => e.type === entry.entityType);
+                else if (entry.flag) shown = !!(this.board && this.board[entry.flag]);
+                else shown = entry.tiles.some(t => overlays.includes(t));
+                if (shown) items.push({ label: entry.label, draw: (ctx) => entry.draw(ctx, S) });
             }
-            if (has(TILES.TELEPORTER)) {
-                items.push({ label: 'Teleporter', draw(ctx) {
-                    drawTeleporter(ctx, S / 2, S / 2, S, 0);
-                }});
-            }
-            if (has(TILES.GATE_UP) || has(TILES.GATE_DOWN) ||
-                has(TILES.GATE_LEFT) || has(TILES.GATE_RIGHT)) {
-                items.push({ label: 'One-way gate', draw(ctx) {
-                    drawGate(ctx, 0, 0, S, TILES.GATE_RIGHT);
-                }});
-            }
-            if (has(TILES.KEY)) {
-                items.push({ label: 'Key', draw(ctx) {
-                    drawKey(ctx, S / 2, S / 2, S, 0);
-                }});
-            }
-            if (has(TILES.DOOR)) {
-                items.push({ label: 'Locked door', draw(ctx) {
-                    drawDoor(ctx, 0, 0, S, 0);
-                }});
-            }
-        }
-
-        if (this.entities && this.entities.length > 0) {
-            items.push({ label: 'Patrol enemy', draw(ctx) {
-                // Draw at tile (0,0) with dx=1 (right-facing)
-                const cx = S / 2, cy = S / 2, r = S * 0.35;
-                ctx.save();
-                ctx.globalAlpha = 0.12;
-                ctx.fillStyle = '#ff6600';
-                ctx.fillRect(0, 0, S, S);
-                ctx.restore();
-                ctx.save();
-                ctx.fillStyle = '#ff4422';
-                ctx.globalAlpha = 0.9;
-                ctx.beginPath();
-                ctx.moveTo(cx + r, cy);
-                ctx.lineTo(cx - r * 0.6, cy - r * 0.7);
-                ctx.lineTo(cx - r * 0.6, cy + r * 0.7);
-                ctx.closePath();
-                ctx.fill();
-                ctx.strokeStyle = '#ff8844';
-                ctx.lineWidth = Math.max(1, S * 0.04);
-                ctx.stroke();
-                ctx.restore();
-                ctx.save();
-                ctx.fillStyle = '#ffcc00';
-                ctx.beginPath();
-                ctx.arc(cx + r * 0.15, cy, Math.max(1, S * 0.06), 0, Math.PI * 2);
-                ctx.fill();
-                ctx.restore();
-            }});
         }
 
         // Build legend HTML
@@ -1571,7 +1564,8 @@ export class Game {
             spikePhase: this.spikePhase,
             entities: this.entities,
             teleporterPairs: this.teleporterPairs,
-            keyDoorPairs: this.keyDoorPairs
+            keyDoorPairs: this.keyDoorPairs,
+            switchPairs: this.switchPairs
         });
     }
 
@@ -1599,6 +1593,9 @@ export class Game {
         const comparisonView = document.getElementById('comparison-view');
         const playView = document.getElementById('play-view');
         const observeView = document.getElementById('observe-view');
+        const libraryView = document.getElementById('library-view');
+        const museumView = document.getElementById('museum-view');
+        const atlasView = document.getElementById('atlas-view');
         const touchControls = document.getElementById('touch-controls');
         const phaseBar = document.getElementById('phase-bar');
 
@@ -1606,12 +1603,37 @@ export class Game {
         comparisonView.style.display = 'none';
         playView.style.display = 'none';
         observeView.style.display = 'none';
+        libraryView.style.display = 'none';
+        museumView.style.display = 'none';
+        atlasView.style.display = 'none';
 
         const isMobile = window.matchMedia('(max-width: 768px)').matches;
         touchControls.style.display = 'none';
 
         phaseBar.style.display = 'flex';
 
+        // Museum, atlas and library sit on top of whichever phase the tournament is in
+        if (this.museumOpen) {
+            museumView.style.display = 'block';
+            return;
+        }
+        if (this.atlasOpen) {
+            atlasView.style.display = 'block';
+            return;
+        }
+
+        const chooseBtn = playView.querySelector('.play-choose-btn');
+        if (chooseBtn) chooseBtn.style.display = this.libraryOpen ? 'none' : '';
+        if (this.libraryOpen) {
+            if (this.inLibrary) {
+                playView.style.display = 'block';
+                touchControls.style.display = (isMobile) ? 'flex' : 'none';
+            } else {
+                libraryView.style.display = 'block';
+            }
+            return;
+        }
+
         switch (phase) {
             case PHASES.CHOOSE:
                 if (this.isPlaying) {
@@ -1632,6 +1654,7 @@ export class Game {
     startTournament() {
         this.tournamentRound = 0;
         this.roundWinners = [];
+        this.roundWinnerMetrics = [];
         this.activeLevelIdx = null;
         this._buildTournamentPool();
         this.setPhase(PHASES.CHOOSE); // Show comparison view BEFORE generating (so overlay is visible)
@@ -1675,7 +1698,8 @@ export class Game {
         }
     }
 
-    _setupRound(roundIdx) {
+    // A resumed round passes the seeds its levels were saved as, reproducing them
+    _setupRound(roundIdx, seeds = null) {
         this.tournamentRound = roundIdx;
         this.activeLevelIdx = null;
 
@@ -1689,12 +1713,11 @@ export class Game {
         // Double rAF ensures the browser actually paints the overlay before
         // the heavy generation work blocks the main thread
         const doGenerate = () => {
-            for (const slot of this.roundSlots) {
+            this.roundSlots.forEach((slot, i) => {
                 slot.bot = new Bot(slot.genome);
                 slot.theme = resolveVisualTheme(slot.genome);
-                slot.completed = false;
 
-                const level = slot.genome.generateLevel();
+                const level = slot.genome.generateLevel(seeds ? seeds[i] : null);
                 slot.levelData = {
                     width: level.width,
                     height: level.height,
@@ -1704,13 +1727,24 @@ export class Game {
                     playerY: level.playerY,
                     entities: level.entities ? cloneEntities(level.entities) : [],
                     boxIceEnabled: !!level.boxIceEnabled,
+                    pullEnabled: !!level.pullEnabled,
                     teleporterPairs: level.teleporterPairs || [],
-                    keyDoorPairs: level.keyDoorPairs || []
+                    keyDoorPairs: level.keyDoorPairs || [],
+                    switchPairs: level.switchPairs || [],
+                    seed: level.seed,
+                    metrics: level.metrics,
+                    solutionPushes: level.solutionPushes
                 };
-            }
+                // A resumed level was binned, and its completion saved, the first time round
+                if (!seeds) {
+                    slot.completed = false;
+                    this.atlas.add(slot.genome, slot.levelData, 0);
+                }
+            });
 
             if (overlay) overlay.style.display = 'none';
             this._renderComparisonView();
+            this.saveGame();
         };
         // Two nested rAFs: first lets the overlay render, second runs generation after paint
         requestAnimationFrame(() => requestAnimationFrame(doGenerate));
@@ -1718,7 +1752,8 @@ export class Game {
 
     _renderComparisonView() {
         // Update round counter
-        document.getElementById('round-counter').textContent = `Round ${this.tournamentRound + 1} of 5`;
+        const island = this.archipelago.islands.length > 1 ? ` \u00b7 ${this.islandName}` : '';
+        document.getElementById('round-counter').textContent = `Round ${this.tournamentRound + 1} of 5${island}`;
 
         const cardsContainer = document.getElementById('preview-cards');
         // Clear existing cards
@@ -1742,7 +1777,8 @@ export class Game {
                 slot.theme, 180, slot.levelData.overlays, {
                     entities: slot.levelData.entities,
                     teleporterPairs: slot.levelData.teleporterPairs,
-                    keyDoorPairs: slot.levelData.keyDoorPairs
+                    keyDoorPairs: slot.levelData.keyDoorPairs,
+                    switchPairs: slot.levelData.switchPairs
                 });
             card.appendChild(previewCanvas);
 
@@ -1759,25 +1795,41 @@ export class Game {
             const traitsDiv = document.createElement('div');
             traitsDiv.className = 'preview-traits';
             let traitText = `${genes.gridSize}\u00d7${genes.gridSize} \u00b7 ${genes.boxCount} boxes \u00b7 ${dominantStyle}`;
-            if (genes.iceEnabled) traitText += genes.boxIceEnabled ? ' \u00b7 Box-Ice' : ' \u00b7 Ice';
-            if (genes.exitEnabled) traitText += ' \u00b7 Exit';
-            if (genes.spikeEnabled) traitText += ' \u00b7 Spikes';
-            if (genes.patrolEnabled) traitText += ' \u00b7 Patrol';
-            if (genes.teleporterEnabled) traitText += ' \u00b7 Teleporters';
-            if (genes.gateEnabled) traitText += ' \u00b7 Gates';
-            if (genes.keyDoorEnabled) traitText += ' \u00b7 Keys';
+            for (const mechanic of MECHANICS) {
+                if (mechanic.trait && mechanic.enabled(genes)) traitText += ` \u00b7 ${mechanic.trait(genes)}`;
+            }
             traitsDiv.textContent = traitText;
             card.appendChild(traitsDiv);
 
-            // Origin label (champion / child / wild card / founder)
+            // Level quality metrics (solver-measured)
+            const metrics = slot.levelData.metrics;
+            if (metrics) {
+                const metricsDiv = document.createElement('div');
+                metricsDiv.className = 'preview-metrics';
+                metricsDiv.textContent = formatMetrics(metrics);
+                metricsDiv.title = formatMetricsDetail(metrics);
+                card.appendChild(metricsDiv);
+            }
+
+            // Origin label (champion / child / migrant / atlas / fossil / wild card / founder)
             const lineageRec = this.population.lineage.find(r => r.id === slot.genome._id);
             let originText, originColor;
-            if (!lineageRec || lineageRec.parentIds.length === 0 && !lineageRec.isWildCard) {
+            if (!lineageRec || lineageRec.parentIds.length === 0 && !lineageRec.isWildCard &&
+                !lineageRec.isMigrant && !lineageRec.fromAtlas) {
                 originText = 'Founder';
                 originColor = '#9ca3af';
             } else if (lineageRec.isElite) {
                 originText = '\u2605 Champion';
                 originColor = '#fbbf24';
+            } else if (lineageRec.isMigrant) {
+                originText = `Migrant from ${lineageRec.fromIsland}`;
+                originColor = '#7dd3fc';
+            } else if (lineageRec.fromAtlas) {
+                originText = 'From the Atlas';
+                originColor = '#f9a8d4';
+            } else if (lineageRec.isFossil) {
+                originText = 'Fossil';
+                originColor = '#d6a36b';
             } else if (lineageRec.isWildCard) {
                 originText = 'Wild Card';
                 originColor = '#c4b5fd';
@@ -1796,7 +1848,7 @@ export class Game {
             checkDiv.className = 'preview-completed';
             checkDiv.id = `preview-check-${i}`;
             checkDiv.textContent = '\u2714 Solved';
-            checkDiv.style.display = 'none';
+            checkDiv.style.display = slot.completed ? 'block' : 'none';
             card.appendChild(checkDiv);
 
             // Button row
@@ -1828,60 +1880,82 @@ export class Game {
     expandLevel(idx) {
         this.activeLevelIdx = idx;
         const slot = this.roundSlots[idx];
+        this._loadLevel(slot.levelData, slot.theme);
 
-        // Load level into game state (always fresh)
+        // Update play view bot info
+        document.getElementById('play-bot-name').textContent = slot.bot.name;
+        document.getElementById('play-bot-name').style.color = slot.bot.colors.primary;
+
+        this.updateUI();
+        this.render();
+        this.updatePhaseUI();
+        this._updateLegend();
+    }
+
+    // Load a level into game state (always fresh) and keep a copy for reset
+    _loadLevel(levelData, theme) {
         this.currentLevel = -1;
-        this.currentTheme = slot.theme;
-        this.width = slot.levelData.width;
-        this.height = slot.levelData.height;
-        this.grid = [...slot.levelData.grid];
-        this.overlays = slot.levelData.overlays ? [...slot.levelData.overlays] : null;
-        this.playerX = slot.levelData.playerX;
-        this.playerY = slot.levelData.playerY;
+        this.currentTheme = theme;
+        this.width = levelData.width;
+        this.height = levelData.height;
+        this.grid = [...levelData.grid];
+        this.overlays = levelData.overlays ? [...levelData.overlays] : null;
+        this.playerX = levelData.playerX;
+        this.playerY = levelData.playerY;
         this.moves = 0;
         this.pushes = 0;
         this.history = [];
         this.won = false;
+        this.solverAssisted = false;
         this.dnaCollected = 0;
         this.damageTakenThisLevel = false;
         this.spikePhase = 0;
         this.spikeMoveCounter = 0;
-        this.entities = slot.levelData.entities
-            ? cloneEntities(slot.levelData.entities)
+        this.entities = levelData.entities
+            ? cloneEntities(levelData.entities)
             : [];
-        this.boxIceEnabled = !!slot.levelData.boxIceEnabled;
-        this.teleporterPairs = slot.levelData.teleporterPairs || [];
-        this._justTeleported = false;
-        this.keyDoorPairs = slot.levelData.keyDoorPairs || [];
-        this.keysCollected = new Set();
+        this.boxIceEnabled = !!levelData.boxIceEnabled;
+        this.pullEnabled = !!levelData.pullEnabled;
+        this.teleporterPairs = levelData.teleporterPairs || [];
+        this.keyDoorPairs = levelData.keyDoorPairs || [];
+        this.keysHeld = [];
+        this.switchPairs = levelData.switchPairs || [];
+        this.board = createBoard(levelData, {
+            boxIceEnabled: this.boxIceEnabled,
+            pullEnabled: this.pullEnabled,
+            spikeToggleInterval: this.spikeToggleInterval
+        });
 
         // Save for reset
         this.generatedLevelData = {
-            width: slot.levelData.width,
-            height: slot.levelData.height,
-            grid: [...slot.levelData.grid],
-            overlays: slot.levelData.overlays ? [...slot.levelData.overlays] : null,
-            playerX: slot.levelData.playerX,
-            playerY: slot.levelData.playerY,
-            entities: slot.levelData.entities
-                ? cloneEntities(slot.levelData.entities)
+            width: levelData.width,
+            height: levelData.height,
+            grid: [...levelData.grid],
+            overlays: levelData.overlays ? [...levelData.overlays] : null,
+            playerX: levelData.playerX,
+            playerY: levelData.playerY,
+            entities: levelData.entities
+                ? cloneEntities(levelData.entities)
                 : [],
-            boxIceEnabled: !!slot.levelData.boxIceEnabled,
-            teleporterPairs: slot.levelData.teleporterPairs || [],
-            keyDoorPairs: slot.levelData.keyDoorPairs || []
+            boxIceEnabled: !!levelData.boxIceEnabled,
+            pullEnabled: !!levelData.pullEnabled,
+            teleporterPairs: levelData.teleporterPairs || [],
+            keyDoorPairs: levelData.keyDoorPairs || [],
+            switchPairs: levelData.switchPairs || []
         };
-
-        // Update play view bot info
-        document.getElementById('play-bot-name').textContent = slot.bot.name;
-        document.getElementById('play-bot-name').style.color = slot.bot.colors.primary;
-
-        this.updateUI();
-        this.render();
-        this.updatePhaseUI();
-        this._updateLegend();
     }
 
     backToComparison() {
+        this._stopPlayback();
+
+        if (this.inLibrary) {
+            this.libraryLevelIdx = null;
+            document.getElementById('win-message').textContent = '';
+            this._hideLegend();
+            this._renderLibrary();
+            return;
+        }
+
         // Update the completed check if this level was solved
         if (this.activeLevelIdx !== null) {
             const slot = this.roundSlots[this.activeLevelIdx];
@@ -1898,8 +1972,12 @@ export class Game {
     }
 
     chooseWinner(idx) {
+        this._stopPlayback();
         const slot = this.roundSlots[idx];
         this.roundWinners.push(slot.genome);
+        if (slot.levelData.metrics) this.roundWinnerMetrics.push(slot.levelData.metrics);
+        // A win re-bins the level with the genome's win count as its quality
+        this.atlas.add(slot.genome, slot.levelData, this.roundWinners.filter(g => g === slot.genome).length);
         this.activeLevelIdx = null;
         document.getElementById('win-message').textContent = '';
 
@@ -1912,12 +1990,14 @@ export class Game {
     }
 
     _triggerTournamentBreed() {
-        const report = this.population.evolveFromWinners(this.roundWinners, this.currentTier);
+        const report = this.population.evolveFromWinners(this.roundWinners, this.currentTier, this.fossils);
+        report.migrations = this.archipelago.advance();
         this.lastBreedingReport = report;
         this.saveGenerationHistory();
 
         this._populateObserveOverlay();
         this.setPhase(PHASES.BREED);
+        this.saveGame();
     }
 
     // === OBSERVE OVERLAY ===
@@ -1953,10 +2033,21 @@ export class Game {
         const container = document.getElementById('observe-stats');
         container.textContent = '';
 
+        document.getElementById('observe-island').textContent =
+            this.archipelago.islands.length > 1 ? `${this.islandName} \u00b7 ` : '';
         document.getElementById('observe-generation').textContent =
             report ? report.generation : this.population.generation;
-
-        if (!report) return;
+        document.getElementById('mutation-rate').value = this.population.mutationRate;
+        document.getElementById('crossover-toggle').checked = this.population.crossoverMode === 'layer';
+        document.getElementById('speciation-toggle').checked = this.population.speciation;
+        document.getElementById('migration-rate').value = this.archipelago.migrationRate;
+        this._renderIslandList();
+
+        // Switched islands: nothing bred yet this visit
+        if (!report) {
+            this._renderFamilyTree();
+            return;
+        }
 
         // CHAMPION section
         const champHeader = document.createElement('div');
@@ -1981,7 +2072,10 @@ export class Game {
                 const parentLabel = rec.parent1Genome === rec.parent2Genome
                     ? `from ${p1} (self-cross)`
                     : `from ${p1} + ${p2}`;
-                container.appendChild(this._createBotLine(rec.genome, parentLabel));
+                // Social genes: where it leans, and any layer its novelty seeking re-rolled
+                const social = [conformityStance(rec.genome.genes.conformity).toLowerCase()];
+                if (rec.wildLayer) social.push(`wild ${rec.wildLayer}`);
+                container.appendChild(this._createBotLine(rec.genome, `${parentLabel} \u00b7 ${social.join(', ')}`));
             }
         }
 
@@ -1993,7 +2087,10 @@ export class Game {
             container.appendChild(wildcardHeader);
 
             for (const rec of wildcards) {
-                container.appendChild(this._createBotLine(rec.genome, 'Fresh genome — unknown lineage'));
+                const subtitle = rec.fossil
+                    ? `Fossil of ${rec.fossil.name} — revived from an extinct run`
+                    : 'Fresh genome — unknown lineage';
+                container.appendChild(this._createBotLine(rec.genome, subtitle));
             }
         }
 
@@ -2012,10 +2109,85 @@ export class Game {
             }
         }
 
+        // SPECIES section (speciation mode: which cultures coexist)
+        if (this.population.speciation) {
+            const speciesHeader = document.createElement('div');
+            speciesHeader.textContent = 'SPECIES';
+            speciesHeader.style.cssText = 'color: #f472b6; font-weight: bold; font-size: 0.85em; letter-spacing: 0.05em; margin-top: 12px; margin-bottom: 4px;';
+            container.appendChild(speciesHeader);
+
+            for (const species of this.population.species) {
+                const members = this.population.getSpeciesMembers(species.id);
+                const age = this.population.generation - species.bornGeneration;
+                let label = age === 0 ? 'new' : `${age} gen${age === 1 ? '' : 's'}`;
+                if (age < SPECIES_PROTECTION) label += ', protected';
+                const line = document.createElement('div');
+                line.textContent = `Species ${species.id} (${label}): ${members.map(g => new Bot(g).name).join(', ')}`;
+                line.style.cssText = 'font-size: 0.8em; color: #888; padding: 1px 0;';
+                container.appendChild(line);
+            }
+        }
+
+        // MIGRATION section (genomes copied between islands after this breed)
+        if (report.migrations && report.migrations.length > 0) {
+            const migrationHeader = document.createElement('div');
+            migrationHeader.textContent = 'MIGRATION';
+            migrationHeader.style.cssText = 'color: #7dd3fc; font-weight: bold; font-size: 0.85em; letter-spacing: 0.05em; margin-top: 12px; margin-bottom: 4px;';
+            container.appendChild(migrationHeader);
+
+            for (const m of report.migrations) {
+                const line = document.createElement('div');
+                line.textContent = `${m.from} \u2192 ${m.to}: ${m.names.join(', ')}`;
+                line.style.cssText = 'font-size: 0.8em; color: #888; padding: 1px 0;';
+                container.appendChild(line);
+            }
+        }
+
+        // YOUR PICKS section (average metrics of the levels chosen this tournament)
+        if (this.roundWinnerMetrics.length > 0) {
+            const picksHeader = document.createElement('div');
+            picksHeader.textContent = 'YOUR PICKS';
+            picksHeader.style.cssText = 'color: #60a5fa; font-weight: bold; font-size: 0.85em; letter-spacing: 0.05em; margin-top: 12px; margin-bottom: 4px;';
+            container.appendChild(picksHeader);
+
+            for (const text of this._summarizeWinnerMetrics()) {
+                const line = document.createElement('div');
+                line.textContent = text;
+                line.style.cssText = 'font-size: 0.8em; color: #888; padding: 1px 0;';
+                container.appendChild(line);
+            }
+        }
+
         // Render family tree
         this._renderFamilyTree();
     }
 
+    _summarizeWinnerMetrics() {
+        const all = this.roundWinnerMetrics;
+        const solved = all.filter(m => m.solved);
+        const avg = (list, key) => list.reduce((sum, m) => sum + m[key], 0) / list.length;
+
+        const lines = [];
+        if (solved.length > 0) {
+            lines.push(`Avg ${avg(solved, 'minPushes').toFixed(1)} pushes · ${avg(solved, 'moves').toFixed(1)} moves`);
+        }
+        const bounded = solved.filter(m => !m.optimal).length;
+        if (bounded > 0) {
+            lines.push(`${bounded} of ${all.length} counted from a known solution, not the shortest`);
+        }
+        if (solved.length < all.length) {
+            lines.push(`${all.length - solved.length} of ${all.length} beyond solver budget`);
+        }
+        lines.push(`Avg ${Math.round(avg(all, 'statesExplored'))} states explored`);
+        lines.push(`Dead ends ${pct(avg(all, 'deadEndRatio'))} · box–target ${avg(all, 'boxTargetDistance').toFixed(1)}`);
+
+        const decorated = solved.filter(m => m.overlayCount > 0);
+        if (decorated.length > 0) {
+            lines.push(`Overlays on solution path ${pct(avg(decorated, 'overlayPathRatio'))}`);
+        }
+        return lines;
+    }
+
     _renderFamilyTree() {
         const canvas = document.getElementById('family-tree-canvas');
         if (!canvas) return;
@@ -2220,23 +2392,199 @@ export class Game {
         this.startTournament();
     }
 
+    // Stability vs. exploration slider: mutation rate of the next breed
+    setMutationRate(value) {
+        this.population.mutationRate = Number(value);
+        this.saveGame();
+    }
+
+    // Layer crossover toggle: inherit linked gene layers whole, or gene by gene
+    setLayerCrossover(enabled) {
+        this.population.crossoverMode = enabled ? 'layer' : 'gene';
+        this.saveGame();
+    }
+
+    // Island buttons in the Breed view: tend another island, or found a new one
+    _renderIslandList() {
+        const list = document.getElementById('island-list');
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
+
+        this.archipelago.islands.forEach((island, i) => {
+            const btn = document.createElement('button');
+            btn.className = 'island-btn' + (i === this.activeIsland ? ' active' : '');
+            btn.textContent = `${island.name} \u00b7 G${island.population.generation}`;
+            btn.onclick = () => this.tendIsland(i);
+            list.appendChild(btn);
+        });
+
+        if (this.archipelago.islands.length < MAX_ISLANDS) {
+            const found = document.createElement('button');
+            found.className = 'island-btn';
+            found.textContent = '+ Found island';
+            found.title = 'Settle a new island with a fresh population';
+            found.onclick = () => this.foundIsland();
+            list.appendChild(found);
+        }
+    }
+
+    // Switch which island the next tournament breeds (Breed view only)
+    tendIsland(idx) {
+        if (idx === this.activeIsland || !this.archipelago.islands[idx]) return;
+        this.activeIsland = idx;
+        this.lastBreedingReport = null;
+        this._populateObserveOverlay();
+        this.saveGame();
+    }
+
+    foundIsland() {
+        if (this.archipelago.islands.length >= MAX_ISLANDS) return;
+        this.archipelago.foundIsland(`Island ${this.archipelago.islands.length + 1}`, 5, this.currentTier);
+        this.tendIsland(this.archipelago.islands.length - 1);
+    }
+
+    // Isolation vs. contact slider: share of each island that migrates
+    setMigrationRate(value) {
+        this.archipelago.migrationRate = Number(value);
+        this.saveGame();
+    }
+
+    // Speciation toggle: cluster the population into species from the next breed on
+    setSpeciation(enabled) {
+        this.population.setSpeciation(enabled);
+        this._populateObserveOverlay();
+        this.saveGame();
+    }
+
     saveGenerationHistory() {
         const stats = this.population.getStats();
         this.generationHistory.push({
+            island: this.islandName,
             generation: stats.generation,
             timestamp: Date.now(),
             averages: stats.averages,
             styleWeights: stats.styleWeights,
             visualAverages: stats.visualAverages,
+            socialAverages: stats.socialAverages,
             mechanicAverages: stats.mechanicAverages
         });
     }
 
+    // === PERSISTENCE ===
+
+    // Snapshot everything needed to resume the run. Genome references in the
+    // tournament are stored as indices into the current population.
+    // Tournament levels are saved as their seeds and regenerated on resume.
+    // A level in progress isn't saved — resuming returns to the comparison view.
+    saveGame() {
+        const genomes = this.population.getCurrentGeneration();
+        const indexOf = (genome) => genomes.indexOf(genome);
+
+        // The observe screen resumes at the next tournament, so its finished
+        // tournament doesn't need saving
+        const tournament = this.phase === PHASES.CHOOSE ? {
+            round: this.tournamentRound,
+            pool: this.tournamentPool.map(slot => ({
+                genomeIdx: indexOf(slot.genome),
+                seed: slot.levelData ? slot.levelData.seed : slot.seed ?? null,
+                completed: slot.completed
+            })),
+            winnerIdx: this.roundWinners.map(indexOf),
+            winnerMetrics: this.roundWinnerMetrics
+        } : null;
+
+        const saved = writeSave({
+            archipelago: this.archipelago.toJSON(),
+            activeIsland: this.activeIsland,
+            dnaBank: this.dnaBank,
+            vitality: this.vitality,
+            generationHistory: this.generationHistory,
+            tournament,
+            // Loaded collections are saved as their source text; the tutorial is built in
+            library: this.library && this.library.text !== null
+                ? { title: this.library.title, text: this.library.text }
+                : null,
+            libraryBest: this.libraryBest,
+            fossils: this.fossils,
+            atlas: this.atlas.toJSON()
+        });
+        // Storage full or disabled: say so rather than lose the run unnoticed
+        document.getElementById('save-error').style.display = saved ? 'none' : 'block';
+    }
+
+    // Restore a saved run. Returns false if there is nothing usable to resume.
+    loadGame() {
+        const save = loadSave();
+        if (!save || !save.archipelago) return false;
+
+        try {
+            this.archipelago = Archipelago.fromJSON(save.archipelago);
+        } catch (e) {
+            console.warn('[Game] Saved islands are unreadable, starting fresh', e);
+            return false;
+        }
+        if (this.archipelago.islands.length === 0) return false;
+        this.activeIsland = Math.min(save.activeIsland || 0, this.archipelago.islands.length - 1);
+        this.dnaBank = save.dnaBank || 0;
+        this.vitality = save.vitality ?? 3;
+        this.generationHistory = save.generationHistory || [];
+        this.lastBreedingReport = null;
+        this.libraryBest = save.libraryBest || {};
+        this.fossils = save.fossils || [];
+        this.atlas = save.atlas ? EliteArchive.fromJSON(save.atlas) : new EliteArchive();
+        if (save.library) {
+            this.library = loadCollection(save.library.text, save.library.title).collection;
+        }
+        this.updateUI();
+
+        // Died before the save: the fossil is already recorded
+        if (this.vitality <= 0) {
+            this._showDeathScreen();
+            return true;
+        }
+
+        const genomes = this.population.getCurrentGeneration();
+        const t = save.tournament;
+        const valid = t && t.pool.length === 15 &&
+            [...t.pool.map(s => s.genomeIdx), ...t.winnerIdx].every(i => genomes[i]);
+        if (!valid) {
+            this.startTournament();
+            return true;
+        }
+
+        this.tournamentPool = t.pool.map(slot => ({
+            genome: genomes[slot.genomeIdx],
+            bot: null,
+            theme: null,
+            levelData: null,
+            seed: slot.seed,
+            completed: slot.completed
+        }));
+        this.roundWinners = t.winnerIdx.map(i => genomes[i]);
+        this.roundWinnerMetrics = t.winnerMetrics || [];
+        this.activeLevelIdx = null;
+        this.setPhase(PHASES.CHOOSE);
+        this._resumeRound(t.round);
+        return true;
+    }
+
+    // Regenerate a saved round's levels from their seeds; a round saved
+    // before its levels were generated gets fresh ones
+    _resumeRound(roundIdx) {
+        const startIdx = roundIdx * 3;
+        const seeds = this.tournamentPool.slice(startIdx, startIdx + 3).map(slot => slot.seed);
+        this._setupRound(roundIdx, seeds.every(seed => seed !== null && seed !== undefined) ? seeds : null);
+    }
+
     clearState() {
         if (confirm('Clear all evolution history and restart? This cannot be undone.')) {
+            clearSave();
+            this.fossils = [];
+            this.atlas = new EliteArchive();
             this.dnaBank = 0;
             this.vitality = 3;
-            this.population = new Population(5, this.currentTier);
+            this._resetIslands(this.currentTier);
             this.generationHistory = [];
             this.startTournament();
         }
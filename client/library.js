@@ -0,0 +1,68 @@
+import { TILES } from '../shared/tiles.js';
+import { parseXSBCollection, levelToXSB } from '../shared/xsb.js';
+import { LEVELS } from './levels.js';
+
+/**
+ * Library mode helpers: level collections played outside the tournament.
+ *
+ * A collection is { title, text, levels } — text is the XSB/SOK source it was
+ * parsed from (null for the built-in tutorial), which is what gets saved.
+ * Best results are kept per level in a { [levelKey]: { moves, pushes } } map,
+ * keyed by board content so they survive reloading or renaming the file.
+ */
+
+/**
+ * The five hardcoded tutorial levels as a collection.
+ * Their grids mark the player with a PLAYER tile instead of playerX/playerY.
+ */
+export function tutorialCollection() {
+    const levels = LEVELS.map((level, i) => {
+        const playerIdx = level.grid.indexOf(TILES.PLAYER);
+        return {
+            width: level.width,
+            height: level.height,
+            grid: [...level.grid],
+            playerX: playerIdx % level.width,
+            playerY: Math.floor(playerIdx / level.width),
+            title: `Tutorial ${i + 1}`
+        };
+    });
+    return { title: 'Tutorial', text: null, levels };
+}
+
+/**
+ * Parse collection text into a collection.
+ * @param {string} text - XSB/SOK text
+ * @param {string} fallbackTitle - Used when the text doesn't name the collection
+ * @returns {{ collection: Object|null, errors: string[] }} collection is null if no level was playable
+ */
+export function loadCollection(text, fallbackTitle) {
+    const { title, levels, errors } = parseXSBCollection(text);
+    if (levels.length === 0) {
+        return { collection: null, errors: errors.length > 0 ? errors : ['No XSB boards found'] };
+    }
+    return { collection: { title: title || fallbackTitle, text, levels }, errors };
+}
+
+export function levelKey(level) {
+    return levelToXSB(level);
+}
+
+/**
+ * Record a finished level. Moves and pushes are tracked independently, as
+ * Sokoban scores usually are.
+ * @returns {{ moves: boolean, pushes: boolean }} Which records were beaten
+ */
+export function recordBest(best, level, moves, pushes) {
+    const key = levelKey(level);
+    const prev = best[key];
+    const improved = {
+        moves: !prev || moves < prev.moves,
+        pushes: !prev || pushes < prev.pushes
+    };
+    best[key] = {
+        moves: improved.moves ? moves : prev.moves,
+        pushes: improved.pushes ? pushes : prev.pushes
+    };
+    return improved;
+}
@@ -0,0 +1,65 @@
+import { Genome, Bot } from '../shared/genome.js';
+import { randomSeed } from '../shared/random.js';
+
+/**
+ * Museum of Extinct Civilizations: the fossil record of ended runs.
+ *
+ * A fossil is { genome, name, wins, generation, dnaBank, peakTier, genomes,
+ * levels, diedAt } — genome is the run's champion (the one that may return as
+ * a wild card, see Population.evolveFromWinners), genomes the whole final
+ * population as Genome JSON, and levels up to MUSEUM_LEVELS { genomeIdx, seed }
+ * pairs into it. Levels are stored as seeds and regenerated on viewing.
+ */
+
+export const MUSEUM_LEVELS = 3;
+
+/**
+ * Fossilize a run: its best genome by tournament wins, plus the seeds of a few
+ * levels its bots made (the current tournament's, champion's first; fresh
+ * seeds if none were generated yet).
+ * @param {Object} run - { population, roundWinners, tournamentPool, dnaBank, tier }
+ * @returns {Object} Fossil record
+ */
+export function fossilizeRun({ population, roundWinners, tournamentPool, dnaBank, tier }) {
+    const genomes = population.getCurrentGeneration();
+    const champion = population.getChampion(roundWinners);
+
+    const levels = [];
+    const played = tournamentPool
+        .filter(slot => slot.levelData && genomes.includes(slot.genome))
+        .sort((a, b) => (b.genome === champion) - (a.genome === champion));
+    for (const slot of played) {
+        if (levels.length >= MUSEUM_LEVELS) break;
+        const genomeIdx = genomes.indexOf(slot.genome);
+        if (levels.some(l => l.genomeIdx === genomeIdx)) continue;
+        levels.push({ genomeIdx, seed: slot.levelData.seed });
+    }
+    if (levels.length === 0) {
+        levels.push({ genomeIdx: genomes.indexOf(champion), seed: randomSeed() });
+    }
+
+    return {
+        genome: champion.toJSON(),
+        name: Bot.generateName(champion),
+        wins: roundWinners.filter(g => g === champion).length,
+        generation: population.generation,
+        dnaBank,
+        peakTier: tier,
+        genomes: genomes.map(g => g.toJSON()),
+        levels,
+        diedAt: Date.now()
+    };
+}
+
+/**
+ * Regenerate a fossil's representative levels (same genome + seed, same level).
+ * @param {Object} fossil - Fossil record
+ * @returns {Array<{ genome: Genome, level: Object }>}
+ */
+export function fossilLevels(fossil) {
+    const genomes = (fossil.genomes || [fossil.genome]).map(json => Genome.fromJSON(json));
+    return (fossil.levels || []).map(({ genomeIdx, seed }) => {
+        const genome = genomes[genomeIdx];
+        return { genome, level: genome.generateLevel(seed) };
+    });
+}
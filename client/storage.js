@@ -0,0 +1,119 @@
+/**
+ * Versioned save/load for game state in localStorage.
+ *
+ * Saves are plain JSON stamped with SAVE_VERSION. On load, older saves are
+ * passed through MIGRATIONS one version at a time until they reach the current
+ * version, so the rest of the game only ever sees the current shape.
+ *
+ * Adding genes usually needs no migration — the Genome constructor backfills
+ * missing genes with defaults. Write a migration when a save's meaning changes
+ * (renamed genes, new required fields, re-scaled values): bump SAVE_VERSION
+ * and add MIGRATIONS[oldVersion].
+ */
+
+export const SAVE_KEY = 'machina-ludens-save';
+export const SAVE_VERSION = 3;
+
+// MIGRATIONS[n](data) upgrades a version-n save to version n+1 and returns it.
+// Example for a future gene rename:
+//   1: (data) => {
+//       for (const g of data.population.genomes) {
+//           g.genes.newName = g.genes.oldName;
+//           delete g.genes.oldName;
+//       }
+//       return data;
+//   }
+export const MIGRATIONS = {
+    // v2: the single population became the first island of an archipelago
+    1: (data) => {
+        if (data.population) {
+            data.archipelago = { islands: [{ name: 'Island 1', population: data.population }] };
+            data.activeIsland = 0;
+            delete data.population;
+        }
+        return data;
+    },
+    // v3: tournament levels are saved as their seeds instead of in full
+    2: (data) => {
+        if (data.tournament) {
+            for (const slot of data.tournament.pool) {
+                slot.seed = slot.levelData ? slot.levelData.seed ?? null : null;
+                delete slot.levelData;
+            }
+        }
+        return data;
+    }
+};
+
+/**
+ * Upgrade a parsed save to SAVE_VERSION.
+ * @param {Object} data - Parsed save (must carry a numeric version)
+ * @returns {Object|null} Migrated save, or null if it can't be brought up to date
+ */
+export function migrateSave(data) {
+    if (!data || typeof data.version !== 'number') return null;
+    if (data.version > SAVE_VERSION) {
+        console.warn(`[Storage] Save version ${data.version} is newer than this build (${SAVE_VERSION}), ignoring`);
+        return null;
+    }
+
+    while (data.version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[data.version];
+        if (!migrate) {
+            console.warn(`[Storage] No migration from save version ${data.version}, ignoring`);
+            return null;
+        }
+        data = migrate(data);
+        data.version++;
+    }
+
+    return data;
+}
+
+/**
+ * Read and migrate the saved game.
+ * @returns {Object|null} Save data at SAVE_VERSION, or null if none/unreadable
+ */
+export function loadSave() {
+    let raw;
+    try {
+        raw = localStorage.getItem(SAVE_KEY);
+    } catch (e) {
+        return null; // Storage disabled (private mode, sandboxed iframe)
+    }
+    if (!raw) return null;
+
+    try {
+        return migrateSave(JSON.parse(raw));
+    } catch (e) {
+        console.warn('[Storage] Could not read save, starting fresh', e);
+        return null;
+    }
+}
+
+/**
+ * Write the game state, stamped with the current version.
+ * @param {Object} state - Serializable game state
+ * @returns {boolean} Whether the save was written
+ */
+export function writeSave(state) {
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify({
+            ...state,
+            version: SAVE_VERSION,
+            savedAt: Date.now()
+        }));
+        return true;
+    } catch (e) {
+        console.warn('[Storage] Could not write save', e);
+        return false;
+    }
+}
+
+export function clearSave() {
+    try {
+        localStorage.removeItem(SAVE_KEY);
+    } catch (e) {
+        // Nothing to clear if storage is unavailable
+    }
+}
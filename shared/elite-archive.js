@@ -0,0 +1,149 @@
+import { TILES } from './tiles.js';
+import { Genome } from './genome.js';
+import { getMechanicForTile, getMechanicForEntity } from './mechanic-registry.js';
+
+/**
+ * MAP-Elites archive: a quality-diversity grid of levels.
+ *
+ * Every generated level is measured along ARCHIVE_DIMENSIONS and binned into
+ * one cell per combination of bins; each cell keeps the genome behind its
+ * best level so far. Quality is supplied by the caller — the game uses the
+ * genome's tournament wins, so a level the player picks displaces one that
+ * was only generated.
+ */
+
+// bins: ascending thresholds — a value lands in the first bin whose threshold
+// it is below, or the last. measure() may return null (not measurable), which
+// goes to an extra 'unknown' bin after the rest.
+export const ARCHIVE_DIMENSIONS = [
+    {
+        key: 'walls', label: 'Wall density',
+        bins: [0.2, 0.28, 0.36], labels: ['<20%', '20-28%', '28-36%', '36%+'],
+        measure: (level) => level.grid.filter(t => t === TILES.WALL).length / level.grid.length
+    },
+    {
+        key: 'boxes', label: 'Boxes',
+        bins: [3, 5, 7], labels: ['1-2', '3-4', '5-6', '7+'],
+        measure: (level) => level.grid.filter(t => t === TILES.BOX || t === TILES.BOX_ON_TARGET).length
+    },
+    {
+        key: 'solution', label: 'Solution pushes',
+        bins: [8, 16, 30], labels: ['<8', '8-15', '16-29', '30+', 'unknown'],
+        // Levels the metrics found no solution for bin on the generator's own
+        // push count, an upper bound; only levels with neither (imports) are unknown
+        measure: (level) => (level.metrics && level.metrics.minPushes) ??
+            (level.solutionPushes ? level.solutionPushes.length : null)
+    },
+    {
+        key: 'mechanics', label: 'Active mechanics',
+        bins: [1, 3, 5], labels: ['0', '1-2', '3-4', '5+'],
+        measure: (level) => {
+            const names = new Set();
+            for (const tile of level.overlays || []) {
+                const mechanic = getMechanicForTile(tile);
+                if (mechanic) names.add(mechanic.name);
+            }
+            for (const entity of level.entities || []) {
+                const mechanic = getMechanicForEntity(entity);
+                if (mechanic) names.add(mechanic.name);
+            }
+            return names.size;
+        }
+    }
+];
+
+export const ARCHIVE_DIMENSION_MAP = new Map(ARCHIVE_DIMENSIONS.map(d => [d.key, d]));
+
+/**
+ * Bin index of a value along a dimension.
+ * @param {Object} dim - Entry of ARCHIVE_DIMENSIONS
+ * @param {number|null} value
+ * @returns {number}
+ */
+export function binIndex(dim, value) {
+    if (value === null || value === undefined) return dim.bins.length + 1;
+    const idx = dim.bins.findIndex(t => value < t);
+    return idx < 0 ? dim.bins.length : idx;
+}
+
+export class EliteArchive {
+    constructor() {
+        this.cells = {}; // cell key -> { genome (JSON), quality, features, seed }
+    }
+
+    // Measure a level along every dimension
+    static describe(level) {
+        const features = {};
+        for (const dim of ARCHIVE_DIMENSIONS) {
+            features[dim.key] = dim.measure(level);
+        }
+        return features;
+    }
+
+    // Cell key: bin indices in ARCHIVE_DIMENSIONS order
+    static cellKey(features) {
+        return ARCHIVE_DIMENSIONS.map(dim => binIndex(dim, features[dim.key])).join(',');
+    }
+
+    /**
+     * Bin a level. It becomes the cell's elite if the cell is empty or its
+     * quality is strictly higher than the current elite's.
+     * @param {Genome} genome - Genome that generated the level
+     * @param {Object} level - Generated level (grid, overlays, entities, metrics, seed)
+     * @param {number} quality - Higher is better
+     * @returns {boolean} Whether the level is now its cell's elite
+     */
+    add(genome, level, quality = 0) {
+        const features = EliteArchive.describe(level);
+        const key = EliteArchive.cellKey(features);
+        const current = this.cells[key];
+        if (current && quality <= current.quality) return false;
+
+        this.cells[key] = { genome: genome.toJSON(), quality, features, seed: level.seed ?? null };
+        return true;
+    }
+
+    get size() {
+        return Object.keys(this.cells).length;
+    }
+
+    // The elite genome of a cell, as a fresh Genome (new id), or null
+    getElite(key) {
+        const cell = this.cells[key];
+        return cell ? new Genome(cell.genome.genes) : null;
+    }
+
+    /**
+     * Flatten the archive onto two dimensions for display: each (x, y) bin pair
+     * maps to the best cell among those sharing it.
+     * @param {string} xKey - Dimension key for columns
+     * @param {string} yKey - Dimension key for rows
+     * @returns {Map<string, { key: string, cell: Object }>} "xBin,yBin" -> best cell
+     */
+    project(xKey, yKey) {
+        const xi = ARCHIVE_DIMENSIONS.findIndex(d => d.key === xKey);
+        const yi = ARCHIVE_DIMENSIONS.findIndex(d => d.key === yKey);
+        const projected = new Map();
+        for (const [key, cell] of Object.entries(this.cells)) {
+            const bins = key.split(',');
+            const at = `${bins[xi]},${bins[yi]}`;
+            const best = projected.get(at);
+            if (!best || cell.quality > best.cell.quality) {
+                projected.set(at, { key, cell });
+            }
+        }
+        return projected;
+    }
+
+    // Serialize to JSON
+    toJSON() {
+        return { cells: this.cells };
+    }
+
+    // Deserialize from JSON
+    static fromJSON(json) {
+        const archive = new EliteArchive();
+        archive.cells = json.cells || {};
+        return archive;
+    }
+}
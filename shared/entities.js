@@ -10,8 +10,9 @@ import { TILES } from './tiles.js';
  * Place patrol enemies on floor tiles.
  * Enemies are dynamic (like spikes) so they use allFloor tiles, not safeTiles.
  * Filters out tiles with overlays and tiles adjacent to player start.
+ * Uses `rng` (defaults to Math.random) for shuffling and initial direction.
  */
-export function placePatrolEntities(level, genes) {
+export function placePatrolEntities(level, genes, rng = Math.random) {
     const entities = [];
     const count = genes.patrolCount || 1;
     const w = level.width;
@@ -46,7 +47,7 @@ export function placePatrolEntities(level, genes) {
 
     // Shuffle candidates
     for (let i = candidates.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
     }
 
@@ -70,11 +71,11 @@ export function placePatrolEntities(level, genes) {
             // Choose longer axis
             let dx, dy;
             if (hLen >= vLen) {
-                dx = Math.random() < 0.5 ? 1 : -1;
+                dx = rng() < 0.5 ? 1 : -1;
                 dy = 0;
             } else {
                 dx = 0;
-                dy = Math.random() < 0.5 ? 1 : -1;
+                dy = rng() < 0.5 ? 1 : -1;
             }
 
             const entity = {
@@ -1,6 +1,9 @@
+import { MECHANICS } from './mechanic-registry.js';
+
 /**
  * Gene Registry — single source of truth for all gene definitions,
- * tier thresholds, and tier-gated access.
+ * tier thresholds, and tier-gated access. Structural, style and visual genes
+ * are defined here; each mechanic's genes come from its module.
  */
 
 export const TIER_THRESHOLDS = [
@@ -36,183 +39,168 @@ export function getNextTierInfo(dnaBank) {
 //   'circular'— float 0-1, mutated by ±delta, wraps around
 //   'binary'  — 0 or 1, flips with mutationRate
 //   'weight'  — integer 0-100, mutated by ±delta
+//
+// randomFn(rng) rolls a fresh value using the supplied PRNG (see random.js).
+//
+// Everything else derived per gene reads these fields, so a gene only needs
+// registering:
+//   layer           — 'structure', 'style', 'visual', 'social' or 'mechanic'
+//                     (set for mechanic genes); picks its section in Population.getStats
+//                     and links it to the rest of its layer under layer crossover
+//   mechanic        — name of the mechanic a mechanic gene belongs to (set for them)
+//   statKey         — its key there; defaults to the name, or for binary genes
+//                     the name minus 'Enabled' plus 'Percent' (iceEnabled -> icePercent)
+//   stat(avg)       — optional formatter for the population average; the default
+//                     goes by type (see formatStat)
+//   label, format(value, genes) — its line in Genome.describe; format may return
+//                     null to hide it, and genes sharing a label are joined by ' / '.
+//                     Describing a level, mechanic genes are hidden when their
+//                     mechanic didn't make it into the level
+//   affinityWeight  — weight in Bot.calculateAffinity (default 1)
+//   namePrime       — mechanic genes: multiplier in Bot.generateName's hash;
+//                     genes without one don't change bot names
+//   backfill(genes) — value for genomes saved before the gene existed; defaults
+//                     to defaultValue
+
+// Where a conformity value leans: toward the population or away from it
+export function conformityStance(conformity) {
+    if (conformity > 0.6) return 'Mainstream';
+    if (conformity < 0.4) return 'Avant-garde';
+    return 'Independent';
+}
+
+// Share of the style weights, in percent
+const styleShare = (v, g) => {
+    const total = g.styleClusters + g.styleMaze + g.styleCaves + g.styleClusteredRooms;
+    return total > 0 ? Math.round(v / total * 100) : 25;
+};
 
 export const GENE_REGISTRY = [
     // --- Tier 1: Structural ---
     {
-        name: 'gridSize', tier: 1, type: 'int',
+        name: 'gridSize', tier: 1, type: 'int', layer: 'structure',
         min: 9, max: 40, defaultValue: 9,
         mutationRate: 0.2, mutationDelta: 3,
-        randomFn: () => 9 + Math.floor(Math.random() * 32)
+        randomFn: (rng) => 9 + Math.floor(rng() * 32),
+        label: 'Grid Size', format: (v) => `${v}x${v}`
     },
     {
-        name: 'boxCount', tier: 1, type: 'int',
+        name: 'boxCount', tier: 1, type: 'int', layer: 'structure',
         min: 2, max: 15, defaultValue: 3,
         mutationRate: 0.2, mutationDelta: 1,
-        randomFn: () => 3 + Math.floor(Math.random() * 6)
+        randomFn: (rng) => 3 + Math.floor(rng() * 6),
+        label: 'Boxes', format: (v) => v
     },
     {
-        name: 'complexity', tier: 1, type: 'int',
+        name: 'complexity', tier: 1, type: 'int', layer: 'structure',
         min: 20, max: 200, defaultValue: 30,
         mutationRate: 0.2, mutationDelta: 10,
-        randomFn: () => 30 + Math.floor(Math.random() * 51)
+        randomFn: (rng) => 30 + Math.floor(rng() * 51),
+        label: 'Complexity', format: (v) => v
     },
     {
-        name: 'wallDensity', tier: 1, type: 'float',
+        name: 'wallDensity', tier: 1, type: 'float', layer: 'structure',
         min: 0.02, max: 0.3, defaultValue: 0.05,
         mutationRate: 0.2, mutationDelta: 0.03,
-        randomFn: () => 0.05 + Math.random() * 0.2
+        randomFn: (rng) => 0.05 + rng() * 0.2,
+        stat: (avg) => (avg * 100).toFixed(1) + '%',
+        label: 'Wall Density', format: (v) => `${(v * 100).toFixed(1)}%`
     },
 
     // --- Tier 1: Style weights ---
     {
-        name: 'styleClusters', tier: 1, type: 'weight',
+        name: 'styleClusters', tier: 1, type: 'weight', layer: 'style', statKey: 'clusters',
         min: 0, max: 100, defaultValue: 25,
         mutationRate: 0.2, mutationDelta: 15,
-        randomFn: () => Math.floor(Math.random() * 101)
+        randomFn: (rng) => Math.floor(rng() * 101),
+        label: 'Style', format: (v, g) => `Clusters ${styleShare(v, g)}%`
     },
     {
-        name: 'styleMaze', tier: 1, type: 'weight',
+        name: 'styleMaze', tier: 1, type: 'weight', layer: 'style', statKey: 'maze',
         min: 0, max: 100, defaultValue: 25,
         mutationRate: 0.2, mutationDelta: 15,
-        randomFn: () => Math.floor(Math.random() * 101)
+        randomFn: (rng) => Math.floor(rng() * 101),
+        label: 'Style', format: (v, g) => `Maze ${styleShare(v, g)}%`
     },
     {
-        name: 'styleCaves', tier: 1, type: 'weight',
+        name: 'styleCaves', tier: 1, type: 'weight', layer: 'style', statKey: 'caves',
         min: 0, max: 100, defaultValue: 25,
         mutationRate: 0.2, mutationDelta: 15,
-        randomFn: () => Math.floor(Math.random() * 101)
+        randomFn: (rng) => Math.floor(rng() * 101),
+        label: 'Style', format: (v, g) => `Caves ${styleShare(v, g)}%`
     },
     {
-        name: 'styleClusteredRooms', tier: 1, type: 'weight',
+        name: 'styleClusteredRooms', tier: 1, type: 'weight', layer: 'style', statKey: 'clusteredRooms',
         min: 0, max: 100, defaultValue: 25,
         mutationRate: 0.2, mutationDelta: 15,
-        randomFn: () => Math.floor(Math.random() * 101)
+        randomFn: (rng) => Math.floor(rng() * 101),
+        label: 'Style', format: (v, g) => `Rooms ${styleShare(v, g)}%`
     },
 
     // --- Tier 1: Visual ---
+    // Genomes from before the visual genes derive them from structure
     {
-        name: 'palette', tier: 1, type: 'circular',
+        name: 'palette', tier: 1, type: 'circular', layer: 'visual',
         min: 0, max: 1, defaultValue: 0.5,
         mutationRate: 0.2, mutationDelta: 0.08,
-        randomFn: () => Math.random()
+        randomFn: (rng) => rng(),
+        backfill: (g) => (g.gridSize - 7) / 73,
+        label: 'Palette', format: (v) => `${Math.round(v * 360)} deg`
     },
     {
-        name: 'tileStyle', tier: 1, type: 'float',
+        name: 'tileStyle', tier: 1, type: 'float', layer: 'visual',
         min: 0, max: 1, defaultValue: 0.5,
         mutationRate: 0.2, mutationDelta: 0.1,
-        randomFn: () => Math.random()
+        randomFn: (rng) => rng(),
+        backfill: (g) => Math.min(1, g.wallDensity / 0.3),
+        label: 'Tile Style', format: (v) => v < 0.33 ? 'Angular' : v < 0.66 ? 'Balanced' : 'Organic'
     },
     {
-        name: 'decoration', tier: 1, type: 'float',
+        name: 'decoration', tier: 1, type: 'float', layer: 'visual',
         min: 0, max: 1, defaultValue: 0.5,
         mutationRate: 0.2, mutationDelta: 0.08,
-        randomFn: () => Math.random()
+        randomFn: (rng) => rng(),
+        backfill: (g) => Math.min(1, (g.complexity - 20) / 180),
+        label: 'Decoration', format: (v) => v < 0.33 ? 'Minimal' : v < 0.66 ? 'Moderate' : 'Rich'
     },
 
-    // --- Tier 1: Collectibles ---
-    {
-        name: 'collectibleDensity', tier: 1, type: 'float',
-        min: 0, max: 1, defaultValue: 0.5,
-        mutationRate: 0.2, mutationDelta: 0.15,
-        randomFn: () => 0.3 + Math.random() * 0.5
-    },
+    // --- Mechanic genes (see mechanic-registry.js) ---
+    ...MECHANICS.flatMap(m => m.genes.map(g => ({ layer: 'mechanic', mechanic: m.name, ...g }))),
 
-    // --- Tier 2: Ice & Exit ---
+    // --- Tier 1: Social (GDD Layers 4-5) ---
+    // These shape breeding, not levels (see Genome.mutate, Genome.conform and
+    // Population._breedChild), so they don't count towards affinity.
+    // Rolled after the mechanic genes, so registering a new mechanic shifts
+    // these genes' seeded randomGenes rolls (the genes before them keep theirs)
     {
-        name: 'iceEnabled', tier: 2, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.5 ? 1 : 0
-    },
-    {
-        name: 'iceDensity', tier: 2, type: 'float',
-        min: 0, max: 1, defaultValue: 0,
+        name: 'noveltySeeking', tier: 1, type: 'float', layer: 'social',
+        min: 0, max: 1, defaultValue: 0.5,
         mutationRate: 0.2, mutationDelta: 0.1,
-        randomFn: () => Math.random() * 0.3
-    },
-    {
-        name: 'boxIceEnabled', tier: 2, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.3 ? 1 : 0
-    },
-    {
-        name: 'exitEnabled', tier: 2, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.5 ? 1 : 0
-    },
-    {
-        name: 'teleporterEnabled', tier: 2, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.5 ? 1 : 0
-    },
-    {
-        name: 'teleporterCount', tier: 2, type: 'int',
-        min: 1, max: 3, defaultValue: 1,
-        mutationRate: 0.2, mutationDelta: 1,
-        randomFn: () => 1 + Math.floor(Math.random() * 3)
-    },
-
-    // --- Tier 3: Spikes ---
-    {
-        name: 'spikeEnabled', tier: 3, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.5 ? 1 : 0
-    },
-    {
-        name: 'spikeDensity', tier: 3, type: 'float',
-        min: 0, max: 0.25, defaultValue: 0,
-        mutationRate: 0.2, mutationDelta: 0.05,
-        randomFn: () => Math.random() * 0.25
-    },
-
-    // --- Tier 3: Patrol enemies ---
-    {
-        name: 'patrolEnabled', tier: 3, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.5 ? 1 : 0
+        randomFn: (rng) => rng(),
+        affinityWeight: 0,
+        label: 'Novelty Seeking', format: (v) => `${(v * 100).toFixed(0)}%`
     },
     {
-        name: 'patrolCount', tier: 3, type: 'int',
-        min: 1, max: 3, defaultValue: 1,
-        mutationRate: 0.2, mutationDelta: 1,
-        randomFn: () => 1 + Math.floor(Math.random() * 3)
-    },
-
-    // --- Tier 3: One-way gates ---
-    {
-        name: 'gateEnabled', tier: 3, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.5 ? 1 : 0
-    },
-    {
-        name: 'gateDensity', tier: 3, type: 'float',
-        min: 0, max: 0.15, defaultValue: 0,
-        mutationRate: 0.2, mutationDelta: 0.03,
-        randomFn: () => Math.random() * 0.15
-    },
-
-    // --- Tier 3: Keys & Doors ---
-    {
-        name: 'keyDoorEnabled', tier: 3, type: 'binary',
-        min: 0, max: 1, defaultValue: 0,
-        mutationRate: 0.05, mutationDelta: 0,
-        randomFn: () => Math.random() < 0.5 ? 1 : 0
+        name: 'conformity', tier: 1, type: 'float', layer: 'social',
+        min: 0, max: 1, defaultValue: 0.5,
+        mutationRate: 0.2, mutationDelta: 0.1,
+        randomFn: (rng) => rng(),
+        affinityWeight: 0,
+        label: 'Conformity', format: (v) => conformityStance(v)
     },
     {
-        name: 'keyDoorCount', tier: 3, type: 'int',
-        min: 1, max: 2, defaultValue: 1,
+        name: 'influenceRadius', tier: 1, type: 'int', layer: 'social',
+        min: 1, max: 4, defaultValue: 4,
         mutationRate: 0.2, mutationDelta: 1,
-        randomFn: () => 1 + Math.floor(Math.random() * 2)
+        randomFn: (rng) => 1 + Math.floor(rng() * 4),
+        affinityWeight: 0,
+        label: 'Influence Radius', format: (v) => `${v} bot${v === 1 ? '' : 's'}`
     }
 ];
 
+// Linked gene groups, inherited whole under layer crossover (GDD 4.3)
+export const GENE_LAYERS = ['structure', 'style', 'visual', 'social', 'mechanic'];
+
 // O(1) lookup by gene name
 export const GENE_MAP = new Map(GENE_REGISTRY.map(g => [g.name, g]));
 
@@ -223,3 +211,36 @@ export function getAvailableGenes(tier) {
 export function getLockedGenes(tier) {
     return GENE_REGISTRY.filter(g => g.tier > tier);
 }
+
+export function getLayerGenes(layer) {
+    return GENE_REGISTRY.filter(g => g.layer === layer);
+}
+
+/**
+ * A gene's population average as reported by Population.getStats.
+ * Weight genes are reported as shares of their layer instead (see getStats).
+ */
+export function formatStat(def, avg) {
+    if (def.stat) return def.stat(avg);
+    switch (def.type) {
+        case 'binary':   return Math.round(avg * 100);
+        case 'int':      return avg.toFixed(1);
+        case 'circular': return Math.round(avg * 360);
+        default:         return avg.toFixed(2);
+    }
+}
+
+export function getStatKey(def) {
+    if (def.statKey) return def.statKey;
+    return def.type === 'binary' ? def.name.replace(/Enabled$/, '') + 'Percent' : def.name;
+}
+
+/**
+ * Distance between two values of a gene, normalized to 0-1 by its range
+ * (circular genes wrap around).
+ */
+export function geneDistance(def, a, b) {
+    const d = Math.abs(a - b);
+    if (def.type === 'circular') return Math.min(d, 1 - d);
+    return def.max > def.min ? d / (def.max - def.min) : 0;
+}
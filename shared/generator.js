@@ -4,30 +4,32 @@ import { TILES } from './tiles.js';
 // Based on Taylor & Parberry (2011) approach
 
 export class SokobanGenerator {
-    constructor(width = 8, height = 8, boxCount = 3, complexity = 20, wallDensity = 0, styleWeights = null) {
+    constructor(width = 8, height = 8, boxCount = 3, complexity = 20, wallDensity = 0, styleWeights = null, rng = Math.random, pullShare = 0) {
         this.width = width;
         this.height = height;
         this.boxCount = boxCount;
         this.complexity = complexity;
         this.wallDensity = wallDensity; // 0-0.15, probability of internal walls
         this.styleWeights = styleWeights || { clusters: 25, maze: 25, caves: 25, clusteredRooms: 25 };
+        this.rng = rng; // PRNG returning [0, 1) — seeded for reproducible levels
+        this.pullShare = pullShare; // share of reverse moves that are reverse pulls (pull levels)
     }
 
     // Static method to generate with random parameters
-    static generateRandom() {
+    static generateRandom(rng = Math.random) {
         // Vary grid size (7x7 to 10x10)
-        const size = 7 + Math.floor(Math.random() * 4);
+        const size = 7 + Math.floor(rng() * 4);
 
         // Vary box count (2 to 5)
-        const boxes = 2 + Math.floor(Math.random() * 4);
+        const boxes = 2 + Math.floor(rng() * 4);
 
         // Vary complexity (20 to 50 reverse moves)
-        const complexity = 20 + Math.floor(Math.random() * 31);
+        const complexity = 20 + Math.floor(rng() * 31);
 
         // Vary wall density (0% to 10% chance of internal walls)
-        const wallDensity = Math.random() * 0.1;
+        const wallDensity = rng() * 0.1;
 
-        const generator = new SokobanGenerator(size, size, boxes, complexity, wallDensity);
+        const generator = new SokobanGenerator(size, size, boxes, complexity, wallDensity, null, rng);
         return generator.generate();
     }
 
@@ -104,9 +106,10 @@ export class SokobanGenerator {
         // Step 5: PULL boxes away from targets (reverse moves)
         const state = this.reversePlay(grid, boxes, playerPos, targets);
 
-        // Step 6: Validate no boxes ended up in deadlocks
+        // Step 6: Validate no boxes ended up in deadlocks (push deadlocks —
+        // on pull levels a box against a wall can be pulled off it)
         for (const box of state.boxes) {
-            if (this.isDeadlock(state.grid, box, targets)) {
+            if (this.pullShare === 0 && this.isDeadlock(state.grid, box, targets)) {
                 failReasons['deadlock'] = (failReasons['deadlock'] || 0) + 1;
                 return null;
             }
@@ -179,7 +182,7 @@ export class SokobanGenerator {
         }
 
         // Step 9: Build final grid
-        return this.buildFinalGrid(state.grid, state.boxes, state.playerPos, targets, state.solutionPath);
+        return this.buildFinalGrid(state.grid, state.boxes, state.playerPos, targets, state.solutionPath, state.solutionPushes);
     }
 
     // Permissive generation: only checks deadlock, skips spacing/moves.
@@ -197,13 +200,13 @@ export class SokobanGenerator {
 
         // Only check deadlocks
         for (const box of state.boxes) {
-            if (this.isDeadlock(state.grid, box, targets)) return null;
+            if (this.pullShare === 0 && this.isDeadlock(state.grid, box, targets)) return null;
         }
 
         // Require at least 1 box off its target (otherwise puzzle is already solved)
         if (state.boxes.every(b => targets.includes(b))) return null;
 
-        return this.buildFinalGrid(state.grid, state.boxes, state.playerPos, targets, state.solutionPath);
+        return this.buildFinalGrid(state.grid, state.boxes, state.playerPos, targets, state.solutionPath, state.solutionPushes);
     }
 
     // === WEIGHT-BASED STYLE DISPATCH ===
@@ -212,7 +215,7 @@ export class SokobanGenerator {
         const w = this.styleWeights;
         const total = w.clusters + w.maze + w.caves + w.clusteredRooms;
         if (total === 0) return 'clusters'; // fallback
-        const roll = Math.random() * total;
+        const roll = this.rng() * total;
         let acc = 0;
         acc += w.clusters;   if (roll < acc) return 'clusters';
         acc += w.maze;       if (roll < acc) return 'maze';
@@ -270,9 +273,9 @@ export class SokobanGenerator {
         // Place multiple clusters using random-walk growth from seed points
         const numClusters = Math.max(1, Math.floor(wallBudget / 4));
         for (let c = 0; c < numClusters && wallsPlaced < wallBudget; c++) {
-            const seedX = 2 + Math.floor(Math.random() * Math.max(1, this.width - 4));
-            const seedY = 2 + Math.floor(Math.random() * Math.max(1, this.height - 4));
-            const clusterSize = 2 + Math.floor(Math.random() * 5); // 2-6 tiles
+            const seedX = 2 + Math.floor(this.rng() * Math.max(1, this.width - 4));
+            const seedY = 2 + Math.floor(this.rng() * Math.max(1, this.height - 4));
+            const clusterSize = 2 + Math.floor(this.rng() * 5); // 2-6 tiles
             wallsPlaced += this.growCluster(grid, seedX, seedY, Math.min(clusterSize, wallBudget - wallsPlaced));
         }
         // Add structured obstacles for extra variety
@@ -308,18 +311,18 @@ export class SokobanGenerator {
         if (depth >= maxDepth || w < 5 || h < 5) return;
 
         // Split along longer axis (70/30 bias toward longer)
-        const splitHorizontal = (h > w) ? (Math.random() < 0.7) :
-                                (w > h) ? (Math.random() < 0.3) :
-                                (Math.random() < 0.5);
+        const splitHorizontal = (h > w) ? (this.rng() < 0.7) :
+                                (w > h) ? (this.rng() < 0.3) :
+                                (this.rng() < 0.5);
 
         if (splitHorizontal) {
             // Horizontal wall line
-            const wy = y1 + 2 + Math.floor(Math.random() * Math.max(1, h - 4));
+            const wy = y1 + 2 + Math.floor(this.rng() * Math.max(1, h - 4));
             const gapCount = 1 + (w > 8 ? 1 : 0);
             const gaps = new Set();
             for (let g = 0; g < gapCount; g++) {
-                const gapStart = x1 + Math.floor(Math.random() * Math.max(1, w - 2));
-                const gapSize = 2 + Math.floor(Math.random() * 2); // 2-3 tile gap
+                const gapStart = x1 + Math.floor(this.rng() * Math.max(1, w - 2));
+                const gapSize = 2 + Math.floor(this.rng() * 2); // 2-3 tile gap
                 for (let gx = gapStart; gx < gapStart + gapSize && gx <= x2; gx++) {
                     gaps.add(gx);
                 }
@@ -333,12 +336,12 @@ export class SokobanGenerator {
             this.subdivide(grid, x1, wy + 1, x2, y2, depth + 1, maxDepth);
         } else {
             // Vertical wall line
-            const wx = x1 + 2 + Math.floor(Math.random() * Math.max(1, w - 4));
+            const wx = x1 + 2 + Math.floor(this.rng() * Math.max(1, w - 4));
             const gapCount = 1 + (h > 8 ? 1 : 0);
             const gaps = new Set();
             for (let g = 0; g < gapCount; g++) {
-                const gapStart = y1 + Math.floor(Math.random() * Math.max(1, h - 2));
-                const gapSize = 2 + Math.floor(Math.random() * 2);
+                const gapStart = y1 + Math.floor(this.rng() * Math.max(1, h - 2));
+                const gapSize = 2 + Math.floor(this.rng() * 2);
                 for (let gy = gapStart; gy < gapStart + gapSize && gy <= y2; gy++) {
                     gaps.add(gy);
                 }
@@ -363,12 +366,12 @@ export class SokobanGenerator {
                 if (x === 0 || x === this.width - 1 || y === 0 || y === this.height - 1) {
                     grid.push(TILES.WALL);
                 } else {
-                    grid.push(Math.random() < wallProb ? TILES.WALL : TILES.FLOOR);
+                    grid.push(this.rng() < wallProb ? TILES.WALL : TILES.FLOOR);
                 }
             }
         }
         // Run 4-5 cellular automata iterations
-        const iterations = 4 + Math.floor(Math.random() * 2);
+        const iterations = 4 + Math.floor(this.rng() * 2);
         for (let iter = 0; iter < iterations; iter++) {
             const next = [...grid];
             for (let y = 1; y < this.height - 1; y++) {
@@ -462,10 +465,10 @@ export class SokobanGenerator {
         const maxAttempts = roomCount * 20;
         while (rooms.length < roomCount && attempts < maxAttempts) {
             attempts++;
-            const rw = minSide + Math.floor(Math.random() * (maxSide - minSide + 1));
-            const rh = minSide + Math.floor(Math.random() * (maxSide - minSide + 1));
-            const rx = 2 + Math.floor(Math.random() * Math.max(1, this.width - rw - 3));
-            const ry = 2 + Math.floor(Math.random() * Math.max(1, this.height - rh - 3));
+            const rw = minSide + Math.floor(this.rng() * (maxSide - minSide + 1));
+            const rh = minSide + Math.floor(this.rng() * (maxSide - minSide + 1));
+            const rx = 2 + Math.floor(this.rng() * Math.max(1, this.width - rw - 3));
+            const ry = 2 + Math.floor(this.rng() * Math.max(1, this.height - rh - 3));
             let overlaps = false;
             for (const room of rooms) {
                 if (rx - 1 < room.x + room.w && rx + rw + 1 > room.x &&
@@ -487,10 +490,10 @@ export class SokobanGenerator {
             this.carveCorridor(grid, rooms[i - 1].cx, rooms[i - 1].cy,
                                      rooms[i].cx, rooms[i].cy);
         }
-        const extras = 1 + Math.floor(Math.random() * 2);
+        const extras = 1 + Math.floor(this.rng() * 2);
         for (let i = 0; i < extras && rooms.length >= 2; i++) {
-            const a = Math.floor(Math.random() * rooms.length);
-            let b = Math.floor(Math.random() * rooms.length);
+            const a = Math.floor(this.rng() * rooms.length);
+            let b = Math.floor(this.rng() * rooms.length);
             if (b === a) b = (a + 1) % rooms.length;
             this.carveCorridor(grid, rooms[a].cx, rooms[a].cy,
                                      rooms[b].cx, rooms[b].cy);
@@ -500,15 +503,15 @@ export class SokobanGenerator {
         for (const room of rooms) {
             const roomArea = room.w * room.h;
             if (roomArea >= 20) {
-                const numClusters = 1 + Math.floor(Math.random() * 3);
+                const numClusters = 1 + Math.floor(this.rng() * 3);
                 for (let c = 0; c < numClusters; c++) {
-                    const sx = room.x + 1 + Math.floor(Math.random() * Math.max(1, room.w - 2));
-                    const sy = room.y + 1 + Math.floor(Math.random() * Math.max(1, room.h - 2));
-                    this.growCluster(grid, sx, sy, 2 + Math.floor(Math.random() * 3),
+                    const sx = room.x + 1 + Math.floor(this.rng() * Math.max(1, room.w - 2));
+                    const sy = room.y + 1 + Math.floor(this.rng() * Math.max(1, room.h - 2));
+                    this.growCluster(grid, sx, sy, 2 + Math.floor(this.rng() * 3),
                         room.x + 1, room.y + 1, room.x + room.w - 2, room.y + room.h - 2);
                 }
             }
-            if (roomArea >= 30 && Math.random() < 0.5) {
+            if (roomArea >= 30 && this.rng() < 0.5) {
                 this.addStructuredObstaclesInRoom(grid, room);
             }
         }
@@ -518,9 +521,9 @@ export class SokobanGenerator {
 
     addStructuredObstaclesInRoom(grid, room) {
         // Place a single structured obstacle inside a room's bounds
-        const cx = room.x + 1 + Math.floor(Math.random() * Math.max(1, room.w - 3));
-        const cy = room.y + 1 + Math.floor(Math.random() * Math.max(1, room.h - 3));
-        const pattern = Math.floor(Math.random() * 4);
+        const cx = room.x + 1 + Math.floor(this.rng() * Math.max(1, room.w - 3));
+        const cy = room.y + 1 + Math.floor(this.rng() * Math.max(1, room.h - 3));
+        const pattern = Math.floor(this.rng() * 4);
         switch (pattern) {
             case 0: // Single wall
                 this.setTileIfFloor(grid, cx, cy, TILES.WALL);
@@ -553,33 +556,33 @@ export class SokobanGenerator {
 
     overlayScatterClusters(grid) {
         // Scatter a few extra small wall clusters onto floor tiles
-        const count = 1 + Math.floor(Math.random() * 3);
+        const count = 1 + Math.floor(this.rng() * 3);
         for (let c = 0; c < count; c++) {
-            const sx = 2 + Math.floor(Math.random() * Math.max(1, this.width - 4));
-            const sy = 2 + Math.floor(Math.random() * Math.max(1, this.height - 4));
+            const sx = 2 + Math.floor(this.rng() * Math.max(1, this.width - 4));
+            const sy = 2 + Math.floor(this.rng() * Math.max(1, this.height - 4));
             if (grid[sy * this.width + sx] === TILES.FLOOR) {
-                this.growCluster(grid, sx, sy, 1 + Math.floor(Math.random() * 3));
+                this.growCluster(grid, sx, sy, 1 + Math.floor(this.rng() * 3));
             }
         }
     }
 
     overlaySubdivisionWalls(grid) {
         // Add 1-2 subdivision walls with gaps across existing floor space
-        const count = 1 + Math.floor(Math.random() * 2);
+        const count = 1 + Math.floor(this.rng() * 2);
         for (let i = 0; i < count; i++) {
-            const isVertical = Math.random() < 0.5;
+            const isVertical = this.rng() < 0.5;
             if (isVertical) {
-                const wx = 3 + Math.floor(Math.random() * Math.max(1, this.width - 6));
-                const gapStart = 2 + Math.floor(Math.random() * Math.max(1, this.height - 6));
-                const gapSize = 2 + Math.floor(Math.random() * 2);
+                const wx = 3 + Math.floor(this.rng() * Math.max(1, this.width - 6));
+                const gapStart = 2 + Math.floor(this.rng() * Math.max(1, this.height - 6));
+                const gapSize = 2 + Math.floor(this.rng() * 2);
                 for (let y = 1; y < this.height - 1; y++) {
                     if (y >= gapStart && y < gapStart + gapSize) continue;
                     this.setTileIfFloor(grid, wx, y, TILES.WALL);
                 }
             } else {
-                const wy = 3 + Math.floor(Math.random() * Math.max(1, this.height - 6));
-                const gapStart = 2 + Math.floor(Math.random() * Math.max(1, this.width - 6));
-                const gapSize = 2 + Math.floor(Math.random() * 2);
+                const wy = 3 + Math.floor(this.rng() * Math.max(1, this.height - 6));
+                const gapStart = 2 + Math.floor(this.rng() * Math.max(1, this.width - 6));
+                const gapSize = 2 + Math.floor(this.rng() * 2);
                 for (let x = 1; x < this.width - 1; x++) {
                     if (x >= gapStart && x < gapStart + gapSize) continue;
                     this.setTileIfFloor(grid, x, wy, TILES.WALL);
@@ -590,7 +593,7 @@ export class SokobanGenerator {
 
     overlayCaveSmoothing(grid) {
         // Run 1-2 cellular automata smoothing iterations (softens edges)
-        const iterations = 1 + Math.floor(Math.random() * 2);
+        const iterations = 1 + Math.floor(this.rng() * 2);
         for (let iter = 0; iter < iterations; iter++) {
             const next = [...grid];
             for (let y = 1; y < this.height - 1; y++) {
@@ -610,7 +613,7 @@ export class SokobanGenerator {
 
     overlayEdgeClusters(grid) {
         // Add small wall clusters near existing wall edges
-        const count = 1 + Math.floor(Math.random() * 3);
+        const count = 1 + Math.floor(this.rng() * 3);
         for (let c = 0; c < count; c++) {
             // Find a random floor tile adjacent to a wall
             const candidates = [];
@@ -623,8 +626,8 @@ export class SokobanGenerator {
                 }
             }
             if (candidates.length > 0) {
-                const pick = candidates[Math.floor(Math.random() * candidates.length)];
-                this.growCluster(grid, pick.x, pick.y, 1 + Math.floor(Math.random() * 2));
+                const pick = candidates[Math.floor(this.rng() * candidates.length)];
+                this.growCluster(grid, pick.x, pick.y, 1 + Math.floor(this.rng() * 2));
             }
         }
     }
@@ -644,7 +647,7 @@ export class SokobanGenerator {
                 }
             }
             // Random walk
-            const dir = Math.floor(Math.random() * 4);
+            const dir = Math.floor(this.rng() * 4);
             if (dir === 0) cx++;
             else if (dir === 1) cx--;
             else if (dir === 2) cy++;
@@ -655,7 +658,7 @@ export class SokobanGenerator {
 
     carveCorridor(grid, x1, y1, x2, y2) {
         // L-shaped corridor: horizontal then vertical (or vice versa randomly)
-        if (Math.random() < 0.5) {
+        if (this.rng() < 0.5) {
             this.carveHLine(grid, x1, x2, y1);
             this.carveVLine(grid, y1, y2, x2);
         } else {
@@ -757,17 +760,17 @@ export class SokobanGenerator {
         // Scale obstacle count with grid size, but cap for small grids
         const gridSize = Math.max(this.width, this.height);
         const numObstacles = gridSize <= 10
-            ? 1 + Math.floor(Math.random() * 2)   // 1-2 for small grids
+            ? 1 + Math.floor(this.rng() * 2)   // 1-2 for small grids
             : 2 + Math.floor(gridSize / 5);        // 2+ for larger grids
 
         for (let i = 0; i < numObstacles; i++) {
             // Small grids: only use simpler patterns (0-3) to avoid deadlock-heavy shapes
             const maxPattern = gridSize <= 10 ? 4 : 7;
-            const pattern = Math.floor(Math.random() * maxPattern);
+            const pattern = Math.floor(this.rng() * maxPattern);
 
             // Pick a random center point (avoiding edges)
-            const cx = 3 + Math.floor(Math.random() * Math.max(1, this.width - 6));
-            const cy = 3 + Math.floor(Math.random() * Math.max(1, this.height - 6));
+            const cx = 3 + Math.floor(this.rng() * Math.max(1, this.width - 6));
+            const cy = 3 + Math.floor(this.rng() * Math.max(1, this.height - 6));
 
             switch(pattern) {
                 case 0: // Single wall
@@ -809,10 +812,10 @@ export class SokobanGenerator {
 
         // Add a random interior wall segment to break up the open space
         const maxSegLen = gridSize <= 10 ? 2 : 4;
-        const segLen = 2 + Math.floor(Math.random() * Math.max(1, maxSegLen - 1));
-        const horizontal = Math.random() < 0.5;
-        const sx = 2 + Math.floor(Math.random() * Math.max(1, this.width - 4 - (horizontal ? segLen : 0)));
-        const sy = 2 + Math.floor(Math.random() * Math.max(1, this.height - 4 - (horizontal ? 0 : segLen)));
+        const segLen = 2 + Math.floor(this.rng() * Math.max(1, maxSegLen - 1));
+        const horizontal = this.rng() < 0.5;
+        const sx = 2 + Math.floor(this.rng() * Math.max(1, this.width - 4 - (horizontal ? segLen : 0)));
+        const sy = 2 + Math.floor(this.rng() * Math.max(1, this.height - 4 - (horizontal ? 0 : segLen)));
         for (let s = 0; s < segLen; s++) {
             if (horizontal) {
                 this.setTileIfFloor(grid, sx + s, sy, TILES.WALL);
@@ -1176,7 +1179,7 @@ export class SokobanGenerator {
         }
 
         if (candidates.length === 0) return -1;
-        return candidates[Math.floor(Math.random() * candidates.length)];
+        return candidates[Math.floor(this.rng() * candidates.length)];
     }
 
     reversePlay(grid, boxes, playerPos, targets) {
@@ -1190,6 +1193,11 @@ export class SokobanGenerator {
         // The undo of a pull (= the forward game push) is:
         //   - Player at boxPos + 2d pushes box from boxPos + d back to boxPos
         //   - Player is already in the correct position, so solvability is guaranteed.
+        //
+        // On pull levels (pullShare > 0) that share of moves are reverse pulls
+        // instead: the player pushes the box from boxPos to boxPos + d, stepping
+        // into boxPos. Forward, the player pulls it back, so the solution needs
+        // pulls — especially once a box has been pushed against a wall.
 
         const state = {
             grid: [...grid],
@@ -1217,20 +1225,54 @@ export class SokobanGenerator {
 
         let successfulMoves = 0;
 
+        // The forward game's box moves, last first: { box, dx, dy, pull } moves
+        // the box at box one tile (dx, dy), pushed or pulled
+        const forwardMoves = [];
+
         // Cache player reachability — only recompute after a successful pull
         let reachable = this.getPlayerReachable(state.grid, state.playerPos, boxSet);
 
         const maxSteps = this.complexity * 3;
         for (let step = 0; step < maxSteps && successfulMoves < this.complexity; step++) {
             // Pick random box
-            const boxIdx = Math.floor(Math.random() * state.boxes.length);
+            const boxIdx = Math.floor(this.rng() * state.boxes.length);
             const boxPos = state.boxes[boxIdx];
             const boxX = boxPos % this.width;
             const boxY = Math.floor(boxPos / this.width);
+            // No extra roll on push-only levels, so their seeds still reproduce
+            const reversePull = this.pullShare > 0 && this.rng() < this.pullShare;
 
             this.shuffle(moves);
 
             for (const [dx, dy] of moves) {
+                if (reversePull) {
+                    // Player pushes from boxPos - d; box moves to boxPos + d
+                    const newBoxX = boxX + dx;
+                    const newBoxY = boxY + dy;
+                    const fromX = boxX - dx;
+                    const fromY = boxY - dy;
+                    if (!this.isValidPosition(newBoxX, newBoxY)) continue;
+                    if (!this.isValidPosition(fromX, fromY)) continue;
+
+                    const newBoxPos = newBoxY * this.width + newBoxX;
+                    if (state.grid[newBoxPos] === TILES.WALL) continue;
+                    if (boxSet.has(newBoxPos)) continue;
+                    if (!reachable.has(fromY * this.width + fromX)) continue;
+
+                    boxSet.delete(boxPos);
+                    boxSet.add(newBoxPos);
+                    state.boxes[boxIdx] = newBoxPos;
+                    state.playerPos = boxPos;
+                    successfulMoves++;
+                    forwardMoves.push({ box: newBoxPos, dx: -dx, dy: -dy, pull: true });
+
+                    solutionPath.add(boxPos);
+                    solutionPath.add(newBoxPos);
+
+                    reachable = this.getPlayerReachable(state.grid, state.playerPos, boxSet);
+                    break;
+                }
+
                 // Pull direction d = (dx, dy): box moves from boxPos to boxPos + d
                 const newBoxX = boxX + dx;
                 const newBoxY = boxY + dy;
@@ -1277,6 +1319,7 @@ export class SokobanGenerator {
                 state.boxes[boxIdx] = newBoxPos;
                 state.playerPos = playerDest;
                 successfulMoves++;
+                forwardMoves.push({ box: newBoxPos, dx: -dx, dy: -dy, pull: false });
 
                 // Record solution path positions
                 solutionPath.add(playerDest);
@@ -1297,10 +1340,13 @@ export class SokobanGenerator {
 
         state.successfulMoves = successfulMoves;
         state.solutionPath = solutionPath;
+        state.solutionPushes = forwardMoves.reverse();
         return state;
     }
 
-    buildFinalGrid(grid, boxes, playerPos, targets, solutionPath = null) {
+    // solutionPushes: reverse play's box moves in forward order, a known
+    // solution (see solver.followPushes)
+    buildFinalGrid(grid, boxes, playerPos, targets, solutionPath = null, solutionPushes = null) {
         const finalGrid = [];
 
         for (let i = 0; i < grid.length; i++) {
@@ -1336,7 +1382,8 @@ export class SokobanGenerator {
             grid: finalGrid,
             playerX: playerPos % this.width,
             playerY: Math.floor(playerPos / this.width),
-            solutionPath: solutionPath || new Set()
+            solutionPath: solutionPath || new Set(),
+            solutionPushes: solutionPushes || []
         };
     }
 
@@ -1404,7 +1451,7 @@ export class SokobanGenerator {
 
     shuffle(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.rng() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
         return array;
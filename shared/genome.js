@@ -1,65 +1,91 @@
 import { SokobanGenerator } from './generator.js';
 import { decorateLevel } from './decorator.js';
-import { GENE_REGISTRY, GENE_MAP, getLockedGenes } from './gene-registry.js';
-import { solve, checkIceReachability, checkGateReachability } from './solver.js';
+import { GENE_REGISTRY, GENE_MAP, GENE_LAYERS, getLockedGenes, getLayerGenes, formatStat, getStatKey, geneDistance } from './gene-registry.js';
+import { solve, followPushes, checkIceReachability, checkGateReachability } from './solver.js';
+import { createRng, randomSeed } from './random.js';
+import { computeMetrics } from './metrics.js';
+import { MECHANICS, isMechanicInLevel } from './mechanic-registry.js';
 
 // Genome for Sokoban Level Generation
 // Represents the "DNA" of a level generator that can evolve through selection
 
+// Breeding mutation rate at which each gene mutates at its own registry
+// mutationRate; other rates scale every gene's chance proportionally
+export const DEFAULT_MUTATION_RATE = 0.2;
+
+// Chance that a breed's wild card is a fossil from an extinct run
+// (when any exist) instead of a fresh random genome
+export const FOSSIL_REVIVAL_CHANCE = 0.25;
+
+// Speciation mode: a genome joins the first species whose representative is
+// within this affinity distance (1 - Bot.calculateAffinity)
+export const SPECIES_DISTANCE = 0.1;
+
+// Generations a newly founded species gets a fitness bonus while it finds its niche
+export const SPECIES_PROTECTION = 3;
+
+// Novelty seeking (0-1) scales a genome's mutation deltas from x0.5 to x1.5
+// (x1 at the default 0.5), and gives each offspring up to this chance of
+// re-rolling one gene layer — a partial wild card
+export const NOVELTY_WILD_LAYER_CHANCE = 0.3;
+
+// Conformity (0-1): offspring move this fraction of the way toward the gene
+// centroid of the bots they observe at conformity 1, and as far away from it
+// at 0; 0.5 leaves them as bred
+export const CONFORMITY_PULL = 0.5;
+
+// Pull levels: base levels generated looking for one that needs pulling
+// before falling back to no pull, and the push-only search budget for telling
+// (states × grid tiles, up to 5000 states)
+const PULL_LEVEL_ATTEMPTS = 3;
+const PULL_CHECK_TILE_BUDGET = 250000;
+
+// Largest grid whose crumbling floor, conveyors and bridges get the full
+// move-by-move solver budget; larger grids get a bounded check that only
+// catches layouts stranding the level early
+const MOVE_SEARCH_MAX_GRID = 11;
+
+// Population.getStats section for each gene layer
+const STAT_SECTIONS = {
+    structure: 'averages',
+    style: 'styleWeights',
+    visual: 'visualAverages',
+    social: 'socialAverages',
+    mechanic: 'mechanicAverages'
+};
+
+// Mechanic stats as they were listed before they came from the registry, which
+// orders teleporters after exits; these keep their places and newer mechanics
+// follow in registry order
+const MECHANIC_STAT_ORDER = [
+    'collectibleDensity', 'icePercent', 'iceDensity', 'boxIcePercent', 'exitPercent',
+    'spikePercent', 'spikeDensity', 'patrolPercent', 'patrolCount',
+    'teleporterPercent', 'teleporterCount', 'gatePercent', 'gateDensity',
+    'keyDoorPercent', 'keyDoorCount'
+];
+
+// Genes with every on/off gene of the mechanics that pass filter turned off,
+// for a verification fallback
+function withoutMechanics(genes, filter) {
+    const off = { ...genes };
+    for (const mechanic of MECHANICS.filter(filter)) {
+        for (const def of mechanic.genes) {
+            if (def.type === 'binary') off[def.name] = 0;
+        }
+    }
+    return off;
+}
+
 export class Genome {
     constructor(genes = null, id = null) {
         if (genes) {
             this.genes = { ...genes };
-            // Backward compatibility: backfill style genes for old genomes
-            if (this.genes.styleClusters === undefined) {
-                this.genes.styleClusters = 25;
-                this.genes.styleMaze = 25;
-                this.genes.styleCaves = 25;
-                this.genes.styleClusteredRooms = 25;
-            }
-            // Backward compatibility: backfill visual genes for old genomes
-            if (this.genes.palette === undefined) {
-                this.genes.palette = ((this.genes.gridSize - 7) / 73);
-                this.genes.tileStyle = Math.min(1, this.genes.wallDensity / 0.3);
-                this.genes.decoration = Math.min(1, (this.genes.complexity - 20) / 180);
-            }
-            // Backward compatibility: backfill mechanic genes for old genomes
-            if (this.genes.collectibleDensity === undefined) {
-                this.genes.collectibleDensity = 0.5;
-            }
-            if (this.genes.iceEnabled === undefined) {
-                this.genes.iceEnabled = 0;
-                this.genes.iceDensity = 0;
-                this.genes.exitEnabled = 0;
-            }
-            // Backward compatibility: backfill box-ice gene
-            if (this.genes.boxIceEnabled === undefined) {
-                this.genes.boxIceEnabled = 0;
-            }
-            // Backward compatibility: backfill spike genes for old genomes
-            if (this.genes.spikeEnabled === undefined) {
-                this.genes.spikeEnabled = 0;
-                this.genes.spikeDensity = 0;
-            }
-            // Backward compatibility: backfill patrol genes for old genomes
-            if (this.genes.patrolEnabled === undefined) {
-                this.genes.patrolEnabled = 0;
-                this.genes.patrolCount = 1;
-            }
-            // Backward compatibility: backfill teleporter genes
-            if (this.genes.teleporterEnabled === undefined) {
-                this.genes.teleporterEnabled = 0;
-                this.genes.teleporterCount = 1;
-            }
-            // Backward compatibility: backfill gate genes
-            if (this.genes.gateEnabled === undefined) {
-                this.genes.gateEnabled = 0;
-                this.genes.gateDensity = 0;
-            }
-            // Backward compatibility: backfill key/door genes
-            if (this.genes.keyDoorEnabled === undefined) {
-                this.genes.keyDoorEnabled = 0;
-                this.genes.keyDoorCount = 1;
+            // Backward compatibility: genomes saved before a gene existed
+            // get its backfill (or default) value
+            for (const def of GENE_REGISTRY) {
+                if (this.genes[def.name] === undefined) {
+                    this.genes[def.name] = def.backfill ? def.backfill(this.genes) : def.defaultValue;
+                }
             }
         } else {
             // Initialize with random genes
@@ -74,11 +100,11 @@ export class Genome {
     }
 
     // Generate random genes within valid ranges, gated by tier
-    static randomGenes(tier = 3) {
+    static randomGenes(tier = 3, rng = Math.random) {
         const genes = {};
         for (const def of GENE_REGISTRY) {
             if (def.tier <= tier) {
-                genes[def.name] = def.randomFn();
+                genes[def.name] = def.randomFn(rng);
             } else {
                 genes[def.name] = def.defaultValue;
             }
@@ -87,7 +113,7 @@ export class Genome {
     }
 
     // Create a level generator from this genome
-    createGenerator() {
+    createGenerator(rng = Math.random) {
         // Scale complexity with grid size so larger grids get more reverse-play moves
         const effectiveComplexity = Math.max(this.genes.complexity,
             Math.min(500, Math.round(this.genes.complexity * (this.genes.gridSize / 10)))
@@ -111,49 +137,113 @@ export class Genome {
             effectiveBoxCount,
             effectiveComplexity,
             this.genes.wallDensity,
-            styleWeights
+            styleWeights,
+            rng,
+            this.genes.pullEnabled ? this.genes.pullShare : 0
         );
     }
 
-    // Generate a level from this genome
-    generateLevel() {
-        const generator = this.createGenerator();
-        const level = generator.generate();
+    // Generate a level from this genome.
+    // The same genome + seed always reproduces the same level; omit the seed
+    // for a fresh one. The seed used is stored on the returned level, along
+    // with its quality metrics (see metrics.js).
+    generateLevel(seed = null) {
+        if (seed === null || seed === undefined) seed = randomSeed();
+        const rng = createRng(seed);
+        const level = this._generateLevel(rng);
+        level.seed = seed;
+        level.metrics = computeMetrics(level);
+        return level;
+    }
+
+    _generateLevel(rng) {
+        const generator = this.createGenerator(rng);
+        const base = this.genes.pullEnabled ? this._generatePullLevel(generator) : generator.generate();
+        if (!base) {
+            console.log('[Genome] No level needing pulls found, falling back to no pull');
+            return new Genome({ ...this.genes, pullEnabled: 0 })._generateLevel(rng);
+        }
+        const level = this._decorateVerified(base, generator, rng);
+        // Reverse play's solution, for metrics the solver budget can't reach
+        level.solutionPushes = base.solutionPushes;
+        return level;
+    }
+
+    // Decorate a base level, with the verification its mechanics need
+    // (mechanic.verify): the most thorough any of them asks for, which checks
+    // the others' placements along the way. A verifying solve that finds a
+    // solution leaves it on the level as verifiedSolution, for metrics
+    _decorateVerified(level, generator, rng) {
+        const wanted = new Set(MECHANICS.filter(m => m.verify && m.enabled(this.genes)).map(m => m.verify));
+
+        // Move-verified levels need the full solver (a collapsed tile can cut
+        // off the only way back, a belt can carry a box into a corner, a plate
+        // can lack a box to park on it)
+        if (wanted.has('moves')) {
+            return this._generateMoveVerifiedLevel(level, generator, rng);
+        }
 
         // Ice levels need solver verification (ice can block push positions)
-        if (this.genes.iceEnabled) {
-            return this._generateIceVerifiedLevel(level, generator);
+        if (wanted.has('ice')) {
+            return this._generateIceVerifiedLevel(level, generator, rng);
+        }
+
+        // Solver-verified levels (a key can end up behind its own door; a
+        // spare box can be stuck short of its hole), up to 20×20
+        if (wanted.has('solver') && this.genes.gridSize <= 20) {
+            return this._generateSolverVerifiedLevel(level, rng);
         }
 
         // Gate levels need reachability verification (gates can trap player)
-        if (this.genes.gateEnabled) {
-            return this._generateGateVerifiedLevel(level);
+        if (wanted.has('gates')) {
+            return this._generateGateVerifiedLevel(level, rng);
         }
 
-        decorateLevel(level, this);
+        decorateLevel(level, this, rng);
         return level;
     }
 
+    // Pull levels: the first base level that needs pulling — the push-only
+    // search proves pushes alone can't solve it — and that replaying reverse
+    // play's solution, pulls and all, does solve. null if none turns up
+    _generatePullLevel(generator) {
+        const area = this.genes.gridSize * this.genes.gridSize;
+        const maxStates = Math.min(5000, Math.ceil(PULL_CHECK_TILE_BUDGET / area));
+
+        for (let attempt = 0; attempt < PULL_LEVEL_ATTEMPTS; attempt++) {
+            const level = generator.generate();
+            const pushOnly = solve(level, { maxStates });
+            if (pushOnly.reason === 'no_solution' && followPushes(level, level.solutionPushes, { pullEnabled: true })) {
+                return level;
+            }
+            console.log(`[Genome] Pull level ${pushOnly.solvable ? 'solvable by pushing alone' : `unproven (${pushOnly.reason})`}, regenerating`);
+        }
+        return null;
+    }
+
     // Generate a solver-verified ice level (handles both regular ice and box-ice)
-    _generateIceVerifiedLevel(level, generator) {
+    _generateIceVerifiedLevel(level, generator, rng) {
         // Large grids make solver BFS too expensive — skip ice verification
         // and just decorate normally (base level is solvable via reverse-play,
         // ice placement is sparse and rarely blocks all paths)
         // But still check gates (cheap — 2 floodFills)
         if (this.genes.gridSize > 20) {
             if (this.genes.gateEnabled) {
-                return this._generateGateVerifiedLevel(level);
+                return this._generateGateVerifiedLevel(level, rng);
             }
-            decorateLevel(level, this);
+            decorateLevel(level, this, rng);
             return level;
         }
 
         const isBoxIce = !!this.genes.boxIceEnabled;
         const area = this.genes.gridSize * this.genes.gridSize;
 
-        // Box-ice needs heavier solver; regular ice uses lighter settings
-        const maxSolverRuns = isBoxIce ? 5 : 2;
-        const maxStates = isBoxIce ? (area > 200 ? 10000 : 30000) : 5000;
+        // Box-ice needs heavier solver; regular ice uses lighter settings.
+        // Pull levels search without deadlock pruning, so each state costs
+        // far more: they get the light settings even with box-ice
+        const heavy = isBoxIce && !this.genes.pullEnabled;
+        const maxSolverRuns = heavy ? 5 : 2;
+        const maxStates = heavy ? (area > 200 ? 10000 : 30000) : 5000;
 
         const maxAttempts = 5;
         let solverRunCount = 0;
@@ -169,7 +259,7 @@ export class Genome {
                 playerY: level.playerY,
                 solutionPath: level.solutionPath
             };
-            decorateLevel(tryLevel, this);
+            decorateLevel(tryLevel, this, rng);
 
             // Gate pre-check: cheap (2 floodFills), skip expensive ice check if gates trap player
             if (this.genes.gateEnabled) {
@@ -180,8 +270,9 @@ export class Genome {
                 }
             }
 
-            // Tier 1: Quick reachability pre-screen (regular ice only)
-            if (!isBoxIce) {
+            // Tier 1: Quick reachability pre-screen (regular ice only; holes
+            // always need the solver)
+            if (!isBoxIce && !this.genes.holeEnabled) {
                 const { restricted } = checkIceReachability(tryLevel);
                 if (!restricted) {
                     console.log('[Genome] Ice pre-screen passed');
@@ -193,10 +284,11 @@ export class Genome {
             // Tier 2: Full solver (skip if we've used up solver budget)
             if (solverRunCount >= maxSolverRuns) continue;
 
-            const result = solve(tryLevel, { boxIceEnabled: isBoxIce, maxStates });
+            const result = solve(tryLevel, { boxIceEnabled: isBoxIce, pullEnabled: tryLevel.pullEnabled, maxStates });
             solverRunCount++;
 
             if (result.solvable) {
+                tryLevel.verifiedSolution = result;
                 return tryLevel;
             }
 
@@ -210,13 +302,62 @@ export class Genome {
 
         // All attempts failed — fallback: decorate without any ice
         console.log(`[Genome] Ice solver failed (${lastReason}), falling back to no ice`);
-        const fallbackGenome = { genes: { ...this.genes, iceEnabled: 0, boxIceEnabled: 0 } };
-        decorateLevel(level, { genes: fallbackGenome.genes });
+        decorateLevel(level, { genes: withoutMechanics(this.genes, m => m.verify === 'ice') }, rng);
         return level;
     }
 
+    // Generate a solver-verified crumbling-floor, conveyor or bridge level. The
+    // solver searches these move by move, so grids past MOVE_SEARCH_MAX_GRID
+    // get a smaller budget, and greedily: any solution will do, and one turns
+    // up within budget far more often than the shortest
+    _generateMoveVerifiedLevel(level, generator, rng) {
+        const maxAttempts = 3;
+        const maxStates = this.genes.gridSize <= MOVE_SEARCH_MAX_GRID ? 20000 : 5000;
+        const needsSolution = MECHANICS.some(m => m.needsSolution && m.enabled(this.genes));
+        let lastReason = '';
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const tryLevel = {
+                width: level.width,
+                height: level.height,
+                grid: [...level.grid],
+                playerX: level.playerX,
+                playerY: level.playerY,
+                solutionPath: level.solutionPath
+            };
+            decorateLevel(tryLevel, this, rng);
+
+            if (this.genes.gateEnabled && checkGateReachability(tryLevel).restricted) {
+                console.log('[Genome] Gate restricted reachability, retrying decoration');
+                continue;
+            }
+
+            const result = solve(tryLevel, {
+                boxIceEnabled: tryLevel.boxIceEnabled, pullEnabled: tryLevel.pullEnabled, maxStates, greedy: true
+            });
+
+            // exceeded_limit is accepted — probably solvable, just complex —
+            // except with plates, where it as often means no box can be spared
+            // to hold the bridge open; other layouts are retried
+            if (result.solvable || (result.reason === 'exceeded_limit' && !needsSolution)) {
+                if (result.solvable) tryLevel.verifiedSolution = result;
+                return tryLevel;
+            }
+            lastReason = result.reason;
+            console.log(`[Genome] Crumbling/conveyor/bridge level unsolved (${result.reason}), retrying decoration`);
+        }
+
+        // All attempts failed — fallback: plate levels the search only ran out of
+        // budget on lose their plates; otherwise the usual verification without
+        // crumbling floor, conveyors or bridges
+        const platesOnly = lastReason === 'exceeded_limit';
+        console.log(`[Genome] Crumbling/conveyor/bridge solver failed (${lastReason}), falling back to ${platesOnly ? 'no plates' : 'none'}`);
+        const fallbackGenes = withoutMechanics(this.genes, platesOnly ? (m => m.needsSolution) : (m => m.verify === 'moves'));
+        return new Genome(fallbackGenes)._decorateVerified(level, generator, rng);
+    }
+
     // Generate a gate-verified level (ensures gates don't trap the player)
-    _generateGateVerifiedLevel(level) {
+    _generateGateVerifiedLevel(level, rng) {
         const maxAttempts = 5;
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
@@ -228,7 +369,7 @@ export class Genome {
                 playerY: level.playerY,
                 solutionPath: level.solutionPath
             };
-            decorateLevel(tryLevel, this);
+            decorateLevel(tryLevel, this, rng);
 
             const { restricted } = checkGateReachability(tryLevel);
             if (!restricted) {
@@ -239,20 +380,72 @@ export class Genome {
 
         // All attempts failed — fallback: decorate without gates
         console.log('[Genome] Gate verification failed, falling back to no gates');
-        const fallbackGenome = { genes: { ...this.genes, gateEnabled: 0 } };
-        decorateLevel(level, { genes: fallbackGenome.genes });
+        decorateLevel(level, { genes: withoutMechanics(this.genes, m => m.verify === 'gates') }, rng);
         return level;
     }
 
-    // Crossover: create a child genome by mixing two parents
-    static crossover(parent1, parent2, tier = 3) {
+    // Generate a solver-verified key/door and/or hole level (the solver tracks
+    // held keys and open holes, so a door only blocks until its key is picked
+    // up, and a hole until a box fills it)
+    _generateSolverVerifiedLevel(level, rng) {
+        const maxAttempts = 3;
+        const maxStates = 5000;
+        let lastReason = '';
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const tryLevel = {
+                width: level.width,
+                height: level.height,
+                grid: [...level.grid],
+                playerX: level.playerX,
+                playerY: level.playerY,
+                solutionPath: level.solutionPath
+            };
+            decorateLevel(tryLevel, this, rng);
+
+            if (this.genes.gateEnabled && checkGateReachability(tryLevel).restricted) {
+                console.log('[Genome] Gate restricted reachability, retrying decoration');
+                continue;
+            }
+
+            const result = solve(tryLevel, { boxIceEnabled: tryLevel.boxIceEnabled, pullEnabled: tryLevel.pullEnabled, maxStates });
+
+            // exceeded_limit is accepted — probably solvable, just complex
+            if (result.solvable || result.reason === 'exceeded_limit') {
+                if (result.solvable) tryLevel.verifiedSolution = result;
+                return tryLevel;
+            }
+            lastReason = result.reason;
+            console.log('[Genome] Key/door or hole level unsolvable, retrying decoration');
+        }
+
+        // All attempts failed — fallback: decorate without keys/doors and holes
+        console.log(`[Genome] Key/door or hole solver failed (${lastReason}), falling back to neither`);
+        decorateLevel(level, { genes: withoutMechanics(this.genes, m => m.verify === 'solver') }, rng);
+        return level;
+    }
+
+    // Crossover: create a child genome by mixing two parents.
+    // mode 'gene' picks each gene from either parent independently; 'layer'
+    // inherits each gene layer (GENE_LAYERS: structure, style, visual, social,
+    // mechanic) whole from one parent, keeping linked genes together
+    static crossover(parent1, parent2, tier = 3, mode = 'gene') {
         const childGenes = {};
 
-        // For each gene, randomly pick from either parent
-        for (const gene in parent1.genes) {
-            childGenes[gene] = Math.random() < 0.5
-                ? parent1.genes[gene]
-                : parent2.genes[gene];
+        if (mode === 'layer') {
+            for (const layer of GENE_LAYERS) {
+                const source = Math.random() < 0.5 ? parent1 : parent2;
+                for (const def of getLayerGenes(layer)) {
+                    childGenes[def.name] = source.genes[def.name];
+                }
+            }
+        } else {
+            // For each gene, randomly pick from either parent
+            for (const gene in parent1.genes) {
+                childGenes[gene] = Math.random() < 0.5
+                    ? parent1.genes[gene]
+                    : parent2.genes[gene];
+            }
         }
 
         // Force locked genes to default
@@ -263,9 +456,14 @@ export class Genome {
         return new Genome(childGenes);
     }
 
-    // Mutation: randomly tweak genes, respecting tier locks
-    mutate(mutationRate = 0.2, tier = 3) {
+    // Mutation: randomly tweak genes, respecting tier locks. Each gene
+    // mutates with its registry mutationRate scaled by
+    // mutationRate / DEFAULT_MUTATION_RATE, by a delta scaled by this
+    // genome's novelty seeking
+    mutate(mutationRate = DEFAULT_MUTATION_RATE, tier = 3) {
         const mutated = { ...this.genes };
+        const scale = mutationRate / DEFAULT_MUTATION_RATE;
+        const magnitude = 0.5 + this.genes.noveltySeeking;
 
         for (const def of GENE_REGISTRY) {
             // Force locked genes to default — no mutation allowed
@@ -274,22 +472,24 @@ export class Genome {
                 continue;
             }
 
-            if (Math.random() >= def.mutationRate) continue;
+            if (Math.random() >= Math.min(1, def.mutationRate * scale)) continue;
 
+            const delta = def.mutationDelta * magnitude;
             switch (def.type) {
                 case 'int':
                 case 'weight':
+                    // Integer steps never shrink below ±1
                     mutated[def.name] = Math.max(def.min, Math.min(def.max,
-                        mutated[def.name] + Math.floor((Math.random() - 0.5) * def.mutationDelta * 2 + 0.5)
+                        mutated[def.name] + Math.floor((Math.random() - 0.5) * Math.max(1, delta) * 2 + 0.5)
                     ));
                     break;
                 case 'float':
                     mutated[def.name] = Math.max(def.min, Math.min(def.max,
-                        mutated[def.name] + (Math.random() - 0.5) * def.mutationDelta * 2
+                        mutated[def.name] + (Math.random() - 0.5) * delta * 2
                     ));
                     break;
                 case 'circular':
-                    mutated[def.name] = mutated[def.name] + (Math.random() - 0.5) * def.mutationDelta * 2;
+                    mutated[def.name] = mutated[def.name] + (Math.random() - 0.5) * delta * 2;
                     mutated[def.name] = mutated[def.name] - Math.floor(mutated[def.name]); // wrap to [0,1)
                     break;
                 case 'binary':
@@ -301,37 +501,84 @@ export class Genome {
         return new Genome(mutated);
     }
 
+    // Re-roll every gene of one layer at random (locked genes stay default)
+    rerollLayer(layer, tier = 3) {
+        const fresh = Genome.randomGenes(tier);
+        const genes = { ...this.genes };
+        for (const def of getLayerGenes(layer)) {
+            genes[def.name] = fresh[def.name];
+        }
+        return new Genome(genes);
+    }
+
+    // Social genes at work: move toward the gene centroid of the
+    // influenceRadius genomes in others most like this one when conformity is
+    // above 0.5, away from it below (see CONFORMITY_PULL). Binary genes take
+    // the majority (or minority) value with the pull as chance. Locked and
+    // social genes are left alone
+    conform(others, tier = 3) {
+        const pull = (this.genes.conformity - 0.5) * 2 * CONFORMITY_PULL;
+        if (pull === 0 || others.length === 0) return this;
+
+        const bot = new Bot(this);
+        const observed = [...others]
+            .sort((a, b) => bot.calculateAffinity(b) - bot.calculateAffinity(a))
+            .slice(0, this.genes.influenceRadius);
+
+        const genes = { ...this.genes };
+        for (const def of GENE_REGISTRY) {
+            if (def.tier > tier || def.layer === 'social') continue;
+            const values = observed.map(g => g.genes[def.name]);
+            const mine = genes[def.name];
+
+            switch (def.type) {
+                case 'binary': {
+                    const majority = values.reduce((a, b) => a + b, 0) / values.length >= 0.5 ? 1 : 0;
+                    if (Math.random() < Math.abs(pull)) genes[def.name] = pull > 0 ? majority : 1 - majority;
+                    break;
+                }
+                case 'circular': {
+                    // Mean direction; move along the shorter arc
+                    const angles = values.map(v => v * Math.PI * 2);
+                    const mean = Math.atan2(
+                        angles.reduce((a, t) => a + Math.sin(t), 0),
+                        angles.reduce((a, t) => a + Math.cos(t), 0)
+                    ) / (Math.PI * 2);
+                    let diff = mean - mine;
+                    diff -= Math.round(diff);
+                    const moved = mine + pull * diff;
+                    genes[def.name] = moved - Math.floor(moved);
+                    break;
+                }
+                default: {
+                    const centroid = values.reduce((a, b) => a + b, 0) / values.length;
+                    let moved = Math.max(def.min, Math.min(def.max, mine + pull * (centroid - mine)));
+                    if (def.type !== 'float') moved = Math.round(moved);
+                    genes[def.name] = moved;
+                }
+            }
+        }
+        return new Genome(genes);
+    }
+
     // Create a copy of this genome
     clone() {
         // Clone gets a NEW id — it's a new organism, even if genetically identical
         return new Genome(this.genes);
     }
 
-    // Get a human-readable summary of this genome
-    describe() {
-        const total = this.genes.styleClusters + this.genes.styleMaze +
-                      this.genes.styleCaves + this.genes.styleClusteredRooms;
-        const pct = (v) => total > 0 ? Math.round(v / total * 100) : 25;
-        const ts = this.genes.tileStyle;
-        const dec = this.genes.decoration;
-        const info = {
-            'Grid Size': `${this.genes.gridSize}x${this.genes.gridSize}`,
-            'Boxes': this.genes.boxCount,
-            'Complexity': this.genes.complexity,
-            'Wall Density': `${(this.genes.wallDensity * 100).toFixed(1)}%`,
-            'Style': `Clusters ${pct(this.genes.styleClusters)}% / Maze ${pct(this.genes.styleMaze)}% / Caves ${pct(this.genes.styleCaves)}% / Rooms ${pct(this.genes.styleClusteredRooms)}%`,
-            'Palette': `${Math.round(this.genes.palette * 360)} deg`,
-            'Tile Style': ts < 0.33 ? 'Angular' : ts < 0.66 ? 'Balanced' : 'Organic',
-            'Decoration': dec < 0.33 ? 'Minimal' : dec < 0.66 ? 'Moderate' : 'Rich',
-            'Collectibles': `${(this.genes.collectibleDensity * 100).toFixed(0)}%`
-        };
-        if (this.genes.iceEnabled) info['Ice'] = `${(this.genes.iceDensity * 100).toFixed(0)}% density` + (this.genes.boxIceEnabled ? ' (boxes slide too)' : '');
-        if (this.genes.exitEnabled) info['Exit'] = 'Enabled';
-        if (this.genes.spikeEnabled) info['Spikes'] = `${(this.genes.spikeDensity * 100).toFixed(0)}% density`;
-        if (this.genes.patrolEnabled) info['Patrol'] = `${this.genes.patrolCount} enemies`;
-        if (this.genes.teleporterEnabled) info['Teleporters'] = `${this.genes.teleporterCount} pair${this.genes.teleporterCount > 1 ? 's' : ''}`;
-        if (this.genes.gateEnabled) info['Gates'] = `${(this.genes.gateDensity * 100).toFixed(0)}% density`;
-        if (this.genes.keyDoorEnabled) info['Keys/Doors'] = `${this.genes.keyDoorCount} pair${this.genes.keyDoorCount > 1 ? 's' : ''}`;
+    // Get a human-readable summary of this genome, one line per gene label.
+    // Given a level it generated, mechanics verification left out of the
+    // level (see _decorateVerified) are left out of the summary too
+    describe(level = null) {
+        const info = {};
+        for (const def of GENE_REGISTRY) {
+            if (!def.label) continue;
+            if (level && def.mechanic && !isMechanicInLevel(def.mechanic, level)) continue;
+            const text = def.format(this.genes[def.name], this.genes);
+            if (text === null) continue;
+            info[def.label] = def.label in info ? `${info[def.label]} / ${text}` : text;
+        }
         return info;
     }
 
@@ -369,6 +616,16 @@ export class Population {
         this.history = [];
         this.lineage = []; // Array of lineage records for family tree
 
+        // Breeding settings: stability vs. exploration, and how parents mix
+        this.mutationRate = DEFAULT_MUTATION_RATE;
+        this.crossoverMode = 'gene';   // or 'layer' (see Genome.crossover)
+
+        // Optional speciation: niches by affinity distance with shared fitness
+        this.speciation = false;
+        this.species = [];      // { id, representative: genes, bornGeneration }
+        this.speciesOf = {};    // genome id -> species id, current generation
+        this.nextSpeciesId = 1;
+
         // Initialize with random genomes, record as Gen 0
         for (let i = 0; i < size; i++) {
             const g = new Genome(Genome.randomGenes(tier));
@@ -404,10 +661,13 @@ export class Population {
             genomes: this.genomes.map(g => g.toJSON())
         });
 
-        // Create fitness-genome pairs and sort by fitness
-        const pairs = this.genomes.map((genome, i) => ({
+        // Create fitness-genome pairs (shared within species when speciating)
+        // and sort by fitness
+        let fitnessOf = new Map(this.genomes.map((genome, i) => [genome, fitnessScores[i]]));
+        if (this.speciation) fitnessOf = this._sharedFitness(fitnessOf);
+        const pairs = this.genomes.map(genome => ({
             genome,
-            fitness: fitnessScores[i]
+            fitness: fitnessOf.get(genome)
         })).sort((a, b) => b.fitness - a.fitness);
 
         // Select top 50% as parents
@@ -430,22 +690,19 @@ export class Population {
             const parent1 = parents[Math.floor(Math.random() * parents.length)];
             const parent2 = parents[Math.floor(Math.random() * parents.length)];
 
-            // Create child through crossover
-            const child = Genome.crossover(parent1, parent2, tier);
-
-            // Mutate
-            const mutated = child.mutate(0.2, tier);
-
-            nextGen.push(mutated);
+            const { genome, wildLayer } = this._breedChild(parent1, parent2, tier);
+            nextGen.push(genome);
             offspringRecords.push({
-                genome: mutated,
+                genome,
                 parent1Genome: parent1,
-                parent2Genome: parent2
+                parent2Genome: parent2,
+                wildLayer
             });
         }
 
         this.genomes = nextGen;
         this.generation++;
+        if (this.speciation) this.speciate();
 
         // Return breeding report
         return {
@@ -456,8 +713,43 @@ export class Population {
         };
     }
 
-    // Evolve from tournament winners (array of 5 winning Genome refs, may contain duplicates)
-    evolveFromWinners(winnerGenomes, tier = 3) {
+    // One offspring of the current generation: crossover and mutation, then
+    // (by the child's inherited social genes) maybe a re-rolled layer, then
+    // conformity toward or away from the generation it was bred from.
+    // Returns { genome, wildLayer } — wildLayer is the re-rolled layer or null
+    _breedChild(parent1, parent2, tier) {
+        const child = Genome.crossover(parent1, parent2, tier, this.crossoverMode);
+        let genome = child.mutate(this.mutationRate, tier);
+
+        let wildLayer = null;
+        if (Math.random() < child.genes.noveltySeeking * NOVELTY_WILD_LAYER_CHANCE) {
+            const layers = GENE_LAYERS.filter(layer => layer !== 'social');
+            wildLayer = layers[Math.floor(Math.random() * layers.length)];
+            genome = genome.rerollLayer(wildLayer, tier);
+        }
+
+        return { genome: genome.conform(this.genomes, tier), wildLayer };
+    }
+
+    // The current genome with the most tournament wins; ties go to the
+    // earlier genome, so the reigning champion wins them
+    getChampion(winnerGenomes = []) {
+        let best = this.genomes[0];
+        let bestWins = -1;
+        for (const g of this.genomes) {
+            const wins = winnerGenomes.filter(w => w === g).length;
+            if (wins > bestWins) {
+                best = g;
+                bestWins = wins;
+            }
+        }
+        return best;
+    }
+
+    // Evolve from tournament winners (array of 5 winning Genome refs, may contain duplicates).
+    // fossils: fossil records ({ genome: Genome JSON, name }) from extinct runs
+    // that may return as the wild card
+    evolveFromWinners(winnerGenomes, tier = 3, fossils = []) {
         // Record history entry
         this.history.push({
             generation: this.generation,
@@ -475,8 +767,10 @@ export class Population {
             winCounts.set(g, (winCounts.get(g) || 0) + 1);
         }
 
-        // Rank by win count descending, random tiebreaker
-        const ranked = [...winCounts.entries()]
+        // Rank by win count (shared within species when speciating) descending,
+        // random tiebreaker
+        const scores = this.speciation ? this._sharedFitness(winCounts) : winCounts;
+        const ranked = [...scores.entries()]
             .sort((a, b) => b[1] - a[1] || (Math.random() - 0.5));
 
         // Top 3 survive, bottom 2 eliminated
@@ -493,27 +787,41 @@ export class Population {
         while (nextGen.length < 4) {
             const parent1 = top3[Math.floor(Math.random() * top3.length)];
             const parent2 = top3[Math.floor(Math.random() * top3.length)];
-            const child = Genome.crossover(parent1, parent2, tier);
-            const mutated = child.mutate(0.2, tier);
-            nextGen.push(mutated);
+            const { genome, wildLayer } = this._breedChild(parent1, parent2, tier);
+            nextGen.push(genome);
             offspringRecords.push({
-                genome: mutated,
+                genome,
                 parent1Genome: parent1,
-                parent2Genome: parent2
+                parent2Genome: parent2,
+                wildLayer
             });
         }
 
-        // 1 fresh random genome (wild card) — rolls all genes unlocked at current tier
-        const freshGenome = new Genome(Genome.randomGenes(tier));
+        // 1 wild card: sometimes a fossil revival, otherwise a fresh random
+        // genome rolling all genes unlocked at current tier
+        let freshGenome;
+        let fossil = null;
+        if (fossils.length > 0 && Math.random() < FOSSIL_REVIVAL_CHANCE) {
+            fossil = fossils[Math.floor(Math.random() * fossils.length)];
+            const genes = { ...fossil.genome.genes };
+            for (const def of getLockedGenes(tier)) {
+                genes[def.name] = def.defaultValue;
+            }
+            freshGenome = new Genome(genes);
+        } else {
+            freshGenome = new Genome(Genome.randomGenes(tier));
+        }
         nextGen.push(freshGenome);
         offspringRecords.push({
             genome: freshGenome,
             parent1Genome: null,
-            parent2Genome: null
+            parent2Genome: null,
+            fossil
         });
 
         this.genomes = nextGen;
         this.generation++;
+        if (this.speciation) this.speciate();
 
         // Record lineage for family tree
         const nextGenNum = this.generation;
@@ -529,14 +837,16 @@ export class Population {
         });
         for (const rec of offspringRecords) {
             if (rec.parent1Genome === null) {
-                // Wild card (fresh random genome)
+                // Wild card (fresh random genome or fossil revival)
                 this.lineage.push({
                     id: rec.genome._id,
                     name: Bot.generateName(rec.genome),
                     generation: nextGenNum,
                     parentIds: [],
                     isWildCard: true,
-                    isElite: false
+                    isElite: false,
+                    isFossil: !!rec.fossil,
+                    fossilName: rec.fossil ? rec.fossil.name : null
                 });
             } else {
                 // Offspring — parents are always population members
@@ -561,92 +871,129 @@ export class Population {
         };
     }
 
-    // Get statistics about current population
-    getStats() {
-        const avgGenes = {
-            gridSize: 0, boxCount: 0, complexity: 0, wallDensity: 0,
-            styleClusters: 0, styleMaze: 0, styleCaves: 0, styleClusteredRooms: 0,
-            palette: 0, tileStyle: 0, decoration: 0,
-            collectibleDensity: 0, iceEnabled: 0, iceDensity: 0, boxIceEnabled: 0, exitEnabled: 0,
-            spikeEnabled: 0, spikeDensity: 0,
-            patrolEnabled: 0, patrolCount: 0,
-            teleporterEnabled: 0, teleporterCount: 0,
-            gateEnabled: 0, gateDensity: 0,
-            keyDoorEnabled: 0, keyDoorCount: 0
-        };
+    // Put an outside genome (island migrant, atlas elite) in place of a
+    // non-champion genome (index 0 is the elite clone after a breed) — the one
+    // at slot, or a random one. origin fields are added to its lineage record.
+    adopt(genome, origin = {}, slot = null) {
+        if (slot === null) {
+            slot = this.genomes.length > 1
+                ? 1 + Math.floor(Math.random() * (this.genomes.length - 1))
+                : 0;
+        }
+        this.genomes[slot] = genome;
+        this.lineage.push({
+            id: genome._id,
+            name: Bot.generateName(genome),
+            generation: this.generation,
+            parentIds: [],
+            isWildCard: false,
+            isElite: false,
+            ...origin
+        });
+        if (this.speciation) this.speciate();
+        return genome;
+    }
+
+    // Turn speciation on or off; turning it on clusters the current generation
+    setSpeciation(enabled) {
+        this.speciation = enabled;
+        this.species = [];
+        this.speciesOf = {};
+        if (enabled) this.speciate();
+    }
+
+    // Assign each current genome to the first species whose representative is
+    // within SPECIES_DISTANCE, founding a new species if none is. Species left
+    // without members die out; the rest take their first member (the elite
+    // clone, if it's theirs) as the next representative.
+    speciate() {
+        const members = new Map(this.species.map(s => [s, []]));
+        this.speciesOf = {};
 
         for (const genome of this.genomes) {
-            const g = genome.genes;
-            avgGenes.gridSize += g.gridSize;
-            avgGenes.boxCount += g.boxCount;
-            avgGenes.complexity += g.complexity;
-            avgGenes.wallDensity += g.wallDensity;
-            avgGenes.styleClusters += g.styleClusters;
-            avgGenes.styleMaze += g.styleMaze;
-            avgGenes.styleCaves += g.styleCaves;
-            avgGenes.styleClusteredRooms += g.styleClusteredRooms;
-            avgGenes.palette += g.palette;
-            avgGenes.tileStyle += g.tileStyle;
-            avgGenes.decoration += g.decoration;
-            avgGenes.collectibleDensity += g.collectibleDensity || 0;
-            avgGenes.iceEnabled += g.iceEnabled || 0;
-            avgGenes.iceDensity += g.iceDensity || 0;
-            avgGenes.boxIceEnabled += g.boxIceEnabled || 0;
-            avgGenes.exitEnabled += g.exitEnabled || 0;
-            avgGenes.spikeEnabled += g.spikeEnabled || 0;
-            avgGenes.spikeDensity += g.spikeDensity || 0;
-            avgGenes.patrolEnabled += g.patrolEnabled || 0;
-            avgGenes.patrolCount += g.patrolCount || 1;
-            avgGenes.teleporterEnabled += g.teleporterEnabled || 0;
-            avgGenes.teleporterCount += g.teleporterCount || 1;
-            avgGenes.gateEnabled += g.gateEnabled || 0;
-            avgGenes.gateDensity += g.gateDensity || 0;
-            avgGenes.keyDoorEnabled += g.keyDoorEnabled || 0;
-            avgGenes.keyDoorCount += g.keyDoorCount || 1;
+            const bot = new Bot(genome);
+            let species = this.species.find(s =>
+                1 - bot.calculateAffinity({ genes: s.representative }) <= SPECIES_DISTANCE);
+            if (!species) {
+                species = { id: this.nextSpeciesId++, representative: { ...genome.genes }, bornGeneration: this.generation };
+                this.species.push(species);
+                members.set(species, []);
+            }
+            members.get(species).push(genome);
+            this.speciesOf[genome._id] = species.id;
         }
 
+        this.species = this.species.filter(s => members.get(s).length > 0);
+        for (const s of this.species) {
+            s.representative = { ...members.get(s)[0].genes };
+        }
+    }
+
+    // Current genomes of a species
+    getSpeciesMembers(speciesId) {
+        return this.genomes.filter(g => this.speciesOf[g._id] === speciesId);
+    }
+
+    // Fitness sharing: each genome's score divided by its species' size, so a
+    // crowded niche can't take over the population. Scores are shifted to
+    // start at 0, and members of species younger than SPECIES_PROTECTION
+    // generations get the mean score on top.
+    _sharedFitness(scoreOf) {
+        if (this.genomes.some(g => !(g._id in this.speciesOf))) this.speciate();
+
+        const raw = [...scoreOf.values()];
+        const min = Math.min(...raw);
+        const bonus = raw.reduce((sum, v) => sum + v - min, 0) / raw.length;
+
+        const shared = new Map();
+        for (const [genome, score] of scoreOf) {
+            const speciesId = this.speciesOf[genome._id];
+            const species = this.species.find(s => s.id === speciesId);
+            const young = species && this.generation - species.bornGeneration < SPECIES_PROTECTION;
+            const size = species ? this.getSpeciesMembers(speciesId).length : 1;
+            shared.set(genome, (score - min + (young ? bonus : 0)) / size);
+        }
+        return shared;
+    }
+
+    // Get statistics about current population: the average of every gene,
+    // grouped by layer (see formatStat for how each is reported)
+    getStats() {
         const count = this.genomes.length;
-        const totalStyle = avgGenes.styleClusters + avgGenes.styleMaze +
-                           avgGenes.styleCaves + avgGenes.styleClusteredRooms;
-        const stylePct = (v) => totalStyle > 0 ? Math.round(v / totalStyle * 100) : 25;
+        const sums = new Map(GENE_REGISTRY.map(def => [def.name, 0]));
+        for (const genome of this.genomes) {
+            for (const def of GENE_REGISTRY) {
+                sums.set(def.name, sums.get(def.name) + (genome.genes[def.name] ?? def.defaultValue));
+            }
+        }
+
+        // Weight genes are reported as their share of the layer's total weight
+        const weightTotals = {};
+        const weightCounts = {};
+        for (const def of GENE_REGISTRY) {
+            if (def.type !== 'weight') continue;
+            weightTotals[def.layer] = (weightTotals[def.layer] || 0) + sums.get(def.name);
+            weightCounts[def.layer] = (weightCounts[def.layer] || 0) + 1;
+        }
+
+        const sections = { averages: {}, styleWeights: {}, visualAverages: {}, socialAverages: {},
+            mechanicAverages: Object.fromEntries(MECHANIC_STAT_ORDER.map(key => [key, null])) };
+        for (const def of GENE_REGISTRY) {
+            const sum = sums.get(def.name);
+            let value;
+            if (def.type === 'weight') {
+                const total = weightTotals[def.layer];
+                value = total > 0 ? Math.round(sum / total * 100) : Math.round(100 / weightCounts[def.layer]);
+            } else {
+                value = formatStat(def, sum / count);
+            }
+            sections[STAT_SECTIONS[def.layer]][getStatKey(def)] = value;
+        }
 
         return {
             generation: this.generation,
             populationSize: count,
-            averages: {
-                gridSize: (avgGenes.gridSize / count).toFixed(1),
-                boxCount: (avgGenes.boxCount / count).toFixed(1),
-                complexity: (avgGenes.complexity / count).toFixed(1),
-                wallDensity: ((avgGenes.wallDensity / count) * 100).toFixed(1) + '%'
-            },
-            styleWeights: {
-                clusters: stylePct(avgGenes.styleClusters),
-                maze: stylePct(avgGenes.styleMaze),
-                caves: stylePct(avgGenes.styleCaves),
-                clusteredRooms: stylePct(avgGenes.styleClusteredRooms)
-            },
-            visualAverages: {
-                palette: Math.round((avgGenes.palette / count) * 360),
-                tileStyle: (avgGenes.tileStyle / count).toFixed(2),
-                decoration: (avgGenes.decoration / count).toFixed(2)
-            },
-            mechanicAverages: {
-                collectibleDensity: (avgGenes.collectibleDensity / count).toFixed(2),
-                icePercent: Math.round(avgGenes.iceEnabled / count * 100),
-                iceDensity: (avgGenes.iceDensity / count).toFixed(2),
-                boxIcePercent: Math.round(avgGenes.boxIceEnabled / count * 100),
-                exitPercent: Math.round(avgGenes.exitEnabled / count * 100),
-                spikePercent: Math.round(avgGenes.spikeEnabled / count * 100),
-                spikeDensity: (avgGenes.spikeDensity / count).toFixed(2),
-                patrolPercent: Math.round(avgGenes.patrolEnabled / count * 100),
-                patrolCount: (avgGenes.patrolCount / count).toFixed(1),
-                teleporterPercent: Math.round(avgGenes.teleporterEnabled / count * 100),
-                teleporterCount: (avgGenes.teleporterCount / count).toFixed(1),
-                gatePercent: Math.round(avgGenes.gateEnabled / count * 100),
-                gateDensity: (avgGenes.gateDensity / count).toFixed(2),
-                keyDoorPercent: Math.round(avgGenes.keyDoorEnabled / count * 100),
-                keyDoorCount: (avgGenes.keyDoorCount / count).toFixed(1)
-            }
+            ...sections
         };
     }
 
@@ -656,7 +1003,13 @@ export class Population {
             genomes: this.genomes.map(g => g.toJSON()),
             generation: this.generation,
             history: this.history,
-            lineage: this.lineage
+            lineage: this.lineage,
+            mutationRate: this.mutationRate,
+            crossoverMode: this.crossoverMode,
+            speciation: this.speciation,
+            species: this.species,
+            speciesOf: this.speciesOf,
+            nextSpeciesId: this.nextSpeciesId
         };
     }
 
@@ -667,6 +1020,12 @@ export class Population {
         pop.generation = json.generation;
         pop.history = json.history;
         pop.lineage = json.lineage || [];
+        pop.mutationRate = json.mutationRate ?? DEFAULT_MUTATION_RATE;
+        pop.crossoverMode = json.crossoverMode || 'gene';
+        pop.speciation = !!json.speciation;
+        pop.species = json.species || [];
+        pop.speciesOf = json.speciesOf || {};
+        pop.nextSpeciesId = json.nextSpeciesId || 1;
         return pop;
     }
 }
@@ -709,9 +1068,10 @@ export class Bot {
             'Yuki', 'Zara', 'Betty', 'Max', 'Sam', 'Ruby'
         ];
 
-        // Hash all 15 genes with prime multipliers so small mutations
-        // (e.g. boxCount ±1) produce very different names
-        const h = Math.abs(
+        // Hash the genes with prime multipliers so small mutations
+        // (e.g. boxCount ±1) produce very different names; mechanic genes
+        // bring their own (namePrime)
+        let sum =
             genes.gridSize * 7919 +
             genes.boxCount * 4391 +
             genes.complexity * 6571 +
@@ -722,23 +1082,16 @@ export class Bot {
             genes.styleClusteredRooms * 6197 +
             Math.round(genes.palette * 10000) * 8537 +
             Math.round(genes.tileStyle * 10000) * 7331 +
-            Math.round(genes.decoration * 10000) * 9173 +
-            Math.round((genes.collectibleDensity || 0) * 10000) * 6337 +
-            (genes.iceEnabled || 0) * 4523 +
-            Math.round((genes.iceDensity || 0) * 10000) * 7129 +
-            (genes.boxIceEnabled || 0) * 8293 +
-            (genes.exitEnabled || 0) * 5639 +
-            (genes.spikeEnabled || 0) * 3847 +
-            Math.round((genes.spikeDensity || 0) * 10000) * 6263 +
-            (genes.patrolEnabled || 0) * 5179 +
-            (genes.patrolCount || 1) * 7643 +
-            (genes.teleporterEnabled || 0) * 4271 +
-            (genes.teleporterCount || 1) * 8861 +
-            (genes.gateEnabled || 0) * 6427 +
-            Math.round((genes.gateDensity || 0) * 10000) * 3191 +
-            (genes.keyDoorEnabled || 0) * 7517 +
-            (genes.keyDoorCount || 1) * 5843
-        );
+            Math.round(genes.decoration * 10000) * 9173;
+        for (const mechanic of MECHANICS) {
+            for (const def of mechanic.genes) {
+                if (!def.namePrime) continue;
+                // Counts missing from a saved genome read as their minimum, the rest as 0
+                const value = genes[def.name] || (def.type === 'int' ? def.min : 0);
+                sum += (def.type === 'float' ? Math.round(value * 10000) : value) * def.namePrime;
+            }
+        }
+        const h = Math.abs(sum);
 
         // Use different bits for adjective vs name to decorrelate them
         const adjIdx = h % adjectives.length;
@@ -817,40 +1170,19 @@ export class Bot {
         }
 
         // Mechanic-based traits
-        if (genes.collectibleDensity > 0.7) {
-            traits.push('scatters treasures everywhere');
-        } else if (genes.collectibleDensity < 0.15) {
-            traits.push('keeps levels clean');
-        }
-
-        if (genes.iceEnabled && genes.boxIceEnabled) {
-            traits.push('makes everything slide');
-        } else if (genes.iceEnabled && genes.iceDensity > 0.15) {
-            traits.push('loves slippery surfaces');
+        for (const mechanic of MECHANICS) {
+            const phrase = mechanic.personality && mechanic.personality(genes);
+            if (phrase) traits.push(phrase);
         }
 
-        if (genes.exitEnabled) {
-            traits.push('designs escape rooms');
+        // Social traits
+        if (genes.noveltySeeking > 0.8) {
+            traits.push('always chasing the new');
         }
-
-        if (genes.spikeEnabled && genes.spikeDensity > 0.1) {
-            traits.push('lays deadly traps');
-        }
-
-        if (genes.patrolEnabled) {
-            traits.push(genes.patrolCount >= 3 ? 'commands a patrol squad' : 'deploys sentries');
-        }
-
-        if (genes.teleporterEnabled) {
-            traits.push('connects distant places');
-        }
-
-        if (genes.gateEnabled) {
-            traits.push('builds one-way streets');
-        }
-
-        if (genes.keyDoorEnabled) {
-            traits.push('hides keys in clever places');
+        if (genes.conformity > 0.8) {
+            traits.push('follows the crowd');
+        } else if (genes.conformity < 0.2) {
+            traits.push('marches to its own drum');
         }
 
         // Return personality string
@@ -951,8 +1283,8 @@ export class Bot {
     }
 
     // Generate a level using this bot's genome
-    generateLevel() {
-        return this.genome.generateLevel();
+    generateLevel(seed = null) {
+        return this.genome.generateLevel(seed);
     }
 
     // Calculate affinity (preference) for another genome
@@ -961,63 +1293,18 @@ export class Bot {
         const myGenes = this.genome.genes;
         const theirGenes = otherGenome.genes;
 
-        // Calculate normalized distance for each trait
-        // Closer values = higher affinity
-
-        // Grid size: 9-40 range (span of 31)
-        const gridDiff = Math.abs(myGenes.gridSize - theirGenes.gridSize) / 31;
-
-        // Box count: 2-15 range (span of 13)
-        const boxDiff = Math.abs(myGenes.boxCount - theirGenes.boxCount) / 13;
-
-        // Complexity: 20-200 range (span of 180)
-        const complexDiff = Math.abs(myGenes.complexity - theirGenes.complexity) / 180;
-
-        // Wall density: 0.02-0.3 range (span of 0.28)
-        const densityDiff = Math.abs(myGenes.wallDensity - theirGenes.wallDensity) / 0.28;
-
-        // Style weight dimensions (each 0-100, span of 100)
-        const clustersDiff = Math.abs(myGenes.styleClusters - theirGenes.styleClusters) / 100;
-        const mazeDiff = Math.abs(myGenes.styleMaze - theirGenes.styleMaze) / 100;
-        const cavesDiff = Math.abs(myGenes.styleCaves - theirGenes.styleCaves) / 100;
-        const roomsDiff = Math.abs(myGenes.styleClusteredRooms - theirGenes.styleClusteredRooms) / 100;
-
-        // Visual gene dimensions (each 0-1)
-        // Palette uses circular distance
-        const paletteDiff = Math.min(
-            Math.abs(myGenes.palette - theirGenes.palette),
-            1 - Math.abs(myGenes.palette - theirGenes.palette)
-        );
-        const tileStyleDiff = Math.abs(myGenes.tileStyle - theirGenes.tileStyle);
-        const decorationDiff = Math.abs(myGenes.decoration - theirGenes.decoration);
-
-        // Mechanic gene dimensions
-        const collectibleDiff = Math.abs((myGenes.collectibleDensity || 0) - (theirGenes.collectibleDensity || 0));
-        const iceDiff = Math.abs((myGenes.iceEnabled || 0) - (theirGenes.iceEnabled || 0));
-        const iceDensityDiff = Math.abs((myGenes.iceDensity || 0) - (theirGenes.iceDensity || 0));
-        const boxIceDiff = Math.abs((myGenes.boxIceEnabled || 0) - (theirGenes.boxIceEnabled || 0));
-        const exitDiff = Math.abs((myGenes.exitEnabled || 0) - (theirGenes.exitEnabled || 0));
-        const spikeDiff = Math.abs((myGenes.spikeEnabled || 0) - (theirGenes.spikeEnabled || 0));
-        const spikeDensityDiff = Math.abs((myGenes.spikeDensity || 0) - (theirGenes.spikeDensity || 0)) / 0.25;
-        const patrolDiff = Math.abs((myGenes.patrolEnabled || 0) - (theirGenes.patrolEnabled || 0));
-        const patrolCountDiff = Math.abs((myGenes.patrolCount || 1) - (theirGenes.patrolCount || 1)) / 2; // range 1-3, span 2
-        const teleporterDiff = Math.abs((myGenes.teleporterEnabled || 0) - (theirGenes.teleporterEnabled || 0));
-        const teleporterCountDiff = Math.abs((myGenes.teleporterCount || 1) - (theirGenes.teleporterCount || 1)) / 2; // range 1-3, span 2
-        const gateDiff = Math.abs((myGenes.gateEnabled || 0) - (theirGenes.gateEnabled || 0));
-        const gateDensityDiff = Math.abs((myGenes.gateDensity || 0) - (theirGenes.gateDensity || 0)) / 0.15;
-        const keyDoorDiff = Math.abs((myGenes.keyDoorEnabled || 0) - (theirGenes.keyDoorEnabled || 0));
-        const keyDoorCountDiff = Math.abs((myGenes.keyDoorCount || 1) - (theirGenes.keyDoorCount || 1)); // range 1-2, span 1
-
-        // Average over 26 dimensions
-        const avgDiff = (gridDiff + boxDiff + complexDiff + densityDiff +
-                         clustersDiff + mazeDiff + cavesDiff + roomsDiff +
-                         paletteDiff + tileStyleDiff + decorationDiff +
-                         collectibleDiff + iceDiff + iceDensityDiff + boxIceDiff + exitDiff +
-                         spikeDiff + spikeDensityDiff +
-                         patrolDiff + patrolCountDiff +
-                         teleporterDiff + teleporterCountDiff +
-                         gateDiff + gateDensityDiff +
-                         keyDoorDiff + keyDoorCountDiff) / 26;
+        // Weighted average of each gene's distance, normalized by its range
+        // (closer values = higher affinity)
+        let totalDiff = 0;
+        let totalWeight = 0;
+        for (const def of GENE_REGISTRY) {
+            const weight = def.affinityWeight ?? 1;
+            const mine = myGenes[def.name] ?? def.defaultValue;
+            const theirs = theirGenes[def.name] ?? def.defaultValue;
+            totalDiff += geneDistance(def, mine, theirs) * weight;
+            totalWeight += weight;
+        }
+        const avgDiff = totalDiff / totalWeight;
 
         // Convert to affinity score (1 = perfect match, 0 = completely different)
         const affinity = 1 - avgDiff;
@@ -0,0 +1,105 @@
+import { Population, Bot } from './genome.js';
+import { shuffle } from './random.js';
+
+/**
+ * Island model: several Populations evolving side by side, one per culture,
+ * with genomes migrating between them (GDD 5.4, cultural contact).
+ *
+ * Islands breed independently. Every migrationInterval generations the
+ * archipelago migrates around a ring — island i sends to island i+1 — copies
+ * of round(migrationRate * size) of its genomes, each replacing a different
+ * random non-champion genome on the receiving island. Headless runs advance a
+ * generation once every island has bred; the game, whose player tends one
+ * island at a time, advances on each breed.
+ */
+
+export const DEFAULT_MIGRATION_INTERVAL = 3;
+export const DEFAULT_MIGRATION_RATE = 0.2;
+
+export class Archipelago {
+    /**
+     * @param {Array<{ name: string, population: Population }>} islands
+     * @param {Object} options - { migrationInterval, migrationRate }
+     */
+    constructor(islands = [], options = {}) {
+        this.islands = islands;
+        this.migrationInterval = options.migrationInterval ?? DEFAULT_MIGRATION_INTERVAL;
+        this.migrationRate = options.migrationRate ?? DEFAULT_MIGRATION_RATE;
+        this.generation = 0;
+        this.migrations = []; // log: { generation, from, to, names }
+    }
+
+    // A new island with a random population at the given tier
+    foundIsland(name, size = 5, tier = 3) {
+        const island = { name, population: new Population(size, tier) };
+        this.islands.push(island);
+        return island;
+    }
+
+    getIsland(name) {
+        return this.islands.find(island => island.name === name) || null;
+    }
+
+    // Count a generation; migrates when the interval comes round.
+    // Returns this generation's migrations (empty if none)
+    advance() {
+        this.generation++;
+        if (this.migrationInterval <= 0 || this.generation % this.migrationInterval !== 0) return [];
+        return this.migrate();
+    }
+
+    // Ring migration. Emigrants are picked before anyone arrives, so a genome
+    // moves at most one island per migration
+    migrate() {
+        if (this.islands.length < 2) return [];
+
+        const emigrants = this.islands.map(({ population }) => {
+            const count = Math.min(population.genomes.length, Math.round(this.migrationRate * population.genomes.length));
+            const pool = [...population.genomes];
+            const picked = [];
+            while (picked.length < count) {
+                picked.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+            }
+            return picked;
+        });
+
+        const records = [];
+        this.islands.forEach((from, i) => {
+            const to = this.islands[(i + 1) % this.islands.length];
+            // Distinct slots, so no migrant overwrites another; the champion's
+            // slot 0 is spared unless the island has no other
+            const size = to.population.genomes.length;
+            const slots = size > 1 ? Array.from({ length: size - 1 }, (_, s) => s + 1) : [0];
+            shuffle(slots, Math.random);
+            const arrivals = emigrants[i].slice(0, slots.length).map((genome, k) =>
+                to.population.adopt(genome.clone(), { isMigrant: true, fromIsland: from.name }, slots[k]));
+            if (arrivals.length === 0) return;
+            records.push({ generation: this.generation, from: from.name, to: to.name, names: arrivals.map(g => Bot.generateName(g)) });
+        });
+
+        this.migrations.push(...records);
+        return records;
+    }
+
+    // Serialize to JSON
+    toJSON() {
+        return {
+            islands: this.islands.map(({ name, population }) => ({ name, population: population.toJSON() })),
+            migrationInterval: this.migrationInterval,
+            migrationRate: this.migrationRate,
+            generation: this.generation,
+            migrations: this.migrations
+        };
+    }
+
+    // Deserialize from JSON
+    static fromJSON(json) {
+        const archipelago = new Archipelago(
+            json.islands.map(({ name, population }) => ({ name, population: Population.fromJSON(population) })),
+            { migrationInterval: json.migrationInterval, migrationRate: json.migrationRate }
+        );
+        archipelago.generation = json.generation || 0;
+        archipelago.migrations = json.migrations || [];
+        return archipelago;
+    }
+}
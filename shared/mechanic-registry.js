@@ -0,0 +1,87 @@
+import { collectible } from './mechanics/collectible.js';
+import { ice } from './mechanics/ice.js';
+import { exit } from './mechanics/exit.js';
+import { teleporter } from './mechanics/teleporter.js';
+import { spikes } from './mechanics/spikes.js';
+import { patrol } from './mechanics/patrol.js';
+import { gates } from './mechanics/gates.js';
+import { keys } from './mechanics/keys.js';
+import { pull } from './mechanics/pull.js';
+import { holes } from './mechanics/holes.js';
+import { crumble } from './mechanics/crumble.js';
+import { conveyor } from './mechanics/conveyor.js';
+import { switches } from './mechanics/switches.js';
+
+/**
+ * Mechanic Registry — every level mechanic, each declared in one module
+ * under shared/mechanics/. The gene registry, decorator, rules engine and
+ * renderer discover mechanics from here instead of listing them by hand.
+ *
+ * A mechanic is a plain object:
+ *   name        — identifier
+ *   tiles       — overlay tile IDs it owns (from tiles.js)
+ *   genes       — gene definitions, appended to GENE_REGISTRY in registry order
+ *   placeOrder  — decorateLevel runs placements in ascending order
+ *   enabled(genes)                    — whether a genome places it at all
+ *   verify      — optional; the check decorated levels need to keep it: 'moves',
+ *                 'ice', 'solver' or 'gates' (see Genome._decorateVerified);
+ *                 needsSolution: true fails levels the check runs out of budget on
+ *   trait(genes)       — optional; its label in a comparison card's traits line
+ *   personality(genes) — optional; a phrase for Bot personalities, or null
+ *   init(level, genes)                — optional; resets its level fields (runs for every level)
+ *   place(level, genes, pools, rng)   — pools is { allFloor, safeTiles }, both
+ *                                       shuffled; optional for tile-less verbs (pull)
+ *   board(board, level, positions)    — optional; adds the lookup tables rules.js
+ *                                       reads (positions(tile) lists overlay indices)
+ *   draw(ctx, tile, px, py, tileSize, info)  — one overlay tile; info is
+ *                                       { idx, grid, playerIdx, spikePhase,
+ *                                         teleporterPairs, keyDoorPairs, switchPairs }
+ *   entityType, drawEntity(ctx, entity, tileSize) — for entity-based mechanics
+ *   legend      — [{ label, tiles | entityType | flag, draw(ctx, size) }], shown
+ *                 when the level has one of the tiles or entities, or its board
+ *                 has the flag set
+ *
+ * What a mechanic's tables mean during a move is defined by rules.step,
+ * which owns the order a turn resolves in.
+ */
+
+// Registry order is gene order: changing it reshuffles Genome.randomGenes rolls
+export const MECHANICS = [collectible, ice, exit, teleporter, spikes, patrol, gates, keys, pull, holes, crumble, conveyor, switches];
+
+export const PLACEMENT_ORDER = [...MECHANICS].sort((a, b) => a.placeOrder - b.placeOrder);
+
+// Overlay tile -> owning mechanic
+const TILE_MECHANICS = new Map();
+for (const mechanic of MECHANICS) {
+    for (const tile of mechanic.tiles) {
+        if (TILE_MECHANICS.has(tile)) {
+            throw new Error(`Tile ${tile} claimed by both ${TILE_MECHANICS.get(tile).name} and ${mechanic.name}`);
+        }
+        TILE_MECHANICS.set(tile, mechanic);
+    }
+}
+
+const ENTITY_MECHANICS = new Map(
+    MECHANICS.filter(m => m.entityType).map(m => [m.entityType, m])
+);
+
+export function getMechanicForTile(tile) {
+    return TILE_MECHANICS.get(tile) || null;
+}
+
+export function getMechanicForEntity(entity) {
+    return ENTITY_MECHANICS.get(entity.type) || null;
+}
+
+// Whether the named mechanic made it into a generated level: one of its
+// legend entries' tiles, entities or flags is there
+export function isMechanicInLevel(name, level) {
+    const mechanic = MECHANICS.find(m => m.name === name);
+    const overlays = level.overlays || [];
+    const entities = level.entities || [];
+    return !!mechanic && mechanic.legend.some(entry => {
+        if (entry.entityType) return entities.some(e => e.type === entry.entityType);
+        if (entry.flag) return !!level[entry.flag];
+        return entry.tiles.some(t => overlays.includes(t));
+    });
+}
@@ -0,0 +1,87 @@
+import { TILES } from '../tiles.js';
+
+/**
+ * DNA fragments: pickups that feed the player's DNA bank.
+ * Picked up on every tile entered, including mid-slide (see rules.step).
+ */
+export const collectible = {
+    name: 'collectible',
+    tiles: [TILES.COLLECTIBLE],
+
+    genes: [
+        // --- Tier 1: Collectibles ---
+        {
+            name: 'collectibleDensity', tier: 1, type: 'float',
+            min: 0, max: 1, defaultValue: 0.5,
+            mutationRate: 0.2, mutationDelta: 0.15,
+            namePrime: 6337,
+            randomFn: (rng) => 0.3 + rng() * 0.5,
+            label: 'Collectibles', format: (v) => `${(v * 100).toFixed(0)}%`
+        }
+    ],
+
+    // First, on any floor tile: collectibles don't affect solvability
+    placeOrder: 10,
+    enabled: (genes) => (genes.collectibleDensity || 0) > 0,
+    personality: (genes) => genes.collectibleDensity > 0.7 ? 'scatters treasures everywhere'
+        : genes.collectibleDensity < 0.15 ? 'keeps levels clean' : null,
+
+    place(level, genes, { allFloor }) {
+        // Place on floor tiles not already used by other overlays
+        const available = allFloor.filter(i => level.overlays[i] === 0);
+        // Scale: density 0-1 maps to 0-25% of available tiles, minimum 1
+        const count = Math.max(1, Math.round(available.length * genes.collectibleDensity * 0.25));
+
+        for (let i = 0; i < count && i < available.length; i++) {
+            level.overlays[available[i]] = TILES.COLLECTIBLE;
+        }
+    },
+
+    board(board, level, positions) {
+        board.collectibles = new Set(positions(TILES.COLLECTIBLE));
+    },
+
+    draw(ctx, tile, px, py, tileSize) {
+        drawCollectible(ctx, px + tileSize / 2, py + tileSize / 2, tileSize);
+    },
+
+    legend: [
+        { label: 'DNA fragment', tiles: [TILES.COLLECTIBLE], draw: (ctx, S) => drawCollectible(ctx, S / 2, S / 2, S) }
+    ]
+};
+
+function drawCollectible(ctx, cx, cy, tileSize) {
+    const r = tileSize * 0.2;
+
+    // Glow
+    ctx.save();
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = '#00e5ff';
+    ctx.beginPath();
+    ctx.arc(cx, cy, r * 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Diamond shape
+    ctx.fillStyle = '#00e5ff';
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - r);
+    ctx.lineTo(cx + r * 0.7, cy);
+    ctx.lineTo(cx, cy + r);
+    ctx.lineTo(cx - r * 0.7, cy);
+    ctx.closePath();
+    ctx.fill();
+
+    // Inner highlight
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - r * 0.4);
+    ctx.lineTo(cx + r * 0.25, cy);
+    ctx.lineTo(cx, cy + r * 0.15);
+    ctx.lineTo(cx - r * 0.25, cy);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
@@ -0,0 +1,155 @@
+import { TILES } from '../tiles.js';
+
+const CONVEYOR_TILES = [TILES.CONVEYOR_UP, TILES.CONVEYOR_RIGHT, TILES.CONVEYOR_DOWN, TILES.CONVEYOR_LEFT];
+
+const CONVEYOR_DIRS = {
+    [TILES.CONVEYOR_UP]: [0, -1],
+    [TILES.CONVEYOR_RIGHT]: [1, 0],
+    [TILES.CONVEYOR_DOWN]: [0, 1],
+    [TILES.CONVEYOR_LEFT]: [-1, 0]
+};
+
+// Longest belt laid from one starting tile
+const MAX_BELT_LENGTH = 3;
+
+/**
+ * Conveyor belts: at the end of every turn, whatever stands on a belt tile —
+ * the player or a box — moves one tile in its direction, if it can enter it
+ * (rules.convey). A modifier in the GDD's puzzle grammar.
+ *
+ * Belts are laid along the longer open run through their first tile, up to
+ * MAX_BELT_LENGTH tiles. A belt can carry a box into a corner, so Genome
+ * checks every placement with the solver.
+ */
+export const conveyor = {
+    name: 'conveyor',
+    tiles: CONVEYOR_TILES,
+
+    genes: [
+        // --- Tier 3: Conveyor belts ---
+        {
+            name: 'conveyorEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 3389,
+            randomFn: (rng) => rng() < 0.3 ? 1 : 0
+        },
+        {
+            name: 'conveyorDensity', tier: 3, type: 'float',
+            min: 0, max: 0.15, defaultValue: 0,
+            mutationRate: 0.2, mutationDelta: 0.03,
+            randomFn: (rng) => 0.02 + rng() * 0.1,
+            label: 'Conveyors', format: (v, g) => g.conveyorEnabled ? `${(v * 100).toFixed(0)}% density` : null
+        }
+    ],
+
+    // After ice, which would stop a box short of the belt; before exit and
+    // crumbling floor, which take single tiles and could split a belt
+    placeOrder: 45,
+    enabled: (genes) => !!genes.conveyorEnabled && (genes.conveyorDensity || 0) > 0,
+    verify: 'moves',
+    trait: () => 'Conveyors',
+    personality: (genes) => genes.conveyorEnabled ? 'keeps the floor moving' : null,
+
+    place(level, genes, { allFloor }, rng) {
+        const w = level.width;
+        const h = level.height;
+        const isFree = (x, y) => x >= 0 && x < w && y >= 0 && y < h &&
+            level.grid[y * w + x] === TILES.FLOOR && level.overlays[y * w + x] === 0;
+
+        const available = allFloor.filter(i => level.overlays[i] === 0);
+        // Scale: density 0-0.15 maps to 0-15% of available tiles, minimum 1
+        const budget = Math.max(1, Math.round(available.length * genes.conveyorDensity));
+
+        let placed = 0;
+        for (const idx of available) {
+            if (placed >= budget) break;
+            if (level.overlays[idx] !== 0) continue;
+            const x = idx % w;
+            const y = Math.floor(idx / w);
+
+            // Run along the axis with more open floor, toward open floor
+            const [right, left] = [openRun(isFree, x, y, 1, 0), openRun(isFree, x, y, -1, 0)];
+            const [down, up] = [openRun(isFree, x, y, 0, 1), openRun(isFree, x, y, 0, -1)];
+            const horizontal = right + left >= down + up;
+            const [forward, back] = horizontal ? [right, left] : [down, up];
+            const sign = back === 0 ? 1 : forward === 0 ? -1 : (rng() < 0.5 ? 1 : -1);
+            const [dx, dy] = horizontal ? [sign, 0] : [0, sign];
+            const tile = CONVEYOR_TILES.find(t => CONVEYOR_DIRS[t][0] === dx && CONVEYOR_DIRS[t][1] === dy);
+
+            for (let n = 0, cx = x, cy = y; n < MAX_BELT_LENGTH && placed < budget && isFree(cx, cy); n++) {
+                level.overlays[cy * w + cx] = tile;
+                placed++;
+                cx += dx;
+                cy += dy;
+            }
+        }
+    },
+
+    board(board, level, positions) {
+        board.conveyors = new Map();
+        for (const tile of CONVEYOR_TILES) {
+            for (const i of positions(tile)) board.conveyors.set(i, CONVEYOR_DIRS[tile]);
+        }
+    },
+
+    draw(ctx, tile, px, py, tileSize) {
+        drawConveyor(ctx, px, py, tileSize, tile);
+    },
+
+    legend: [
+        { label: 'Conveyor belt', tiles: CONVEYOR_TILES, draw: (ctx, S) => drawConveyor(ctx, 0, 0, S, TILES.CONVEYOR_RIGHT) }
+    ]
+};
+
+// Free tiles in a row from (x, y), not counting it, going (dx, dy)
+function openRun(isFree, x, y, dx, dy) {
+    let run = 0;
+    while (isFree(x + (run + 1) * dx, y + (run + 1) * dy)) run++;
+    return run;
+}
+
+function drawConveyor(ctx, px, py, tileSize, tile) {
+    const [dx, dy] = CONVEYOR_DIRS[tile];
+    const S = tileSize;
+
+    // Dark belt with rails along its edges
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = '#2a3440';
+    ctx.fillRect(px, py, S, S);
+    ctx.globalAlpha = 0.6;
+    ctx.fillStyle = '#7a8a9a';
+    const rail = Math.max(1, S * 0.06);
+    if (dx !== 0) {
+        ctx.fillRect(px, py + S * 0.08, S, rail);
+        ctx.fillRect(px, py + S * 0.92 - rail, S, rail);
+    } else {
+        ctx.fillRect(px + S * 0.08, py, rail, S);
+        ctx.fillRect(px + S * 0.92 - rail, py, rail, S);
+    }
+    ctx.restore();
+
+    // Two chevrons pointing the way the belt runs
+    const cx = px + S / 2;
+    const cy = py + S / 2;
+    const ar = S * 0.18;
+
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    ctx.strokeStyle = '#9fd4ff';
+    ctx.lineWidth = Math.max(2, S * 0.07);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    for (const offset of [-0.14, 0.14]) {
+        // Tip of this chevron, then its two arms trailing behind it
+        const tx = cx + (offset + 0.06) * S * dx;
+        const ty = cy + (offset + 0.06) * S * dy;
+        ctx.moveTo(tx - ar * dx - ar * dy, ty - ar * dy - ar * dx);
+        ctx.lineTo(tx, ty);
+        ctx.lineTo(tx - ar * dx + ar * dy, ty - ar * dy + ar * dx);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
@@ -0,0 +1,93 @@
+import { TILES } from '../tiles.js';
+
+/**
+ * Crumbling floor: once the player or a box has stood on it and it's left
+ * empty, it collapses into a hole (rules.step) — which the player can't
+ * cross, but a box can fill like any other hole.
+ *
+ * Crumbling changes the board on every walk, so the solver searches these
+ * levels move by move, and Genome checks every placement with it.
+ */
+export const crumble = {
+    name: 'crumble',
+    tiles: [TILES.CRUMBLE],
+
+    genes: [
+        // --- Tier 3: Crumbling floor ---
+        {
+            name: 'crumbleEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 5477,
+            randomFn: (rng) => rng() < 0.3 ? 1 : 0
+        },
+        {
+            name: 'crumbleDensity', tier: 3, type: 'float',
+            min: 0, max: 0.2, defaultValue: 0,
+            mutationRate: 0.2, mutationDelta: 0.04,
+            randomFn: (rng) => 0.02 + rng() * 0.13,
+            label: 'Crumbling floor', format: (v, g) => g.crumbleEnabled ? `${(v * 100).toFixed(0)}% density` : null
+        }
+    ],
+
+    // After ice and exit, which need floor that stays put; before spikes
+    placeOrder: 55,
+    enabled: (genes) => !!genes.crumbleEnabled && (genes.crumbleDensity || 0) > 0,
+    verify: 'moves',
+    trait: () => 'Crumbling',
+    personality: (genes) => genes.crumbleEnabled ? 'burns bridges behind you' : null,
+
+    place(level, genes, { allFloor }) {
+        // Crumbling floor on floor tiles not used by other overlays
+        const available = allFloor.filter(i => level.overlays[i] === 0);
+        // Scale: density 0-0.2 maps to 0-10% of available tiles, minimum 1
+        const count = Math.max(1, Math.round(available.length * genes.crumbleDensity * 0.5));
+
+        for (let i = 0; i < count && i < available.length; i++) {
+            level.overlays[available[i]] = TILES.CRUMBLE;
+        }
+    },
+
+    board(board, level, positions) {
+        board.crumbles = new Set(positions(TILES.CRUMBLE));
+    },
+
+    draw(ctx, tile, px, py, tileSize) {
+        drawCrumble(ctx, px, py, tileSize);
+    },
+
+    legend: [
+        { label: 'Crumbling floor', tiles: [TILES.CRUMBLE], draw: (ctx, S) => drawCrumble(ctx, 0, 0, S) }
+    ]
+};
+
+function drawCrumble(ctx, px, py, tileSize) {
+    // Dusty brown tint
+    ctx.save();
+    ctx.globalAlpha = 0.22;
+    ctx.fillStyle = '#b08850';
+    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.restore();
+
+    // Cracks running from near the center to the edges
+    ctx.save();
+    ctx.globalAlpha = 0.55;
+    ctx.strokeStyle = '#3a2a1a';
+    ctx.lineWidth = Math.max(1, tileSize * 0.04);
+    ctx.lineJoin = 'round';
+    const S = tileSize;
+    ctx.beginPath();
+    ctx.moveTo(px + S * 0.45, py + S * 0.5);
+    ctx.lineTo(px + S * 0.3, py + S * 0.35);
+    ctx.lineTo(px + S * 0.2, py + S * 0.1);
+    ctx.moveTo(px + S * 0.45, py + S * 0.5);
+    ctx.lineTo(px + S * 0.7, py + S * 0.42);
+    ctx.lineTo(px + S * 0.9, py + S * 0.2);
+    ctx.moveTo(px + S * 0.45, py + S * 0.5);
+    ctx.lineTo(px + S * 0.52, py + S * 0.72);
+    ctx.lineTo(px + S * 0.4, py + S * 0.92);
+    ctx.moveTo(px + S * 0.7, py + S * 0.42);
+    ctx.lineTo(px + S * 0.78, py + S * 0.7);
+    ctx.stroke();
+    ctx.restore();
+}
@@ -0,0 +1,99 @@
+import { TILES } from '../tiles.js';
+
+/**
+ * Exit portal: once every box is placed, the player must reach it to win
+ * (rules.isSolved).
+ */
+export const exit = {
+    name: 'exit',
+    tiles: [TILES.EXIT],
+
+    genes: [
+        // --- Tier 2: Exit ---
+        {
+            name: 'exitEnabled', tier: 2, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 5639,
+            randomFn: (rng) => rng() < 0.5 ? 1 : 0,
+            label: 'Exit', format: (v) => v ? 'Enabled' : null
+        }
+    ],
+
+    // On any floor tile, far from the player
+    placeOrder: 50,
+    enabled: (genes) => !!genes.exitEnabled,
+    trait: () => 'Exit',
+    personality: (genes) => genes.exitEnabled ? 'designs escape rooms' : null,
+
+    place(level, genes, { allFloor }, rng) {
+        const available = allFloor.filter(i => level.overlays[i] === 0);
+        if (available.length === 0) return;
+
+        const playerIdx = level.playerY * level.width + level.playerX;
+        const w = level.width;
+
+        // Sort by Manhattan distance from player (farthest first)
+        available.sort((a, b) => {
+            const distA = Math.abs(a % w - playerIdx % w) + Math.abs(Math.floor(a / w) - Math.floor(playerIdx / w));
+            const distB = Math.abs(b % w - playerIdx % w) + Math.abs(Math.floor(b / w) - Math.floor(playerIdx / w));
+            return distB - distA;
+        });
+
+        // Pick randomly from the farthest quarter
+        const pickIdx = Math.floor(rng() * Math.max(1, Math.floor(available.length / 4)));
+        level.overlays[available[pickIdx]] = TILES.EXIT;
+    },
+
+    board(board, level, positions) {
+        const [exitPos = -1] = positions(TILES.EXIT);
+        board.exitPos = exitPos;
+    },
+
+    draw(ctx, tile, px, py, tileSize) {
+        drawExit(ctx, px + tileSize / 2, py + tileSize / 2, tileSize);
+    },
+
+    legend: [
+        { label: 'Exit portal', tiles: [TILES.EXIT], draw: (ctx, S) => drawExit(ctx, S / 2, S / 2, S) }
+    ]
+};
+
+function drawExit(ctx, cx, cy, tileSize) {
+    const r = tileSize * 0.35;
+
+    // Outer glow
+    ctx.save();
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = '#00ff88';
+    ctx.beginPath();
+    ctx.arc(cx, cy, r * 1.6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Portal ring
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = Math.max(2, tileSize * 0.06);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Inner fill
+    ctx.save();
+    ctx.globalAlpha = 0.12;
+    ctx.fillStyle = '#00ff88';
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Smaller inner ring
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = Math.max(1, tileSize * 0.03);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r * 0.55, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+}
@@ -0,0 +1,169 @@
+import { TILES } from '../tiles.js';
+
+const GATE_TILES = [TILES.GATE_UP, TILES.GATE_RIGHT, TILES.GATE_DOWN, TILES.GATE_LEFT];
+
+/**
+ * One-way gates: a gate tile can only be entered moving in its direction
+ * (gateAllowsEntry, checked by rules.canEnter). Boxes obey gates too.
+ */
+export const gates = {
+    name: 'gates',
+    tiles: GATE_TILES,
+
+    genes: [
+        // --- Tier 3: One-way gates ---
+        {
+            name: 'gateEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 6427,
+            randomFn: (rng) => rng() < 0.5 ? 1 : 0
+        },
+        {
+            name: 'gateDensity', tier: 3, type: 'float',
+            min: 0, max: 0.15, defaultValue: 0,
+            mutationRate: 0.2, mutationDelta: 0.03,
+            namePrime: 3191,
+            randomFn: (rng) => rng() * 0.15,
+            label: 'Gates', format: (v, g) => g.gateEnabled ? `${(v * 100).toFixed(0)}% density` : null
+        }
+    ],
+
+    // After spikes, on safe tiles to avoid breaking solutions
+    placeOrder: 70,
+    enabled: (genes) => !!genes.gateEnabled && (genes.gateDensity || 0) > 0,
+    verify: 'gates',
+    trait: () => 'Gates',
+    personality: (genes) => genes.gateEnabled ? 'builds one-way streets' : null,
+
+    place(level, genes, { safeTiles }, rng) {
+        const w = level.width;
+        const playerIdx = level.playerY * w + level.playerX;
+
+        // Filter: floor tiles not used by other overlays and not adjacent to player start
+        const available = safeTiles.filter(i => {
+            if (level.overlays[i] !== 0) return false;
+            const ix = i % w;
+            const iy = Math.floor(i / w);
+            const px = playerIdx % w;
+            const py = Math.floor(playerIdx / w);
+            if (Math.abs(ix - px) + Math.abs(iy - py) <= 1) return false;
+            return true;
+        });
+
+        const count = Math.max(1, Math.round(available.length * genes.gateDensity * 0.6));
+
+        for (let i = 0; i < count && i < available.length; i++) {
+            const idx = available[i];
+            const x = idx % w;
+            const y = Math.floor(idx / w);
+
+            // Analyze corridor structure: find longest axis run
+            let hRun = 0, vRun = 0;
+            // Count horizontal run (left + right)
+            for (let dx = -1; dx <= 1; dx += 2) {
+                let cx = x + dx;
+                while (cx >= 0 && cx < w && level.grid[y * w + cx] !== TILES.WALL) {
+                    hRun++;
+                    cx += dx;
+                }
+            }
+            // Count vertical run (up + down)
+            for (let dy = -1; dy <= 1; dy += 2) {
+                let cy = y + dy;
+                while (cy >= 0 && cy < level.height && level.grid[cy * w + x] !== TILES.WALL) {
+                    vRun++;
+                    cy += dy;
+                }
+            }
+
+            // Choose gate direction along the longest corridor run
+            let gateType;
+            if (hRun >= vRun) {
+                // Horizontal corridor — gate allows entry from one horizontal direction
+                gateType = rng() < 0.5 ? TILES.GATE_RIGHT : TILES.GATE_LEFT;
+            } else {
+                // Vertical corridor — gate allows entry from one vertical direction
+                gateType = rng() < 0.5 ? TILES.GATE_DOWN : TILES.GATE_UP;
+            }
+
+            level.overlays[idx] = gateType;
+        }
+    },
+
+    board(board, level, positions) {
+        board.gates = new Map();
+        for (const tile of GATE_TILES) {
+            for (const i of positions(tile)) board.gates.set(i, tile);
+        }
+    },
+
+    draw(ctx, tile, px, py, tileSize) {
+        drawGate(ctx, px, py, tileSize, tile);
+    },
+
+    legend: [
+        { label: 'One-way gate', tiles: GATE_TILES, draw: (ctx, S) => drawGate(ctx, 0, 0, S, TILES.GATE_RIGHT) }
+    ]
+};
+
+/**
+ * Check if a gate allows entry from direction (dx, dy).
+ * Gate tiles restrict which direction you can ENTER from.
+ */
+export function gateAllowsEntry(gateTile, dx, dy) {
+    switch (gateTile) {
+        case TILES.GATE_UP:    return dy === -1; // moving up (from below)
+        case TILES.GATE_DOWN:  return dy === 1;  // moving down (from above)
+        case TILES.GATE_LEFT:  return dx === -1; // moving left (from right)
+        case TILES.GATE_RIGHT: return dx === 1;  // moving right (from left)
+        default: return true;
+    }
+}
+
+function drawGate(ctx, px, py, tileSize, gateTile) {
+    // Semi-transparent amber background tint
+    ctx.save();
+    ctx.globalAlpha = 0.18;
+    ctx.fillStyle = '#ffcc00';
+    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.restore();
+
+    // Draw arrow/chevron pointing in allowed direction
+    const cx = px + tileSize / 2;
+    const cy = py + tileSize / 2;
+    const ar = tileSize * 0.3;
+
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth = Math.max(2, tileSize * 0.08);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    ctx.beginPath();
+    switch (gateTile) {
+        case TILES.GATE_UP:
+            ctx.moveTo(cx - ar * 0.7, cy + ar * 0.3);
+            ctx.lineTo(cx, cy - ar * 0.5);
+            ctx.lineTo(cx + ar * 0.7, cy + ar * 0.3);
+            break;
+        case TILES.GATE_DOWN:
+            ctx.moveTo(cx - ar * 0.7, cy - ar * 0.3);
+            ctx.lineTo(cx, cy + ar * 0.5);
+            ctx.lineTo(cx + ar * 0.7, cy - ar * 0.3);
+            break;
+        case TILES.GATE_LEFT:
+            ctx.moveTo(cx + ar * 0.3, cy - ar * 0.7);
+            ctx.lineTo(cx - ar * 0.5, cy);
+            ctx.lineTo(cx + ar * 0.3, cy + ar * 0.7);
+            break;
+        case TILES.GATE_RIGHT:
+            ctx.moveTo(cx - ar * 0.3, cy - ar * 0.7);
+            ctx.lineTo(cx + ar * 0.5, cy);
+            ctx.lineTo(cx - ar * 0.3, cy + ar * 0.7);
+            break;
+    }
+    ctx.stroke();
+    ctx.restore();
+}
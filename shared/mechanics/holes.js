@@ -0,0 +1,208 @@
+import { TILES } from '../tiles.js';
+import { shuffle } from '../random.js';
+
+const DIRS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+/**
+ * Holes: pits the player can't walk into. A box pushed into one falls in and
+ * is used up, filling the hole, which is floor from then on (rules.step).
+ *
+ * Holes go on chokepoints of the solution path, preferring ones that shut the
+ * player out of an area with boxes or targets in it, or failing those on
+ * other open floor, solution path first. Each comes with a spare box on the
+ * player's side, lined up to be pushed in — the level has one box per hole
+ * more than it has targets, and any box can be the one sacrificed.
+ */
+export const holes = {
+    name: 'holes',
+    tiles: [TILES.HOLE],
+
+    genes: [
+        // --- Tier 3: Holes ---
+        {
+            name: 'holeEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 4013,
+            randomFn: (rng) => rng() < 0.4 ? 1 : 0
+        },
+        {
+            name: 'holeCount', tier: 3, type: 'int',
+            min: 1, max: 2, defaultValue: 1,
+            mutationRate: 0.2, mutationDelta: 1,
+            randomFn: (rng) => 1 + Math.floor(rng() * 2),
+            label: 'Holes', format: (v, g) => g.holeEnabled ? `${v} hole${v > 1 ? 's' : ''}` : null
+        }
+    ],
+
+    // After keys, which get first pick of the chokepoints; before ice and
+    // spikes, which would take the tiles the spare box needs
+    placeOrder: 35,
+    enabled: (genes) => !!genes.holeEnabled,
+    verify: 'solver',
+    trait: () => 'Holes',
+    personality: (genes) => genes.holeEnabled ? 'asks for sacrifices' : null,
+
+    place(level, genes, pools, rng) {
+        const count = genes.holeCount || 1;
+        const w = level.width;
+        const h = level.height;
+        const playerIdx = level.playerY * w + level.playerX;
+        const solutionPath = level.solutionPath || new Set();
+
+        const isWall = (x, y) => x < 0 || x >= w || y < 0 || y >= h || level.grid[y * w + x] === TILES.WALL;
+        const isFree = (i) => level.grid[i] === TILES.FLOOR && level.overlays[i] === 0;
+
+        for (let n = 0; n < count; n++) {
+            // Tiles the player could walk to if boxes were no obstacle
+            const open = reachableFrom(level, playerIdx, new Set(), false);
+
+            // Chokepoints on the solution path (corridor tiles, walled on both
+            // sides across it), the ones cutting off boxes or targets first;
+            // then, for paths without a usable one, the rest of the solution
+            // path and any other open floor
+            const cutting = [];
+            const others = [];
+            const onPath = [];
+            const offPath = [];
+            for (const i of open) {
+                if (i === playerIdx || !isFree(i)) continue;
+                if (!solutionPath.has(i)) {
+                    offPath.push(i);
+                    continue;
+                }
+                const x = i % w;
+                const y = Math.floor(i / w);
+                if (!(isWall(x - 1, y) && isWall(x + 1, y)) && !(isWall(x, y - 1) && isWall(x, y + 1))) {
+                    onPath.push(i);
+                    continue;
+                }
+                (cutsOffBoxes(level, i, playerIdx, open) ? cutting : others).push(i);
+            }
+            for (const tiles of [cutting, others, onPath, offPath]) shuffle(tiles, rng);
+
+            for (const holeIdx of [...cutting, ...others, ...onPath, ...offPath]) {
+                const spare = findSpareBox(level, holeIdx, playerIdx, isFree);
+                if (!spare) continue;
+
+                level.overlays[holeIdx] = TILES.HOLE;
+                level.grid[spare.boxIdx] = TILES.BOX;
+                break;
+            }
+        }
+    },
+
+    board(board, level, positions) {
+        board.holes = new Set(positions(TILES.HOLE));
+    },
+
+    draw(ctx, tile, px, py, tileSize) {
+        drawHole(ctx, px, py, tileSize);
+    },
+
+    legend: [
+        { label: 'Hole (fill with a box)', tiles: [TILES.HOLE], draw: (ctx, S) => drawHole(ctx, 0, 0, S) }
+    ]
+};
+
+/**
+ * The tiles the player can't enter: locked doors plus the open holes.
+ * Boxes still use the doors alone, since they may drop into a hole.
+ */
+export function withHoles(locked, openHoles) {
+    if (openHoles.length === 0) return locked;
+    const blocked = new Set(locked);
+    for (const pos of openHoles) blocked.add(pos);
+    return blocked;
+}
+
+// A spare box for a hole: on a free tile next to it along the corridor, with
+// the tile behind free for the player to push from, both reachable from the
+// start without crossing the hole. Returns { boxIdx } or null
+function findSpareBox(level, holeIdx, playerIdx, isFree) {
+    const w = level.width;
+    const hx = holeIdx % w;
+    const hy = Math.floor(holeIdx / w);
+
+    for (const [dx, dy] of DIRS) {
+        const bx = hx - dx, by = hy - dy;
+        const sx = hx - 2 * dx, sy = hy - 2 * dy;
+        if (sx < 0 || sx >= w || sy < 0 || sy >= level.height) continue;
+
+        const boxIdx = by * w + bx;
+        const standIdx = sy * w + sx;
+        if (boxIdx === playerIdx || !isFree(boxIdx)) continue;
+        if (standIdx !== playerIdx && !isFree(standIdx)) continue;
+
+        const reachable = reachableFrom(level, playerIdx, new Set([holeIdx, boxIdx]), true);
+        if (reachable.has(standIdx)) return { boxIdx };
+    }
+    return null;
+}
+
+// Whether a hole at holeIdx would shut the player out of (boxes aside) some
+// tile holding a box or target — one the level can't be solved without
+function cutsOffBoxes(level, holeIdx, playerIdx, open) {
+    const reachable = reachableFrom(level, playerIdx, new Set([holeIdx]), false);
+    for (const i of open) {
+        if (i === holeIdx || reachable.has(i)) continue;
+        const t = level.grid[i];
+        if (t === TILES.BOX || t === TILES.TARGET || t === TILES.BOX_ON_TARGET) return true;
+    }
+    return false;
+}
+
+// Tiles the player can walk to from start, around walls, the blocked tiles
+// and, if boxesBlock, boxes
+function reachableFrom(level, start, blocked, boxesBlock) {
+    const w = level.width;
+    const h = level.height;
+    const reachable = new Set([start]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+        const cur = queue[head];
+        const cx = cur % w;
+        const cy = Math.floor(cur / w);
+        for (const [dx, dy] of DIRS) {
+            const nx = cx + dx, ny = cy + dy;
+            if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
+            const ni = ny * w + nx;
+            if (reachable.has(ni) || blocked.has(ni)) continue;
+            const t = level.grid[ni];
+            if (t === TILES.WALL) continue;
+            if (boxesBlock && (t === TILES.BOX || t === TILES.BOX_ON_TARGET)) continue;
+            reachable.add(ni);
+            queue.push(ni);
+        }
+    }
+    return reachable;
+}
+
+function drawHole(ctx, px, py, tileSize) {
+    const cx = px + tileSize / 2;
+    const cy = py + tileSize / 2;
+    const r = tileSize * 0.4;
+
+    // Pit
+    ctx.save();
+    ctx.fillStyle = '#050505';
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, r, r * 0.85, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Rim catching the light on the far edge
+    ctx.globalAlpha = 0.5;
+    ctx.strokeStyle = '#8a7a66';
+    ctx.lineWidth = Math.max(1.5, tileSize * 0.06);
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, r, r * 0.85, 0, Math.PI * 1.05, Math.PI * 1.95);
+    ctx.stroke();
+
+    // Inner shadow toward the near edge
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = '#2a2420';
+    ctx.beginPath();
+    ctx.ellipse(cx, cy - r * 0.25, r * 0.7, r * 0.45, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
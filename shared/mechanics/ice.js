@@ -0,0 +1,114 @@
+import { TILES } from '../tiles.js';
+
+/**
+ * Ice: the player slides across it until stopped (rules.landPlayer).
+ * With box-ice, pushed boxes slide too (rules.slideBox).
+ */
+export const ice = {
+    name: 'ice',
+    tiles: [TILES.ICE],
+
+    genes: [
+        // --- Tier 2: Ice ---
+        {
+            name: 'iceEnabled', tier: 2, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 4523,
+            randomFn: (rng) => rng() < 0.5 ? 1 : 0
+        },
+        {
+            name: 'iceDensity', tier: 2, type: 'float',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.2, mutationDelta: 0.1,
+            namePrime: 7129,
+            randomFn: (rng) => rng() * 0.3,
+            label: 'Ice',
+            format: (v, g) => g.iceEnabled
+                ? `${(v * 100).toFixed(0)}% density` + (g.boxIceEnabled ? ' (boxes slide too)' : '')
+                : null
+        },
+        {
+            name: 'boxIceEnabled', tier: 2, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 8293,
+            randomFn: (rng) => rng() < 0.3 ? 1 : 0
+        }
+    ],
+
+    // After teleporters and keys, so their tiles aren't on ice
+    placeOrder: 40,
+    enabled: (genes) => !!genes.iceEnabled && (genes.iceDensity || 0) > 0,
+    verify: 'ice',
+    trait: (genes) => genes.boxIceEnabled ? 'Box-Ice' : 'Ice',
+    personality: (genes) => genes.iceEnabled && genes.boxIceEnabled ? 'makes everything slide'
+        : genes.iceEnabled && genes.iceDensity > 0.15 ? 'loves slippery surfaces' : null,
+
+    init(level, genes) {
+        // Box-ice flag for the game loop
+        level.boxIceEnabled = !!(genes.iceEnabled && genes.boxIceEnabled);
+    },
+
+    // Box-ice: use allFloor tiles (solver verification ensures solvability)
+    // Regular ice: only on non-solution-path tiles (affects player movement)
+    place(level, genes, { allFloor, safeTiles }) {
+        const pool = genes.boxIceEnabled
+            ? (allFloor.length > 0 ? allFloor : safeTiles)
+            : (safeTiles.length > 0 ? safeTiles : allFloor);
+
+        // Ice on tiles not used by collectibles
+        const available = pool.filter(i => level.overlays[i] === 0);
+        // Scale: density 0-1 maps to 0-30% of available tiles, minimum 1
+        const count = Math.max(1, Math.round(available.length * genes.iceDensity * 0.3));
+
+        for (let i = 0; i < count && i < available.length; i++) {
+            level.overlays[available[i]] = TILES.ICE;
+        }
+    },
+
+    board(board, level, positions) {
+        board.iceTiles = new Set(positions(TILES.ICE));
+    },
+
+    draw(ctx, tile, px, py, tileSize) {
+        drawIce(ctx, px, py, tileSize);
+    },
+
+    legend: [
+        { label: 'Ice (slide)', tiles: [TILES.ICE], draw: (ctx, S) => drawIce(ctx, 0, 0, S) }
+    ]
+};
+
+function drawIce(ctx, px, py, tileSize) {
+    // Semi-transparent blue overlay
+    ctx.save();
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = '#88ccff';
+    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.restore();
+
+    // Subtle diagonal lines
+    ctx.save();
+    ctx.globalAlpha = 0.12;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    const step = Math.max(3, tileSize / 4);
+    for (let i = 0; i < tileSize * 2; i += step) {
+        ctx.beginPath();
+        ctx.moveTo(px + i, py);
+        ctx.lineTo(px + i - tileSize, py + tileSize);
+        ctx.stroke();
+    }
+    ctx.restore();
+
+    // Small sparkle dots
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    ctx.fillStyle = '#ccefff';
+    const dotR = Math.max(1, tileSize * 0.03);
+    ctx.beginPath(); ctx.arc(px + tileSize * 0.25, py + tileSize * 0.3, dotR, 0, Math.PI * 2); ctx.fill();
+    ctx.beginPath(); ctx.arc(px + tileSize * 0.7, py + tileSize * 0.6, dotR, 0, Math.PI * 2); ctx.fill();
+    ctx.beginPath(); ctx.arc(px + tileSize * 0.45, py + tileSize * 0.8, dotR, 0, Math.PI * 2); ctx.fill();
+    ctx.restore();
+}
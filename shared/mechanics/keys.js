@@ -0,0 +1,263 @@
+import { TILES } from '../tiles.js';
+import { shuffle } from '../random.js';
+
+const KEY_COLORS = ['#ff4444', '#4488ff'];
+
+/**
+ * Keys and doors: colored pairs stored in level.keyDoorPairs as
+ * { keyIdx, doorIdx, colorIndex }. A door blocks everything (boxes included)
+ * until the player picks up its key, which is held from then on.
+ */
+export const keys = {
+    name: 'keys',
+    tiles: [TILES.KEY, TILES.DOOR],
+
+    genes: [
+        // --- Tier 3: Keys & Doors ---
+        {
+            name: 'keyDoorEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 7517,
+            randomFn: (rng) => rng() < 0.5 ? 1 : 0
+        },
+        {
+            name: 'keyDoorCount', tier: 3, type: 'int',
+            min: 1, max: 2, defaultValue: 1,
+            mutationRate: 0.2, mutationDelta: 1,
+            namePrime: 5843,
+            randomFn: (rng) => 1 + Math.floor(rng() * 2),
+            label: 'Keys/Doors', format: (v, g) => g.keyDoorEnabled ? `${v} pair${v > 1 ? 's' : ''}` : null
+        }
+    ],
+
+    // Before ice, spikes and gates, which would otherwise take the chokepoints
+    placeOrder: 30,
+    enabled: (genes) => !!genes.keyDoorEnabled,
+    verify: 'solver',
+    trait: () => 'Keys',
+    personality: (genes) => genes.keyDoorEnabled ? 'hides keys in clever places' : null,
+
+    init(level) {
+        level.keyDoorPairs = [];
+    },
+
+    place(level, genes, pools, rng) {
+        const count = genes.keyDoorCount || 1;
+        const w = level.width;
+        const h = level.height;
+        const playerIdx = level.playerY * w + level.playerX;
+
+        for (let p = 0; p < count; p++) {
+            // Find corridor chokepoint tiles (floor tile with 2+ wall neighbors, not adjacent to player/boxes)
+            const chokepoints = [];
+            for (let i = 0; i < level.grid.length; i++) {
+                if (level.grid[i] !== TILES.FLOOR || level.overlays[i] !== 0) continue;
+
+                const x = i % w;
+                const y = Math.floor(i / w);
+
+                // Skip tiles adjacent to player start
+                const px = playerIdx % w;
+                const py = Math.floor(playerIdx / w);
+                if (Math.abs(x - px) + Math.abs(y - py) <= 1) continue;
+
+                // Skip tiles with boxes nearby
+                let nearBox = false;
+                for (const [dx, dy] of [[0,-1],[0,1],[-1,0],[1,0]]) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx >= 0 && nx < w && ny >= 0 && ny < h) {
+                        const t = level.grid[ny * w + nx];
+                        if (t === TILES.BOX || t === TILES.BOX_ON_TARGET) nearBox = true;
+                    }
+                }
+                if (nearBox) continue;
+
+                // Count wall neighbors
+                let wallCount = 0;
+                for (const [dx, dy] of [[0,-1],[0,1],[-1,0],[1,0]]) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx < 0 || nx >= w || ny < 0 || ny >= h || level.grid[ny * w + nx] === TILES.WALL) {
+                        wallCount++;
+                    }
+                }
+                if (wallCount >= 2) chokepoints.push(i);
+            }
+
+            if (chokepoints.length === 0) continue;
+
+            shuffle(chokepoints, rng);
+            const doorIdx = chokepoints[0];
+
+            // BFS from player start treating door tile as wall, find reachable tiles for key placement
+            const reachable = new Set();
+            const queue = [playerIdx];
+            reachable.add(playerIdx);
+            let bfsHead = 0;
+            while (bfsHead < queue.length) {
+                const cur = queue[bfsHead++];
+                const cx = cur % w;
+                const cy = Math.floor(cur / w);
+                for (const [dx, dy] of [[0,-1],[0,1],[-1,0],[1,0]]) {
+                    const nx = cx + dx, ny = cy + dy;
+                    if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
+                    const ni = ny * w + nx;
+                    if (reachable.has(ni)) continue;
+                    if (ni === doorIdx) continue; // treat door as wall
+                    if (level.grid[ni] === TILES.WALL) continue;
+                    reachable.add(ni);
+                    queue.push(ni);
+                }
+            }
+
+            // Pick key position: reachable floor tile at moderate distance from door, not used by overlay
+            const doorX = doorIdx % w;
+            const doorY = Math.floor(doorIdx / w);
+            const keyCandidate = [...reachable].filter(i => {
+                if (level.grid[i] !== TILES.FLOOR) return false;
+                if (level.overlays[i] !== 0) return false;
+                if (i === playerIdx) return false;
+                return true;
+            });
+
+            if (keyCandidate.length === 0) continue;
+
+            // Sort by distance from door (moderate distance preferred)
+            keyCandidate.sort((a, b) => {
+                const da = Math.abs(a % w - doorX) + Math.abs(Math.floor(a / w) - doorY);
+                const db = Math.abs(b % w - doorX) + Math.abs(Math.floor(b / w) - doorY);
+                return db - da;
+            });
+
+            // Pick from the middle third for moderate distance
+            const mid = Math.floor(keyCandidate.length / 3);
+            const keyIdx = keyCandidate[Math.min(mid, keyCandidate.length - 1)];
+
+            level.overlays[keyIdx] = TILES.KEY;
+            level.overlays[doorIdx] = TILES.DOOR;
+            level.keyDoorPairs.push({ keyIdx, doorIdx, colorIndex: p });
+        }
+    },
+
+    board(board, level, positions) {
+        board.doors = new Set(positions(TILES.DOOR));
+
+        // Key position -> door position, for keys still lying on the board.
+        // Doors without a live key (or without pair data) stay locked.
+        board.keyDoors = new Map();
+        const overlays = level.overlays || [];
+        for (const { keyIdx, doorIdx } of level.keyDoorPairs || []) {
+            if (overlays[keyIdx] === TILES.KEY && overlays[doorIdx] === TILES.DOOR) {
+                board.keyDoors.set(keyIdx, doorIdx);
+            }
+        }
+    },
+
+    // Keys and doors take their pair's color
+    draw(ctx, tile, px, py, tileSize, { idx, keyDoorPairs }) {
+        const field = tile === TILES.KEY ? 'keyIdx' : 'doorIdx';
+        const pair = keyDoorPairs && keyDoorPairs.find(p => p[field] === idx);
+        const colorIndex = pair ? pair.colorIndex : 0;
+        if (tile === TILES.KEY) {
+            drawKey(ctx, px + tileSize / 2, py + tileSize / 2, tileSize, colorIndex);
+        } else {
+            drawDoor(ctx, px, py, tileSize, colorIndex);
+        }
+    },
+
+    legend: [
+        { label: 'Key', tiles: [TILES.KEY], draw: (ctx, S) => drawKey(ctx, S / 2, S / 2, S, 0) },
+        { label: 'Locked door', tiles: [TILES.DOOR], draw: (ctx, S) => drawDoor(ctx, 0, 0, S, 0) }
+    ]
+};
+
+/**
+ * Doors still locked once the given keys are held.
+ */
+export function lockedDoors(board, keys) {
+    if (keys.length === 0) return board.doors;
+    const locked = new Set(board.doors);
+    for (const keyPos of keys) {
+        locked.delete(board.keyDoors.get(keyPos));
+    }
+    return locked;
+}
+
+function drawKey(ctx, cx, cy, tileSize, colorIndex) {
+    const color = KEY_COLORS[colorIndex % KEY_COLORS.length];
+    const r = tileSize * 0.2;
+
+    // Glow
+    ctx.save();
+    ctx.globalAlpha = 0.2;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(cx, cy - r * 0.3, r * 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Key head (circle)
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(cx, cy - r * 0.4, r * 0.6, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Key head hole
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    ctx.fillStyle = '#000000';
+    ctx.beginPath();
+    ctx.arc(cx, cy - r * 0.4, r * 0.2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Key shaft
+    ctx.fillStyle = color;
+    ctx.fillRect(cx - r * 0.12, cy, r * 0.24, r * 0.9);
+
+    // Key teeth
+    ctx.fillRect(cx, cy + r * 0.4, r * 0.3, r * 0.15);
+    ctx.fillRect(cx, cy + r * 0.7, r * 0.2, r * 0.15);
+
+    // Sparkle highlight
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(cx - r * 0.2, cy - r * 0.6, r * 0.12, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+function drawDoor(ctx, px, py, tileSize, colorIndex) {
+    const color = KEY_COLORS[colorIndex % KEY_COLORS.length];
+
+    // Filled background at low alpha
+    ctx.save();
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = color;
+    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.restore();
+
+    // Barred pattern (vertical bars)
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(2, tileSize * 0.06);
+    const barSpacing = tileSize / 5;
+    for (let i = 1; i < 5; i++) {
+        ctx.beginPath();
+        ctx.moveTo(px + i * barSpacing, py + tileSize * 0.1);
+        ctx.lineTo(px + i * barSpacing, py + tileSize * 0.9);
+        ctx.stroke();
+    }
+
+    // Horizontal bars
+    ctx.beginPath();
+    ctx.moveTo(px + tileSize * 0.1, py + tileSize * 0.3);
+    ctx.lineTo(px + tileSize * 0.9, py + tileSize * 0.3);
+    ctx.moveTo(px + tileSize * 0.1, py + tileSize * 0.7);
+    ctx.lineTo(px + tileSize * 0.9, py + tileSize * 0.7);
+    ctx.stroke();
+    ctx.restore();
+}
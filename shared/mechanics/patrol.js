@@ -0,0 +1,115 @@
+import { placePatrolEntities } from '../entities.js';
+
+/**
+ * Patrol enemies: entities (level.entities) rather than overlay tiles. They
+ * walk back and forth after every move and cost a heart on contact
+ * (see entities.js and rules.step).
+ */
+export const patrol = {
+    name: 'patrol',
+    tiles: [],
+    entityType: 'patrol',
+
+    genes: [
+        // --- Tier 3: Patrol enemies ---
+        {
+            name: 'patrolEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 5179,
+            randomFn: (rng) => rng() < 0.5 ? 1 : 0
+        },
+        {
+            name: 'patrolCount', tier: 3, type: 'int',
+            min: 1, max: 3, defaultValue: 1,
+            mutationRate: 0.2, mutationDelta: 1,
+            namePrime: 7643,
+            randomFn: (rng) => 1 + Math.floor(rng() * 3),
+            label: 'Patrol', format: (v, g) => g.patrolEnabled ? `${v} enemies` : null
+        }
+    ],
+
+    // Last: patrols avoid tiles holding any other overlay
+    placeOrder: 80,
+    enabled: (genes) => !!genes.patrolEnabled,
+    trait: () => 'Patrol',
+    personality: (genes) => genes.patrolEnabled
+        ? (genes.patrolCount >= 3 ? 'commands a patrol squad' : 'deploys sentries')
+        : null,
+
+    init(level) {
+        level.entities = [];
+    },
+
+    place(level, genes, pools, rng) {
+        level.entities = placePatrolEntities(level, genes, rng);
+    },
+
+    drawEntity(ctx, e, tileSize) {
+        drawPatrolEnemy(ctx, e.x, e.y, e.dx, e.dy, tileSize);
+    },
+
+    legend: [
+        // Right-facing, at tile (0, 0)
+        { label: 'Patrol enemy', entityType: 'patrol', draw: (ctx, S) => drawPatrolEnemy(ctx, 0, 0, 1, 0, S) }
+    ]
+};
+
+function drawPatrolEnemy(ctx, x, y, dx, dy, tileSize) {
+    const px = x * tileSize;
+    const py = y * tileSize;
+    const cx = px + tileSize / 2;
+    const cy = py + tileSize / 2;
+    const r = tileSize * 0.35;
+
+    // Semi-transparent background tint
+    ctx.save();
+    ctx.globalAlpha = 0.12;
+    ctx.fillStyle = '#ff6600';
+    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.restore();
+
+    // Directional triangle pointing in movement direction
+    ctx.save();
+    ctx.fillStyle = '#ff4422';
+    ctx.globalAlpha = 0.9;
+
+    ctx.beginPath();
+    if (dx === 1) {
+        // Right
+        ctx.moveTo(cx + r, cy);
+        ctx.lineTo(cx - r * 0.6, cy - r * 0.7);
+        ctx.lineTo(cx - r * 0.6, cy + r * 0.7);
+    } else if (dx === -1) {
+        // Left
+        ctx.moveTo(cx - r, cy);
+        ctx.lineTo(cx + r * 0.6, cy - r * 0.7);
+        ctx.lineTo(cx + r * 0.6, cy + r * 0.7);
+    } else if (dy === 1) {
+        // Down
+        ctx.moveTo(cx, cy + r);
+        ctx.lineTo(cx - r * 0.7, cy - r * 0.6);
+        ctx.lineTo(cx + r * 0.7, cy - r * 0.6);
+    } else {
+        // Up
+        ctx.moveTo(cx, cy - r);
+        ctx.lineTo(cx - r * 0.7, cy + r * 0.6);
+        ctx.lineTo(cx + r * 0.7, cy + r * 0.6);
+    }
+    ctx.closePath();
+    ctx.fill();
+
+    // Bright outline
+    ctx.strokeStyle = '#ff8844';
+    ctx.lineWidth = Math.max(1, tileSize * 0.04);
+    ctx.stroke();
+    ctx.restore();
+
+    // Inner eye dot
+    ctx.save();
+    ctx.fillStyle = '#ffcc00';
+    ctx.beginPath();
+    ctx.arc(cx + dx * r * 0.15, cy + dy * r * 0.15, Math.max(1, tileSize * 0.06), 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
@@ -0,0 +1,68 @@
+/**
+ * Pulling: the player can drag the box behind them one tile (rules.step with
+ * { pull: true }; Shift or a long press in the game). A level-wide verb with
+ * no tiles, flagged as level.pullEnabled like box-ice.
+ *
+ * The generator's reverse play mixes in reverse pulls (pushes, played
+ * backwards) at pullShare of its moves, so the forward solution needs pulls;
+ * Genome keeps the levels a push-only solve can't finish.
+ */
+export const pull = {
+    name: 'pull',
+    tiles: [],
+
+    genes: [
+        // --- Tier 3: Pull ---
+        {
+            name: 'pullEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 6719,
+            randomFn: (rng) => rng() < 0.3 ? 1 : 0
+        },
+        {
+            name: 'pullShare', tier: 3, type: 'float',
+            min: 0.1, max: 0.6, defaultValue: 0.3,
+            mutationRate: 0.2, mutationDelta: 0.1,
+            randomFn: (rng) => 0.1 + rng() * 0.4,
+            label: 'Pull', format: (v, g) => g.pullEnabled ? `${(v * 100).toFixed(0)}% of moves` : null
+        }
+    ],
+
+    // Nothing to place; init sets the flag
+    placeOrder: 90,
+    enabled: (genes) => !!genes.pullEnabled,
+    trait: () => 'Pull',
+    personality: (genes) => genes.pullEnabled ? 'makes you work backwards' : null,
+
+    init(level, genes) {
+        // Pull flag for the game loop and solver
+        level.pullEnabled = !!genes.pullEnabled;
+    },
+
+    legend: [
+        { label: 'Pull (hold Shift)', flag: 'pullEnabled', draw: (ctx, S) => drawPull(ctx, S) }
+    ]
+};
+
+// A box with an arrow leading away from it
+function drawPull(ctx, S) {
+    const cy = S / 2;
+
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    ctx.fillStyle = '#c8a15a';
+    ctx.fillRect(S * 0.08, cy - S * 0.18, S * 0.36, S * 0.36);
+    ctx.restore();
+
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = Math.max(1.5, S * 0.08);
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(S * 0.5, cy);
+    ctx.lineTo(S * 0.9, cy);
+    ctx.moveTo(S * 0.74, cy - S * 0.14);
+    ctx.lineTo(S * 0.9, cy);
+    ctx.lineTo(S * 0.74, cy + S * 0.14);
+    ctx.stroke();
+}
@@ -0,0 +1,97 @@
+import { TILES } from '../tiles.js';
+
+/**
+ * Spikes: timed hazard. All spikes share one phase that toggles between
+ * retracted and active every SPIKE_TOGGLE_INTERVAL moves; standing on an
+ * active spike costs a heart (rules.step).
+ */
+export const spikes = {
+    name: 'spikes',
+    tiles: [TILES.SPIKES],
+
+    genes: [
+        // --- Tier 3: Spikes ---
+        {
+            name: 'spikeEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 3847,
+            randomFn: (rng) => rng() < 0.5 ? 1 : 0
+        },
+        {
+            name: 'spikeDensity', tier: 3, type: 'float',
+            min: 0, max: 0.25, defaultValue: 0,
+            mutationRate: 0.2, mutationDelta: 0.05,
+            namePrime: 6263,
+            randomFn: (rng) => rng() * 0.25,
+            label: 'Spikes', format: (v, g) => g.spikeEnabled ? `${(v * 100).toFixed(0)}% density` : null
+        }
+    ],
+
+    // On any floor tile: damage doesn't block a solution
+    placeOrder: 60,
+    enabled: (genes) => !!genes.spikeEnabled && (genes.spikeDensity || 0) > 0,
+    trait: () => 'Spikes',
+    personality: (genes) => genes.spikeEnabled && genes.spikeDensity > 0.1 ? 'lays deadly traps' : null,
+
+    place(level, genes, { allFloor }) {
+        // Spikes on floor tiles not used by other overlays
+        const available = allFloor.filter(i => level.overlays[i] === 0);
+        // Scale: density 0-0.25 maps to 0-20% of available tiles, minimum 1
+        const count = Math.max(1, Math.round(available.length * genes.spikeDensity * 0.8));
+
+        for (let i = 0; i < count && i < available.length; i++) {
+            level.overlays[available[i]] = TILES.SPIKES;
+        }
+    },
+
+    board(board, level, positions) {
+        board.spikes = new Set(positions(TILES.SPIKES));
+    },
+
+    draw(ctx, tile, px, py, tileSize, { spikePhase }) {
+        drawSpikes(ctx, px, py, tileSize, !!spikePhase);
+    },
+
+    legend: [
+        { label: 'Spikes (timed)', tiles: [TILES.SPIKES], draw: (ctx, S) => drawSpikes(ctx, 0, 0, S, true) }
+    ]
+};
+
+function drawSpikes(ctx, px, py, tileSize, active) {
+    const cx = px + tileSize / 2;
+    const cy = py + tileSize / 2;
+    const r = tileSize * 0.35;
+
+    // Background tint
+    ctx.save();
+    ctx.globalAlpha = active ? 0.15 : 0.05;
+    ctx.fillStyle = active ? '#ff4444' : '#888888';
+    ctx.fillRect(px, py, tileSize, tileSize);
+    ctx.restore();
+
+    // Draw 5 triangular spikes
+    const color = active ? '#ff4444' : '#666666';
+    const alpha = active ? 0.9 : 0.35;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = color;
+    const spikeH = r * 0.7;
+    const spikeW = r * 0.3;
+    const positions = [
+        [cx, cy - r * 0.5],
+        [cx - r * 0.45, cy - r * 0.15],
+        [cx + r * 0.45, cy - r * 0.15],
+        [cx - r * 0.25, cy + r * 0.35],
+        [cx + r * 0.25, cy + r * 0.35]
+    ];
+    for (const [sx, sy] of positions) {
+        ctx.beginPath();
+        ctx.moveTo(sx, sy - spikeH);
+        ctx.lineTo(sx + spikeW, sy);
+        ctx.lineTo(sx - spikeW, sy);
+        ctx.closePath();
+        ctx.fill();
+    }
+    ctx.restore();
+}
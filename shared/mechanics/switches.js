@@ -0,0 +1,240 @@
+import { TILES } from '../tiles.js';
+import { shuffle } from '../random.js';
+
+const SWITCH_COLORS = ['#44dd88', '#dd66ff'];
+
+const DIRS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+/**
+ * Pressure plates and bridges: pairs stored in level.switchPairs as
+ * { switchIdx, bridgeIdx, colorIndex }, like keys and doors. A bridge is a
+ * wall, to boxes too, except while its plate is pressed — by the player or a
+ * box standing on it — and it can't close on whatever stands on the bridge
+ * itself (closedBridges). Whether a bridge is open follows from where the
+ * player and boxes stand, so undo and the solver need no extra state.
+ *
+ * Bridges go on solution-path chokepoints (any solution-path tile when the
+ * path has none), plates on tiles a box can be pushed onto away from the
+ * bridge, so crossing takes a parked box.
+ * Genome checks every placement with the solver.
+ */
+export const switches = {
+    name: 'switches',
+    tiles: [TILES.SWITCH, TILES.BRIDGE],
+
+    genes: [
+        // --- Tier 3: Pressure plates & bridges ---
+        {
+            name: 'switchEnabled', tier: 3, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 6133,
+            randomFn: (rng) => rng() < 0.3 ? 1 : 0
+        },
+        {
+            name: 'switchCount', tier: 3, type: 'int',
+            min: 1, max: 2, defaultValue: 1,
+            mutationRate: 0.2, mutationDelta: 1,
+            randomFn: (rng) => 1 + Math.floor(rng() * 2),
+            label: 'Pressure plates', format: (v, g) => g.switchEnabled ? `${v} plate${v > 1 ? 's' : ''}` : null
+        }
+    ],
+
+    // After keys, which get first pick of the chokepoints; before holes,
+    // whose spare boxes would sit where a plate's box is pushed from
+    placeOrder: 33,
+    enabled: (genes) => !!genes.switchEnabled,
+    // Plate levels the search can't finish within budget aren't kept
+    verify: 'moves', needsSolution: true,
+    trait: () => 'Plates',
+    personality: (genes) => genes.switchEnabled ? 'wants a box left behind' : null,
+
+    init(level) {
+        level.switchPairs = [];
+    },
+
+    place(level, genes, pools, rng) {
+        const count = genes.switchCount || 1;
+        const w = level.width;
+        const h = level.height;
+        const playerIdx = level.playerY * w + level.playerX;
+        const solutionPath = level.solutionPath || new Set();
+
+        const isWall = (x, y) => x < 0 || x >= w || y < 0 || y >= h || level.grid[y * w + x] === TILES.WALL;
+        const isFree = (i) => level.grid[i] === TILES.FLOOR && level.overlays[i] === 0;
+
+        for (let p = 0; p < count; p++) {
+            // Bridges: tiles on the solution path, not next to the player
+            // start — corridor tiles (walled on both sides across the path)
+            // when there are any, since those can't be walked around
+            const corridors = [];
+            const open = [];
+            for (let i = 0; i < level.grid.length; i++) {
+                if (!solutionPath.has(i) || !isFree(i)) continue;
+                const x = i % w;
+                const y = Math.floor(i / w);
+                if (Math.abs(x - level.playerX) + Math.abs(y - level.playerY) <= 1) continue;
+                const corridor = (isWall(x - 1, y) && isWall(x + 1, y)) || (isWall(x, y - 1) && isWall(x, y + 1));
+                (corridor ? corridors : open).push(i);
+            }
+            const bridges = corridors.length > 0 ? corridors : open;
+            if (bridges.length === 0) continue;
+            shuffle(bridges, rng);
+            const bridgeIdx = bridges[0];
+            const bx = bridgeIdx % w;
+            const by = Math.floor(bridgeIdx / w);
+
+            // Plates: free tiles on the player's side of the bridge, out of the
+            // player's reach from the bridge (at least 2 tiles), with floor on
+            // both sides along some axis so a box can be pushed on and off
+            const reachable = reachableFrom(level, playerIdx, bridgeIdx);
+            const plates = [...reachable].filter(i => {
+                if (i === playerIdx || !isFree(i)) return false;
+                const x = i % w;
+                const y = Math.floor(i / w);
+                if (Math.abs(x - bx) + Math.abs(y - by) < 2) return false;
+                return (!isWall(x - 1, y) && !isWall(x + 1, y)) || (!isWall(x, y - 1) && !isWall(x, y + 1));
+            });
+            if (plates.length === 0) continue;
+            shuffle(plates, rng);
+            const switchIdx = plates[0];
+
+            level.overlays[switchIdx] = TILES.SWITCH;
+            level.overlays[bridgeIdx] = TILES.BRIDGE;
+            level.switchPairs.push({ switchIdx, bridgeIdx, colorIndex: p });
+        }
+    },
+
+    board(board, level, positions) {
+        // Bridge position -> its plate's position, or -1 for a bridge with no
+        // plate on the board (or no pair data), which never opens
+        board.bridges = new Map(positions(TILES.BRIDGE).map(i => [i, -1]));
+        const overlays = level.overlays || [];
+        for (const { switchIdx, bridgeIdx } of level.switchPairs || []) {
+            if (overlays[switchIdx] === TILES.SWITCH && board.bridges.has(bridgeIdx)) {
+                board.bridges.set(bridgeIdx, switchIdx);
+            }
+        }
+    },
+
+    // Plates and bridges take their pair's color; a bridge draws open while
+    // its plate or the bridge itself holds the player or a box
+    draw(ctx, tile, px, py, tileSize, { idx, switchPairs, grid, playerIdx }) {
+        const field = tile === TILES.SWITCH ? 'switchIdx' : 'bridgeIdx';
+        const pair = switchPairs && switchPairs.find(p => p[field] === idx);
+        const colorIndex = pair ? pair.colorIndex : 0;
+        if (tile === TILES.SWITCH) {
+            drawSwitch(ctx, px, py, tileSize, colorIndex);
+            return;
+        }
+        const occupied = (i) => i === playerIdx || (grid && (grid[i] === TILES.BOX || grid[i] === TILES.BOX_ON_TARGET));
+        const open = !!pair && (occupied(pair.switchIdx) || occupied(idx));
+        drawBridge(ctx, px, py, tileSize, colorIndex, open);
+    },
+
+    legend: [
+        { label: 'Pressure plate', tiles: [TILES.SWITCH], draw: (ctx, S) => drawSwitch(ctx, 0, 0, S, 0) },
+        { label: 'Bridge (open while its plate is pressed)', tiles: [TILES.BRIDGE], draw: (ctx, S) => drawBridge(ctx, 0, 0, S, 0, false) }
+    ]
+};
+
+/**
+ * Bridges closed with the player at player and boxes at boxSet: every
+ * bridge with nothing on its plate or on itself. Returns an array of positions.
+ */
+export function closedBridges(board, player, boxSet) {
+    const closed = [];
+    for (const [bridge, plate] of board.bridges) {
+        const pressed = plate >= 0 && (plate === player || boxSet.has(plate));
+        if (!pressed && bridge !== player && !boxSet.has(bridge)) closed.push(bridge);
+    }
+    return closed;
+}
+
+/**
+ * The locked tiles plus the closed bridges, which stop boxes and the player alike.
+ */
+export function withBridges(locked, closed) {
+    if (closed.length === 0) return locked;
+    const blocked = new Set(locked);
+    for (const pos of closed) blocked.add(pos);
+    return blocked;
+}
+
+// Tiles the player can walk to from start, around walls and the bridge,
+// boxes aside
+function reachableFrom(level, start, bridgeIdx) {
+    const w = level.width;
+    const h = level.height;
+    const reachable = new Set([start]);
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+        const cur = queue[head];
+        const cx = cur % w;
+        const cy = Math.floor(cur / w);
+        for (const [dx, dy] of DIRS) {
+            const nx = cx + dx, ny = cy + dy;
+            if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
+            const ni = ny * w + nx;
+            if (reachable.has(ni) || ni === bridgeIdx || level.grid[ni] === TILES.WALL) continue;
+            reachable.add(ni);
+            queue.push(ni);
+        }
+    }
+    return reachable;
+}
+
+function drawSwitch(ctx, px, py, tileSize, colorIndex) {
+    const color = SWITCH_COLORS[colorIndex % SWITCH_COLORS.length];
+    const S = tileSize;
+    const inset = S * 0.18;
+
+    // Raised plate with a darker rim
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = color;
+    ctx.fillRect(px + inset, py + inset, S - inset * 2, S - inset * 2);
+    ctx.globalAlpha = 0.8;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1.5, S * 0.06);
+    ctx.strokeRect(px + inset, py + inset, S - inset * 2, S - inset * 2);
+
+    // Center stud
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(px + S / 2, py + S / 2, S * 0.08, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+function drawBridge(ctx, px, py, tileSize, colorIndex, open) {
+    const color = SWITCH_COLORS[colorIndex % SWITCH_COLORS.length];
+    const S = tileSize;
+
+    ctx.save();
+    if (open) {
+        // Lowered: planks flush with the floor
+        ctx.globalAlpha = 0.3;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(1, S * 0.04);
+        for (let i = 1; i < 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo(px + S * 0.1, py + i * S / 4);
+            ctx.lineTo(px + S * 0.9, py + i * S / 4);
+            ctx.stroke();
+        }
+    } else {
+        // Raised: a solid block in the pair's color
+        ctx.globalAlpha = 0.55;
+        ctx.fillStyle = color;
+        ctx.fillRect(px + S * 0.06, py + S * 0.06, S * 0.88, S * 0.88);
+        ctx.globalAlpha = 0.8;
+        ctx.strokeStyle = '#1a1a1a';
+        ctx.lineWidth = Math.max(1.5, S * 0.05);
+        ctx.beginPath();
+        ctx.moveTo(px + S * 0.06, py + S * 0.5);
+        ctx.lineTo(px + S * 0.94, py + S * 0.5);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
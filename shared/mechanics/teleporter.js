@@ -0,0 +1,157 @@
+import { TILES } from '../tiles.js';
+
+/**
+ * Teleporters: paired pads stored in level.teleporterPairs as [a, b] index
+ * pairs. Stepping onto one hops the player to its partner (rules.landPlayer).
+ */
+export const teleporter = {
+    name: 'teleporter',
+    tiles: [TILES.TELEPORTER],
+
+    genes: [
+        // --- Tier 2: Teleporters ---
+        {
+            name: 'teleporterEnabled', tier: 2, type: 'binary',
+            min: 0, max: 1, defaultValue: 0,
+            mutationRate: 0.05, mutationDelta: 0,
+            namePrime: 4271,
+            randomFn: (rng) => rng() < 0.5 ? 1 : 0
+        },
+        {
+            name: 'teleporterCount', tier: 2, type: 'int',
+            min: 1, max: 3, defaultValue: 1,
+            mutationRate: 0.2, mutationDelta: 1,
+            namePrime: 8861,
+            randomFn: (rng) => 1 + Math.floor(rng() * 3),
+            label: 'Teleporters', format: (v, g) => g.teleporterEnabled ? `${v} pair${v > 1 ? 's' : ''}` : null
+        }
+    ],
+
+    // Before ice, so teleporter pads aren't on ice
+    placeOrder: 20,
+    enabled: (genes) => !!genes.teleporterEnabled,
+    trait: () => 'Teleporters',
+    personality: (genes) => genes.teleporterEnabled ? 'connects distant places' : null,
+
+    init(level) {
+        level.teleporterPairs = [];
+    },
+
+    place(level, genes, { allFloor }) {
+        const count = genes.teleporterCount || 1;
+        const w = level.width;
+        const minDist = Math.floor(level.width * 0.4);
+        const available = allFloor.filter(i => level.overlays[i] === 0);
+
+        for (let p = 0; p < count && available.length >= 2; p++) {
+            // Pick tile A
+            const aListIdx = available.findIndex(() => true);
+            if (aListIdx < 0) break;
+            const idxA = available[aListIdx];
+            available.splice(aListIdx, 1);
+
+            const ax = idxA % w;
+            const ay = Math.floor(idxA / w);
+
+            // Pick tile B at sufficient Manhattan distance from A
+            let bestB = -1;
+            let bestBListIdx = -1;
+            let bestDist = -1;
+            for (let j = 0; j < available.length; j++) {
+                const bx = available[j] % w;
+                const by = Math.floor(available[j] / w);
+                const dist = Math.abs(ax - bx) + Math.abs(ay - by);
+                if (dist >= minDist && dist > bestDist) {
+                    bestDist = dist;
+                    bestB = available[j];
+                    bestBListIdx = j;
+                }
+            }
+
+            // Fallback: if no tile meets distance requirement, pick farthest available
+            if (bestB < 0) {
+                for (let j = 0; j < available.length; j++) {
+                    const bx = available[j] % w;
+                    const by = Math.floor(available[j] / w);
+                    const dist = Math.abs(ax - bx) + Math.abs(ay - by);
+                    if (dist > bestDist) {
+                        bestDist = dist;
+                        bestB = available[j];
+                        bestBListIdx = j;
+                    }
+                }
+            }
+
+            if (bestB < 0) break;
+            available.splice(bestBListIdx, 1);
+
+            level.overlays[idxA] = TILES.TELEPORTER;
+            level.overlays[bestB] = TILES.TELEPORTER;
+            level.teleporterPairs.push([idxA, bestB]);
+        }
+    },
+
+    board(board, level) {
+        board.teleporterMap = new Map();
+        for (const [a, b] of level.teleporterPairs || []) {
+            board.teleporterMap.set(a, b);
+            board.teleporterMap.set(b, a);
+        }
+    },
+
+    // Pads are colored by pair
+    draw(ctx, tile, px, py, tileSize, { idx, teleporterPairs }) {
+        let pairIdx = 0;
+        if (teleporterPairs) {
+            const found = teleporterPairs.findIndex(([a, b]) => a === idx || b === idx);
+            if (found >= 0) pairIdx = found;
+        }
+        drawTeleporter(ctx, px + tileSize / 2, py + tileSize / 2, tileSize, pairIdx);
+    },
+
+    legend: [
+        { label: 'Teleporter', tiles: [TILES.TELEPORTER], draw: (ctx, S) => drawTeleporter(ctx, S / 2, S / 2, S, 0) }
+    ]
+};
+
+function drawTeleporter(ctx, cx, cy, tileSize, pairIndex) {
+    const r = tileSize * 0.35;
+    const hues = [300, 180, 45]; // magenta, cyan, gold
+    const hue = hues[pairIndex % hues.length];
+    const color = `hsl(${hue}, 80%, 60%)`;
+
+    // Outer glow
+    ctx.save();
+    ctx.globalAlpha = 0.15;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r * 1.6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Outer ring
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(2, tileSize * 0.06);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Inner ring (smaller, offset for depth)
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, tileSize * 0.04);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r * 0.6, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+
+    // Core dot
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r * 0.2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
@@ -0,0 +1,155 @@
+import { TILES } from './tiles.js';
+import { solve, traceSolution, followPushes } from './solver.js';
+
+/**
+ * Level quality metrics (Milestone 0.3).
+ * Measures a generated level so players and the evolution loop can compare
+ * levels by more than their genes: solution length, search effort, layout
+ * shape and how the decorator's overlays relate to the solution path.
+ */
+
+// Solver budget for metrics — kept small because every generated level is measured.
+// Each state costs a flood fill over the grid, so large grids get proportionally
+// fewer states; past about 12×12 the push-optimal search rarely finishes. Levels
+// that exceed it fall back to a solution that isn't known to be the shortest: the one
+// verification found (level.verifiedSolution), else the generator's own
+// (level.solutionPushes) unless an overlay breaks it, else a greedy search on
+// GREEDY_TILE_BUDGET. Only levels none of them solve report null for the
+// solution fields.
+export const METRICS_MAX_STATES = 2000;
+const METRICS_TILE_BUDGET = 100000;   // states × grid tiles
+const GREEDY_TILE_BUDGET = 250000;
+
+/**
+ * Compute quality metrics for a level.
+ * @param {Object} level - Generated level ({ grid, overlays, width, height, playerX, playerY, boxIceEnabled, pullEnabled, ... })
+ * @param {Object} options - { maxStates } (defaults to the area-scaled budget)
+ * @returns {{
+ *   solved: boolean,              // a solution is known: found within budget or replayed
+ *   optimal: boolean,             // the solver found it, so minPushes is the minimum
+ *   minPushes: number|null,       // pushes (pulls count) of the push-optimal solution, or
+ *                                 //   of the generator's solution, an upper bound, if !optimal
+ *   moves: number|null,           // key presses along that solution
+ *   statesExplored: number,       // push-states the solver visited
+ *   deadEndRatio: number,         // share of walkable tiles with exactly one walkable neighbour
+ *   boxTargetDistance: number,    // mean Manhattan distance from each box to its nearest target
+ *   overlayCount: number,         // overlay tiles placed by the decorator
+ *   overlayPathRatio: number|null // share of those overlays the solution touches (null if unsolved)
+ * }}
+ */
+export function computeMetrics(level, options = {}) {
+    const area = level.width * level.height;
+    const maxStates = options.maxStates || Math.min(METRICS_MAX_STATES, Math.ceil(METRICS_TILE_BUDGET / area));
+    const greedyStates = Math.min(METRICS_MAX_STATES, Math.ceil(GREEDY_TILE_BUDGET / area));
+
+    const boxIceEnabled = !!level.boxIceEnabled;
+    const pullEnabled = !!level.pullEnabled;
+    const searched = solve(level, { boxIceEnabled, pullEnabled, maxStates });
+    const result = searched.solvable ? searched
+        : level.verifiedSolution ||
+          (level.solutionPushes && followPushes(level, level.solutionPushes, { boxIceEnabled, pullEnabled })) ||
+          solve(level, { boxIceEnabled, pullEnabled, maxStates: greedyStates, greedy: true });
+    const pathTiles = result.solvable ? traceSolution(level, result.solution, { boxIceEnabled, pullEnabled }) : null;
+    const { overlayCount, overlayPathRatio } = measureOverlays(level, pathTiles);
+
+    return {
+        solved: result.solvable,
+        optimal: searched.solvable,
+        minPushes: result.solvable ? result.pushCount : null,
+        moves: result.solvable ? result.solution.length : null,
+        statesExplored: searched.statesExplored || 0,
+        deadEndRatio: measureDeadEnds(level),
+        boxTargetDistance: measureBoxTargetDistance(level),
+        overlayCount,
+        overlayPathRatio
+    };
+}
+
+function isWalkable(tile) {
+    return tile !== TILES.WALL;
+}
+
+/**
+ * Dead ends: walkable tiles with a single walkable neighbour (corridor stubs).
+ * Grid borders count as walls.
+ */
+function measureDeadEnds(level) {
+    const { grid, width, height } = level;
+    let walkable = 0;
+    let deadEnds = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!isWalkable(grid[y * width + x])) continue;
+            walkable++;
+
+            let open = 0;
+            if (y > 0 && isWalkable(grid[(y - 1) * width + x])) open++;
+            if (y < height - 1 && isWalkable(grid[(y + 1) * width + x])) open++;
+            if (x > 0 && isWalkable(grid[y * width + x - 1])) open++;
+            if (x < width - 1 && isWalkable(grid[y * width + x + 1])) open++;
+            if (open === 1) deadEnds++;
+        }
+    }
+
+    return walkable > 0 ? deadEnds / walkable : 0;
+}
+
+/**
+ * Mean Manhattan distance from each box to its nearest target.
+ * Boxes already on a target contribute 0. A player standing on a target
+ * leaves TARGET in the grid, so those targets are counted too.
+ */
+function measureBoxTargetDistance(level) {
+    const { grid, width } = level;
+    const boxes = [];
+    const targets = [];
+
+    for (let i = 0; i < grid.length; i++) {
+        if (grid[i] === TILES.BOX) boxes.push(i);
+        else if (grid[i] === TILES.TARGET) targets.push(i);
+        else if (grid[i] === TILES.BOX_ON_TARGET) {
+            boxes.push(i);
+            targets.push(i);
+        }
+    }
+
+    if (boxes.length === 0 || targets.length === 0) return 0;
+
+    let total = 0;
+    for (const b of boxes) {
+        const bx = b % width;
+        const by = Math.floor(b / width);
+        let nearest = Infinity;
+        for (const t of targets) {
+            const d = Math.abs(t % width - bx) + Math.abs(Math.floor(t / width) - by);
+            if (d < nearest) nearest = d;
+        }
+        total += nearest;
+    }
+
+    return total / boxes.length;
+}
+
+/**
+ * Count overlay tiles and how many the solver's solution touches.
+ * The generator's solutionPath isn't used: reverse play marks nearly every floor tile.
+ */
+function measureOverlays(level, pathTiles) {
+    const { overlays } = level;
+    let overlayCount = 0;
+    let onPath = 0;
+
+    if (overlays) {
+        for (let i = 0; i < overlays.length; i++) {
+            if (!overlays[i]) continue;
+            overlayCount++;
+            if (pathTiles && pathTiles.has(i)) onPath++;
+        }
+    }
+
+    let overlayPathRatio = null;
+    if (pathTiles) overlayPathRatio = overlayCount > 0 ? onPath / overlayCount : 0;
+
+    return { overlayCount, overlayPathRatio };
+}
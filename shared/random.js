@@ -0,0 +1,43 @@
+/**
+ * Seedable pseudo-random number generation.
+ *
+ * Level generation threads an `rng` function (same contract as Math.random:
+ * returns a float in [0, 1)) through the generator, decorator and entity
+ * placement, so a genome plus a seed always reproduces the same level.
+ */
+
+/**
+ * Create a deterministic PRNG (mulberry32) from a 32-bit integer seed.
+ * @param {number} seed - Any number; coerced to an unsigned 32-bit integer
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return function rng() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick a fresh seed for levels generated without an explicit one.
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Fisher-Yates shuffle in place.
+ * @param {Array} array
+ * @param {() => number} rng - Same contract as Math.random
+ */
+export function shuffle(array, rng) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
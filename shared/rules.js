@@ -0,0 +1,402 @@
+import { TILES } from './tiles.js';
+import { advanceEntities, cloneEntities } from './entities.js';
+import { MECHANICS } from './mechanic-registry.js';
+import { gateAllowsEntry } from './mechanics/gates.js';
+import { lockedDoors } from './mechanics/keys.js';
+import { withHoles } from './mechanics/holes.js';
+import { closedBridges, withBridges } from './mechanics/switches.js';
+
+export { gateAllowsEntry, lockedDoors, withHoles, closedBridges, withBridges };
+
+/**
+ * Movement rules, defined once for the game and the solver.
+ *
+ * A board is the static part of a level (walls, targets, overlays as lookup
+ * tables); a state is everything a key press can change. step() plays one key
+ * press and reports what happened as events, which the game turns into tile
+ * updates, DNA and damage, and the solver turns into search states.
+ *
+ * The board's overlay tables are built by the mechanics (shared/mechanics/);
+ * this module decides what happens on them during a turn, and in what order.
+ *
+ * The lower-level helpers (canEnter, landPlayer, slideBox, convey, lockedDoors,
+ * withHoles, closedBridges, withBridges) are
+ * exported for the solver's flood fills, which walk many positions against
+ * one box layout and so don't go through full states.
+ */
+
+// Moves per spike toggle
+export const SPIKE_TOGGLE_INTERVAL = 3;
+
+const NO_BOXES = new Set();
+
+/**
+ * Build the static board for a level. Walls, targets and boxes come from the
+ * grid; each mechanic adds its own overlay tables (see mechanic-registry.js).
+ * @param {Object} level - { grid, overlays, width, height, playerX, playerY, teleporterPairs, keyDoorPairs, switchPairs }
+ * @param {Object} options - { boxIceEnabled: false, pullEnabled: false, spikeToggleInterval: 3 }
+ * @returns {Object|null} Board, or null if the level has no grid.
+ *   boxes and playerPos are the level's starting layout (see initialState).
+ */
+export function createBoard(level, options = {}) {
+    const { grid, width, height, playerX, playerY } = level;
+    if (!grid || !width || !height) return null;
+
+    const walls = new Set();
+    const targets = new Set();
+    const boxes = [];
+    const playerPos = playerY * width + playerX;
+
+    for (let i = 0; i < grid.length; i++) {
+        switch (grid[i]) {
+            case TILES.WALL:
+                walls.add(i);
+                break;
+            case TILES.TARGET:
+                targets.add(i);
+                break;
+            case TILES.BOX:
+                boxes.push(i);
+                break;
+            case TILES.BOX_ON_TARGET:
+                boxes.push(i);
+                targets.add(i);
+                break;
+        }
+    }
+
+    // Also check if player is on target (grid stores TARGET there)
+    if (grid[playerPos] === TILES.TARGET) {
+        targets.add(playerPos);
+    }
+
+    // Overlay positions by tile, for the mechanics' tables
+    const byTile = new Map();
+    if (level.overlays) {
+        for (let i = 0; i < level.overlays.length; i++) {
+            const tile = level.overlays[i];
+            if (tile === 0) continue;
+            if (!byTile.has(tile)) byTile.set(tile, []);
+            byTile.get(tile).push(i);
+        }
+    }
+    const positions = (tile) => byTile.get(tile) || [];
+
+    const board = {
+        walls, targets, boxes, playerPos, width, height,
+        boxIceEnabled: !!options.boxIceEnabled,
+        pullEnabled: !!options.pullEnabled,
+        spikeToggleInterval: options.spikeToggleInterval || SPIKE_TOGGLE_INTERVAL,
+        // advanceEntities reads box and wall tiles from a grid; step() drops
+        // the boxes into this wall-only copy around each call
+        entityGrid: grid.map(t => t === TILES.WALL ? TILES.WALL : TILES.FLOOR)
+    };
+    for (const mechanic of MECHANICS) {
+        if (mechanic.board) mechanic.board(board, level, positions);
+    }
+    return board;
+}
+
+/**
+ * The state a level starts in.
+ * keys are the positions of held keys, sorted; holes the holes not yet filled,
+ * sorted; crumbles the crumbling tiles still standing, sorted. collectibles is the Set of DNA
+ * tiles still on the board, or null to skip collect events (the solver's case).
+ * clock counts moves through the spike cycle: phase is clock / interval
+ * (0 = retracted, 1 = active), rounded down.
+ */
+export function initialState(board, level, { collectibles = true } = {}) {
+    return {
+        board,
+        player: board.playerPos,
+        boxes: [...board.boxes].sort((a, b) => a - b),
+        keys: [],
+        holes: [...board.holes].sort((a, b) => a - b),
+        crumbles: [...board.crumbles].sort((a, b) => a - b),
+        collectibles: collectibles ? board.collectibles : null,
+        clock: 0,
+        entities: cloneEntities(level.entities || [])
+    };
+}
+
+/**
+ * Play one key press, in this order: push (with box-ice slide, and the box
+ * dropping into a hole it comes to rest on) or pull, step, pick up, teleporter
+ * hop, ice slide (with spike and patrol hits on every slid tile), conveyors
+ * carry, crumbling tiles left empty collapse into holes, then the spike clock
+ * ticks and patrols advance, with hits checked before and after they move.
+ * Open holes stop the player like walls. Bridges open or close by who stands
+ * where at the start of the move, and stay that way through it.
+ * @param {Object} state - See initialState; not modified
+ * @param {number[]} dir - [dx, dy]
+ * @param {Object} options - { pull: false }. With pull on a pull-enabled board,
+ *   a box right behind the player follows it into the tile it leaves (it never
+ *   slides: the player is in the way). A box ahead is still pushed instead.
+ * @returns {{ state: Object, events: Object[] }|null} null if the move is blocked.
+ *   Events, in the order they happen:
+ *   { type: 'push', from, to } — to is where the box came to rest
+ *   { type: 'fill', pos } — the pushed box fell into the hole at pos (= to) and is gone
+ *   { type: 'pull', from, to } — to is the tile the player left
+ *   { type: 'collect', pos } — a DNA collectible was picked up
+ *   { type: 'key', pos, door } — a key was picked up and its door unlocked
+ *   { type: 'teleport', from, to }
+ *   { type: 'carry', from, to } — a conveyor moved a box (followed by 'fill' if it dropped into a hole)
+ *   { type: 'crumble', pos } — a crumbling tile was left empty and is now a hole
+ *   { type: 'damage', pos, cause } — cause is 'spikes' or 'patrol'; one heart each
+ */
+export function step(state, [dx, dy], { pull = false } = {}) {
+    const { board } = state;
+    const { keyDoors, spikes, width, height } = board;
+    const interval = board.spikeToggleInterval;
+    const events = [];
+
+    let keys = state.keys;
+    let holes = state.holes;
+    let boxes = state.boxes;
+    const boxSet = new Set(boxes);
+    // Locked doors and closed bridges stop boxes and the player alike
+    const closed = board.bridges.size > 0 ? closedBridges(board, state.player, boxSet) : [];
+    let locked = withBridges(lockedDoors(board, keys), closed);
+    // What stops the player: those plus open holes
+    let blocked = withHoles(locked, holes);
+    let collectibles = state.collectibles;
+
+    const n = canEnter(board, state.player, dx, dy, NO_BOXES, blocked);
+    if (n < 0) return null;
+
+    // Tiles something moves off this turn, which may crumble behind it
+    const left = [state.player];
+
+    if (boxSet.has(n)) {
+        const pushTo = canEnter(board, n, dx, dy, boxSet, locked);
+        if (pushTo < 0) return null;
+        const to = board.boxIceEnabled ? slideBox(board, pushTo, dx, dy, boxSet, locked) : pushTo;
+        boxSet.delete(n);
+        left.push(n);
+        events.push({ type: 'push', from: n, to });
+        if (holes.includes(to)) {
+            holes = holes.filter(h => h !== to);
+            blocked = withHoles(locked, holes);
+            events.push({ type: 'fill', pos: to });
+        } else {
+            boxSet.add(to);
+        }
+        boxes = [...boxSet].sort((a, b) => a - b);
+    } else if (pull && board.pullEnabled) {
+        const behind = state.player - dy * width - dx;
+        if (boxSet.has(behind) && canEnter(board, behind, dx, dy, boxSet, locked) === state.player) {
+            boxSet.delete(behind);
+            boxSet.add(state.player);
+            boxes = [...boxSet].sort((a, b) => a - b);
+            left.push(behind);
+            events.push({ type: 'pull', from: behind, to: state.player });
+        }
+    }
+
+    // Collectibles and keys are picked up on every tile entered, including mid-slide
+    const pickUp = (pos) => {
+        if (collectibles && collectibles.has(pos)) {
+            collectibles = new Set(collectibles);
+            collectibles.delete(pos);
+            events.push({ type: 'collect', pos });
+        }
+        if (keyDoors.has(pos) && !keys.includes(pos)) {
+            keys = [...keys, pos].sort((a, b) => a - b);
+            locked = withBridges(lockedDoors(board, keys), closed);
+            blocked = withHoles(locked, holes);
+            events.push({ type: 'key', pos, door: keyDoors.get(pos) });
+        }
+        return blocked;
+    };
+
+    let phase = Math.floor(state.clock / interval);
+    let counter = state.clock % interval;
+    let entities = state.entities;
+    const hit = (pos) => {
+        if (phase === 1 && spikes.has(pos)) events.push({ type: 'damage', pos, cause: 'spikes' });
+        if (entities.some(e => e.y * width + e.x === pos)) events.push({ type: 'damage', pos, cause: 'patrol' });
+    };
+
+    pickUp(n);
+    const landed = landPlayer(board, n, dx, dy, boxSet, blocked, (pos, how) => {
+        if (how === 'teleport') events.push({ type: 'teleport', from: n, to: pos });
+        pickUp(pos);
+        if (how === 'slide') hit(pos);
+        return blocked;
+    });
+
+    // Belts carry the player and boxes off tiles that may then crumble
+    let player = landed;
+    if (board.conveyors.size > 0) {
+        const carry = convey(board, landed, boxSet, locked, holes);
+        for (const { from, to, fill } of carry.carried) {
+            left.push(from);
+            events.push({ type: 'carry', from, to });
+            if (fill) events.push({ type: 'fill', pos: to });
+        }
+        holes = carry.holes;
+        if (carry.player !== landed) {
+            left.push(landed);
+            player = carry.player;
+            pickUp(player);
+        }
+        boxes = [...boxSet].sort((a, b) => a - b);
+    }
+
+    let crumbles = state.crumbles;
+    for (const pos of left) {
+        if (pos === player || boxSet.has(pos) || !crumbles.includes(pos)) continue;
+        crumbles = crumbles.filter(c => c !== pos);
+        holes = [...holes, pos].sort((a, b) => a - b);
+        events.push({ type: 'crumble', pos });
+    }
+
+    if (spikes.size > 0 && ++counter >= interval) {
+        counter = 0;
+        phase = phase ? 0 : 1;
+    }
+    hit(player);
+
+    if (entities.length > 0) {
+        // hit() above covered the player walking into a patrol; this one the reverse.
+        // Patrols turn at open holes and closed bridges as at walls
+        entities = cloneEntities(entities);
+        const grid = board.entityGrid;
+        const walled = board.bridges.size > 0 ? [...holes, ...closedBridges(board, player, boxSet)] : holes;
+        for (const b of boxes) grid[b] = TILES.BOX;
+        for (const h of walled) grid[h] = TILES.WALL;
+        advanceEntities(entities, grid, width, height);
+        for (const b of boxes) grid[b] = TILES.FLOOR;
+        for (const h of walled) grid[h] = TILES.FLOOR;
+        if (entities.some(e => e.y * width + e.x === player)) {
+            events.push({ type: 'damage', pos: player, cause: 'patrol' });
+        }
+    }
+
+    return {
+        state: { board, player, boxes, keys, holes, crumbles, collectibles, clock: phase * interval + counter, entities },
+        events
+    };
+}
+
+/**
+ * Whether every box is on a target and every target has a box. On boards with
+ * holes, boxes left over (the spares no hole took) may stand anywhere.
+ */
+export function boxesPlaced(state) {
+    const { targets, holes } = state.board;
+    if (holes.size > 0) return [...targets].every(t => state.boxes.includes(t));
+    return state.boxes.length === targets.size && state.boxes.every(b => targets.has(b));
+}
+
+/**
+ * Whether a state is won: boxes placed, and the player standing on the exit
+ * if the level has one.
+ */
+export function isSolved(state) {
+    const { exitPos } = state.board;
+    return boxesPlaced(state) && (exitPos < 0 || state.player === exitPos);
+}
+
+/**
+ * The tile entered by moving one step from pos in (dx, dy), or -1 if it's off
+ * the board, a wall, a box, a locked door, or a gate that faces the other way.
+ */
+export function canEnter(board, pos, dx, dy, boxSet, locked) {
+    const { width, height } = board;
+    const nx = pos % width + dx;
+    const ny = Math.floor(pos / width) + dy;
+    if (nx < 0 || nx >= width || ny < 0 || ny >= height) return -1;
+
+    const n = ny * width + nx;
+    if (board.walls.has(n) || boxSet.has(n)) return -1;
+    if (locked && locked.has(n)) return -1;
+    if (board.gates.has(n) && !gateAllowsEntry(board.gates.get(n), dx, dy)) return -1;
+    return n;
+}
+
+/**
+ * Resolve where the player ends up after entering pos while moving (dx, dy):
+ * teleporter hop first, then ice slide.
+ * onTile(pos, how) is called for every tile landed on ('teleport') or slid
+ * through ('slide'); it may return the locked doors to use from then on, as a
+ * key picked up mid-slide opens its door before the slide reaches it.
+ */
+export function landPlayer(board, pos, dx, dy, boxSet, locked, onTile = null) {
+    // Teleporter: jump to partner pad, unless something stands on it
+    const partner = board.teleporterMap.get(pos);
+    if (partner !== undefined && !board.walls.has(partner) && !boxSet.has(partner)) {
+        pos = partner;
+        if (onTile) locked = onTile(pos, 'teleport') || locked;
+    }
+
+    // Ice slide: keep moving in (dx, dy) until stopped
+    while (board.iceTiles.has(pos)) {
+        const next = canEnter(board, pos, dx, dy, boxSet, locked);
+        if (next < 0) break;
+        pos = next;
+        if (onTile) locked = onTile(pos, 'slide') || locked;
+    }
+
+    return pos;
+}
+
+/**
+ * Resolve conveyors at the end of a turn: the player and each box standing on
+ * a belt move one tile its way, if they can enter it. Something in the way
+ * holds them back unless it moves off first; nothing moves twice. A box
+ * carried into an open hole falls in and fills it.
+ * boxSet is updated in place. Returns { player, holes, carried }: holes still
+ * open, and carried the boxes moved, in order, as { from, to, fill }.
+ */
+export function convey(board, player, boxSet, locked, holes) {
+    const { conveyors } = board;
+    const waiting = [...boxSet].filter(b => conveyors.has(b)).sort((a, b) => a - b);
+    let playerWaits = conveyors.has(player);
+    const carried = [];
+
+    let moved = true;
+    while (moved) {
+        moved = false;
+        if (playerWaits) {
+            const [dx, dy] = conveyors.get(player);
+            const to = canEnter(board, player, dx, dy, boxSet, withHoles(locked, holes));
+            if (to >= 0) {
+                player = to;
+                playerWaits = false;
+                moved = true;
+            }
+        }
+        for (let i = 0; i < waiting.length; i++) {
+            const from = waiting[i];
+            const [dx, dy] = conveyors.get(from);
+            const to = canEnter(board, from, dx, dy, boxSet, locked);
+            if (to < 0 || to === player) continue;
+
+            const fill = holes.includes(to);
+            boxSet.delete(from);
+            if (fill) holes = holes.filter(h => h !== to);
+            else boxSet.add(to);
+            carried.push({ from, to, fill });
+            waiting.splice(i--, 1);
+            moved = true;
+        }
+    }
+
+    return { player, holes, carried };
+}
+
+/**
+ * Resolve a pushed box sliding on ice: from pos it keeps moving in (dx, dy)
+ * until the next tile can't be entered or it leaves the ice.
+ * If a trail Set is passed, adds every tile the box slides through.
+ */
+export function slideBox(board, pos, dx, dy, boxSet, locked, trail = null) {
+    while (board.iceTiles.has(pos)) {
+        const next = canEnter(board, pos, dx, dy, boxSet, locked);
+        if (next < 0) break;
+        pos = next;
+        if (trail) trail.add(pos);
+    }
+    return pos;
+}
@@ -0,0 +1,170 @@
+import { Population } from './genome.js';
+import { Archipelago } from './islands.js';
+
+/**
+ * Headless evolution simulator.
+ * Drives a Population with a virtual player (see virtual-players.js) instead of
+ * a human, recording getStats() every generation — no DOM required.
+ *
+ * Modes:
+ *   'tournament' — the game's loop: 5 rounds of 3, the player picks one level per
+ *                  round, winners go to evolveFromWinners()
+ *   'fitness'    — scores every genome once and passes them to evolve()
+ *
+ * runIslands evolves one population per culture (each with its own virtual
+ * player) as an Archipelago, migrating between them (see islands.js).
+ */
+
+// Each tournament round deals this many different genomes
+const ROUND_SIZE = 3;
+
+/**
+ * Run an evolution experiment.
+ * @param {Object} player - Virtual player { score(genome, level?), needsLevel? }
+ * @param {Object} options - { generations: 20, tier: 3, mode: 'tournament', populationSize: 5, speciation: false,
+ *                            crossoverMode: 'gene', onGeneration(entry, population) }
+ *                           populationSize must be at least 3 in tournament mode
+ * @returns {{ population: Population, generationHistory: Object[] }}
+ */
+export function runSimulation(player, options = {}) {
+    const generations = options.generations ?? 20;
+    const tier = options.tier ?? 3;
+    const mode = options.mode || 'tournament';
+    const population = new Population(populationSize(options, mode), tier);
+    if (options.speciation) population.setSpeciation(true);
+    if (options.crossoverMode) population.crossoverMode = options.crossoverMode;
+
+    const generationHistory = [snapshot(population)];
+    if (options.onGeneration) options.onGeneration(generationHistory[0], population);
+
+    for (let gen = 0; gen < generations; gen++) {
+        breed(population, player, mode, tier);
+
+        const entry = snapshot(population);
+        generationHistory.push(entry);
+        if (options.onGeneration) options.onGeneration(entry, population);
+    }
+
+    return { population, generationHistory };
+}
+
+/**
+ * Run an island-model experiment: one population per culture, side by side.
+ * @param {Array<{ name: string, player: Object }>} cultures - Island name and its virtual player
+ * @param {Object} options - runSimulation's options, plus { migrationInterval, migrationRate };
+ *                           onGeneration(entry, population, island, migrations)
+ * @returns {{ archipelago: Archipelago, generationHistory: Object<string, Object[]> }}
+ *          generationHistory is keyed by island name
+ */
+export function runIslands(cultures, options = {}) {
+    const generations = options.generations ?? 20;
+    const tier = options.tier ?? 3;
+    const mode = options.mode || 'tournament';
+    const archipelago = new Archipelago([], options);
+
+    const generationHistory = {};
+    for (const { name } of cultures) {
+        const { population } = archipelago.foundIsland(name, populationSize(options, mode), tier);
+        if (options.speciation) population.setSpeciation(true);
+        if (options.crossoverMode) population.crossoverMode = options.crossoverMode;
+        generationHistory[name] = [snapshot(population)];
+        if (options.onGeneration) options.onGeneration(generationHistory[name][0], population, name, []);
+    }
+
+    for (let gen = 0; gen < generations; gen++) {
+        cultures.forEach(({ name, player }) => {
+            breed(archipelago.getIsland(name).population, player, mode, tier);
+        });
+        const migrations = archipelago.advance();
+
+        for (const { name } of cultures) {
+            const { population } = archipelago.getIsland(name);
+            const entry = snapshot(population);
+            generationHistory[name].push(entry);
+            if (options.onGeneration) {
+                options.onGeneration(entry, population, name, migrations.filter(m => m.to === name));
+            }
+        }
+    }
+
+    return { archipelago, generationHistory };
+}
+
+function populationSize(options, mode) {
+    const size = options.populationSize || 5;
+    if (mode === 'tournament' && size < ROUND_SIZE) {
+        throw new Error(`Tournament mode needs a population of at least ${ROUND_SIZE}, got ${size}`);
+    }
+    return size;
+}
+
+function breed(population, player, mode, tier) {
+    if (mode === 'fitness') {
+        const scores = population.getCurrentGeneration().map(g => scoreGenome(player, g));
+        population.evolve(scores, tier);
+    } else {
+        population.evolveFromWinners(playTournament(population, player), tier);
+    }
+}
+
+// Same shape as Game.saveGenerationHistory() entries
+function snapshot(population) {
+    const stats = population.getStats();
+    return {
+        generation: stats.generation,
+        timestamp: Date.now(),
+        averages: stats.averages,
+        styleWeights: stats.styleWeights,
+        visualAverages: stats.visualAverages,
+        socialAverages: stats.socialAverages,
+        mechanicAverages: stats.mechanicAverages
+    };
+}
+
+function scoreGenome(player, genome) {
+    const level = player.needsLevel ? genome.generateLevel() : null;
+    return player.score(genome, level);
+}
+
+// One tournament: every genome appears 3 times across 5 rounds of 3, no genome
+// twice in a round (same dealing as Game._buildTournamentPool)
+function playTournament(population, player) {
+    const genomes = population.getCurrentGeneration();
+    const winners = [];
+
+    for (const round of dealRounds(genomes.length)) {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const idx of round) {
+            const score = scoreGenome(player, genomes[idx]);
+            // Random tiebreak so equal scores don't always favour the first slot
+            if (score > bestScore || (score === bestScore && Math.random() < 0.5)) {
+                best = genomes[idx];
+                bestScore = score;
+            }
+        }
+        winners.push(best);
+    }
+
+    return winners;
+}
+
+// Needs count >= ROUND_SIZE, or no deal has ROUND_SIZE different genomes per round
+function dealRounds(count) {
+    let rounds;
+    do {
+        const indices = [];
+        for (let i = 0; i < count; i++) {
+            indices.push(i, i, i);
+        }
+        for (let i = indices.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        rounds = [];
+        for (let r = 0; r < count; r++) {
+            rounds.push(indices.slice(r * ROUND_SIZE, r * ROUND_SIZE + ROUND_SIZE));
+        }
+    } while (rounds.some(r => new Set(r).size < ROUND_SIZE));
+    return rounds;
+}
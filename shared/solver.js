@@ -1,13 +1,38 @@
-import { TILES } from './tiles.js';
+import { createBoard, initialState, step, isSolved, canEnter, landPlayer, slideBox, convey, lockedDoors, withHoles, closedBridges, withBridges } from './rules.js';
 
 /**
  * Forward BFS solver for Sokoban levels.
  * Verifies solvability by searching (normalizedPlayer, boxPositions) state space.
- * Handles standard pushes + box-ice slides + exit reachability.
+ * Handles standard pushes + box-ice slides + pulls + holes + exit reachability + keys/doors.
+ * Solutions are rebuilt as LURD move strings (lowercase = walk, uppercase = the
+ * move shifts a box: a push, or on pull levels, with no box ahead, a pull).
  *
- * Ignores collectibles, spikes, and entities (don't affect structural solvability).
+ * On pull levels a box in a corner can still be pulled out, and on hole levels
+ * it may be a spare that is never needed, so the corner deadlock pruning is off.
+ *
+ * Open holes are part of the search state: a box pushed into one is dropped
+ * from the box list and the hole becomes floor. Until then the player's walks
+ * treat it as a wall.
+ *
+ * Keys are inventory: collected keys are part of the search state, and any key
+ * the player can walk to (and back from) is picked up, unlocking its door, as
+ * part of the free walking between pushes.
+ *
+ * Ignores collectibles, spikes, and entities (don't affect structural solvability),
+ * unless hazard mode is on: then the search runs move by move, tracking the
+ * spike phase and patrol positions, and counts the hearts the solution costs.
+ * Levels with crumbling floor are searched move by move too, since every walk
+ * can collapse a tile.
+ *
+ * What a single move does is defined in rules.js, shared with the game.
  */
 
+const DIRECTIONS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+const DIRECTION_BY_CHAR = { u: [0, -1], d: [0, 1], l: [-1, 0], r: [1, 0] };
+
+// followPushes' walk search budget (see walkTo)
+const WALK_STATES_PER_TILE = 8;
+
 /**
  * Quick reachability pre-screen for ice levels.
  * Compares player reachability with and without ice sliding.
@@ -16,20 +41,20 @@ import { TILES } from './tiles.js';
  * @returns {{ restricted: boolean }}
  */
 export function checkIceReachability(level) {
-    const puzzle = extractPuzzleData(level);
-    if (!puzzle) return { restricted: false };
+    const board = createBoard(level);
+    if (!board) return { restricted: false };
 
-    const { walls, boxes, playerPos, iceTiles, teleporterMap, gates, doors, width, height } = puzzle;
+    const { boxes, playerPos, iceTiles, doors } = board;
 
-    if (!iceTiles || iceTiles.size === 0) return { restricted: false };
+    if (iceTiles.size === 0) return { restricted: false };
 
     const boxSet = new Set(boxes);
 
     // Reachability WITH ice (sliding physics)
-    const iceReachable = floodFill(playerPos, walls, boxSet, width, height, teleporterMap, gates, doors, iceTiles);
+    const iceReachable = floodFill(board, playerPos, boxSet, doors);
 
     // Reachability WITHOUT ice (normal movement)
-    const normalReachable = floodFill(playerPos, walls, boxSet, width, height, teleporterMap, gates, doors, null);
+    const normalReachable = floodFill({ ...board, iceTiles: new Set() }, playerPos, boxSet, doors);
 
     // If any normally-reachable position is unreachable with ice, ice restricts movement
     for (const pos of normalReachable) {
@@ -49,20 +74,20 @@ export function checkIceReachability(level) {
  * @returns {{ restricted: boolean }}
  */
 export function checkGateReachability(level) {
-    const puzzle = extractPuzzleData(level);
-    if (!puzzle) return { restricted: false };
+    const board = createBoard(level);
+    if (!board) return { restricted: false };
 
-    const { walls, boxes, playerPos, iceTiles, teleporterMap, gates, doors, width, height } = puzzle;
+    const { boxes, playerPos, gates, doors } = board;
 
-    if (!gates || gates.size === 0) return { restricted: false };
+    if (gates.size === 0) return { restricted: false };
 
     const boxSet = new Set(boxes);
 
     // Reachability WITH gates (real constraints)
-    const gateReachable = floodFill(playerPos, walls, boxSet, width, height, teleporterMap, gates, doors, iceTiles);
+    const gateReachable = floodFill(board, playerPos, boxSet, doors);
 
     // Reachability WITHOUT gates (no directional constraints)
-    const noGateReachable = floodFill(playerPos, walls, boxSet, width, height, teleporterMap, new Map(), doors, iceTiles);
+    const noGateReachable = floodFill({ ...board, gates: new Map() }, playerPos, boxSet, doors);
 
     // If any position reachable without gates is unreachable with gates, gates created a barrier
     for (const pos of noGateReachable) {
@@ -77,57 +102,178 @@ export function checkGateReachability(level) {
 /**
  * Solve a level using BFS on push-states.
  * @param {Object} level - { grid, overlays, width, height, playerX, playerY }
- * @param {Object} options - { maxStates: 50000, boxIceEnabled: false }
- * @returns {{ solvable: boolean, pushCount?: number, reason?: string }}
+ * @param {Object} options - { maxStates: 50000, boxIceEnabled: false,
+ *   pullEnabled: false, hazards: false, maxHearts: 0, spikeToggleInterval: 3,
+ *   greedy: false }
+ * @returns {{ solvable: boolean, pushCount?: number, solution?: string, statesExplored?: number, heartsLost?: number, reason?: string }}
+ *   solution is the full move sequence in LURD notation — one letter per key
+ *   press, uppercase when the move pushes or pulls a box. Teleporter hops and ice slides
+ *   happen inside a single letter, exactly as they do in the game.
+ *   statesExplored is the number of distinct push-states the search visited;
+ *   pushCount counts pulls too.
+ *
+ *   With hazards on, the search is over single moves instead (see
+ *   solveByMoves): a level only counts as solvable if it can be finished
+ *   losing at most maxHearts hearts, and heartsLost reports the fewest needed.
+ *   Crumbling-floor, conveyor and bridge levels are searched by moves as well, hazards or not;
+ *   statesExplored then counts move-states.
+ *
+ *   With greedy on, states whose boxes stand nearest the targets are expanded
+ *   first instead of breadth-first. That finds a solution within a much smaller
+ *   budget on large boards, but not the shortest one, and a no_solution result
+ *   still means the whole space was searched.
  */
 export function solve(level, options = {}) {
+    if (options.hazards) return solveByMoves(level, options);
+
     const maxStates = options.maxStates || 50000;
-    const boxIceEnabled = !!options.boxIceEnabled;
 
-    const puzzle = extractPuzzleData(level);
-    if (!puzzle) return { solvable: false, reason: 'invalid_level' };
+    const board = createBoard(level, options);
+    if (!board) return { solvable: false, reason: 'invalid_level' };
+
+    // Walking changes a crumbling or conveyor board, and standing on a plate
+    // opens a bridge, so the player can't be normalized
+    if (board.crumbles.size > 0 || board.conveyors.size > 0 || board.bridges.size > 0) {
+        return solveByMoves(level, options);
+    }
 
-    const { walls, targets, boxes, playerPos, iceTiles, exitPos, teleporterMap, gates, doors, width, height } = puzzle;
+    const { walls, targets, boxes, playerPos, keyDoors, width, height, pullEnabled } = board;
+    const pruneDeadlocks = !pullEnabled && board.holes.size === 0;
 
     // Quick check: if no boxes and no targets, level is trivially solvable
     if (boxes.length === 0 && targets.size === 0) {
-        return { solvable: true, pushCount: 0 };
+        return { solvable: true, pushCount: 0, solution: '', statesExplored: 0 };
     }
 
     // Initial state
     const initialBoxSet = new Set(boxes);
-    const initialReachable = floodFill(playerPos, walls, initialBoxSet, width, height, teleporterMap, gates, doors, iceTiles);
-    const initialCanonical = Math.min(...initialReachable);
+    const initialHoles = [...board.holes].sort((a, b) => a - b);
+    const initial = floodFillWithKeys(board, playerPos, initialBoxSet, [], initialHoles);
+    const initialCanonical = Math.min(...initial.reachable);
     const initialBoxKey = [...initialBoxSet].sort((a, b) => a - b);
 
-    const startKey = stateKey(initialCanonical, initialBoxKey);
+    const startKey = stateKey(initialCanonical, initialBoxKey, initial.keys, initialHoles);
 
     // Check if already solved
-    if (isWinState(initialBoxSet, targets, exitPos, initialReachable)) {
-        return { solvable: true, pushCount: 0 };
+    if (isWinState(initialBoxSet, board, initial.reachable)) {
+        return { solvable: true, pushCount: 0, solution: buildSolution([], initial.keys, board), statesExplored: 1 };
     }
 
-    const visited = new Set([startKey]);
-    const queue = [{ canonical: initialCanonical, boxes: initialBoxKey, reachable: initialReachable, pushCount: 0 }];
-    let head = 0;
-
-    const directions = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+    // A box that starts where no push can take it to a target can't be solved
+    // by pushing. Box-ice slides carry boxes past tiles this doesn't count
+    if (pruneDeadlocks && !options.boxIceEnabled) {
+        const live = pushableToTargets(walls, targets, width, height);
+        if (boxes.some(b => !live.has(b))) {
+            return { solvable: false, reason: 'no_solution', statesExplored: 1 };
+        }
+    }
 
-    while (head < queue.length) {
+    const visited = new Set([startKey]);
+    // parent/push link each state to its predecessor for solution reconstruction
+    const queue = [{
+        canonical: initialCanonical, boxes: initialBoxKey, reachable: initial.reachable,
+        keys: initial.keys, doors: initial.doors, holes: initialHoles, pushCount: 0, parent: -1, push: null
+    }];
+    const frontier = createFrontier(options.greedy);
+    frontier.push(0, 0);
+    const targetList = [...targets];
+
+    while (frontier.size() > 0) {
         if (visited.size >= maxStates) {
-            return { solvable: false, reason: 'exceeded_limit' };
+            return { solvable: false, reason: 'exceeded_limit', statesExplored: visited.size };
         }
 
-        const state = queue[head++];
+        const stateIdx = frontier.pop();
+        const state = queue[stateIdx];
         const boxSet = new Set(state.boxes);
 
-        // Try pushing each box in each direction
+        // Queue the state after box bi moves to finalBoxPos (dropping into it
+        // if it's an open hole) and the player enters playerTo moving (dx, dy);
+        // returns the solve result on a win
+        const expand = (bi, finalBoxPos, playerTo, dx, dy, pull) => {
+            const boxPos = state.boxes[bi];
+            const newBoxes = [...state.boxes];
+            let newHoles = state.holes;
+            if (newHoles.includes(finalBoxPos)) {
+                newBoxes.splice(bi, 1);
+                newHoles = newHoles.filter(h => h !== finalBoxPos);
+            } else {
+                newBoxes[bi] = finalBoxPos;
+            }
+            const sortedBoxes = newBoxes.sort((a, b) => a - b);
+
+            // Player enters its tile, then hops/slides from there like any move
+            const newBoxSet = new Set(sortedBoxes);
+            const moveTrail = keyDoors.size > 0 ? new Set([playerTo]) : null;
+            const newPlayerPos = landSearch(board, playerTo, dx, dy, newBoxSet, withHoles(state.doors, newHoles), moveTrail);
+            const keysAfterMove = moveTrail ? addKeysOnTrail(state.keys, moveTrail, keyDoors) : state.keys;
+
+            // Compute new reachable area (picking up any keys it exposes)
+            const next = floodFillWithKeys(board, newPlayerPos, newBoxSet, keysAfterMove, newHoles);
+            const newCanonical = Math.min(...next.reachable);
+
+            const key = stateKey(newCanonical, sortedBoxes, next.keys, newHoles);
+            if (visited.has(key)) return null;
+            visited.add(key);
+
+            const newPushCount = state.pushCount + 1;
+            const newState = {
+                canonical: newCanonical,
+                boxes: sortedBoxes,
+                reachable: next.reachable,
+                keys: next.keys,
+                doors: next.doors,
+                holes: newHoles,
+                pushCount: newPushCount,
+                parent: stateIdx,
+                // keys: inventory the player must hold before making this push
+                push: { boxPos, dx, dy, keys: state.keys, pull }
+            };
+
+            // Check win
+            if (isWinState(newBoxSet, board, next.reachable)) {
+                const pushes = [newState.push];
+                for (let s = state; s.parent >= 0; s = queue[s.parent]) {
+                    pushes.push(s.push);
+                }
+                pushes.reverse();
+                return {
+                    solvable: true,
+                    pushCount: newPushCount,
+                    solution: buildSolution(pushes, next.keys, board),
+                    statesExplored: visited.size
+                };
+            }
+
+            queue.push(newState);
+            frontier.push(queue.length - 1, targetDistance(sortedBoxes, targetList, width));
+            return null;
+        };
+
+        // Try pushing (and pulling) each box in each direction
         for (let bi = 0; bi < state.boxes.length; bi++) {
             const boxPos = state.boxes[bi];
             const bx = boxPos % width;
             const by = Math.floor(boxPos / width);
 
-            for (const [dx, dy] of directions) {
+            for (const [dx, dy] of DIRECTIONS) {
+                // Pull: player stands on the side the box moves to, steps one
+                // further, and the box follows into the tile the player left
+                if (pullEnabled) {
+                    const standX = bx + dx;
+                    const standY = by + dy;
+                    const standPos = standY * width + standX;
+                    if (standX >= 0 && standX < width && standY >= 0 && standY < height &&
+                        state.reachable.has(standPos) &&
+                        canEnter(board, boxPos, dx, dy, boxSet, state.doors) === standPos) {
+                        const playerTo = canEnter(board, standPos, dx, dy, boxSet, withHoles(state.doors, state.holes));
+                        if (playerTo >= 0) {
+                            const result = expand(bi, standPos, playerTo, dx, dy, true);
+                            if (result) return result;
+                        }
+                    }
+                }
+
                 // Player must stand at "push from" position (opposite side of push direction)
                 const pushFromX = bx - dx;
                 const pushFromY = by - dy;
@@ -147,190 +293,519 @@ export function solve(level, options = {}) {
 
                 const pushToPos = pushToY * width + pushToX;
 
-                // Push-to must be free (not wall, not another box, not locked door)
-                if (walls.has(pushToPos)) continue;
-                if (boxSet.has(pushToPos)) continue;
-                if (doors.has(pushToPos)) continue;
-
-                // Gate check: box can't enter a gate that blocks this push direction
-                if (gates.has(pushToPos) && !gateAllowsDirection(gates.get(pushToPos), dx, dy)) continue;
+                // Push-to must be free (not wall, not another box, not locked door, not a gate facing away)
+                if (canEnter(board, boxPos, dx, dy, boxSet, state.doors) < 0) continue;
 
                 // Resolve box-ice slide if enabled
                 let finalBoxPos = pushToPos;
-                if (boxIceEnabled) {
-                    finalBoxPos = resolveBoxSlide(pushToPos, dx, dy, walls, iceTiles, boxSet, width, height, gates);
+                if (board.boxIceEnabled) {
+                    finalBoxPos = slideBox(board, pushToPos, dx, dy, boxSet, state.doors);
                 }
 
                 // Check deadlock at final position
-                if (isSimpleDeadlock(finalBoxPos, walls, targets, width, height)) continue;
+                if (pruneDeadlocks && isSimpleDeadlock(finalBoxPos, walls, targets, width, height)) continue;
 
-                // Build new box array
-                const newBoxes = [...state.boxes];
-                newBoxes[bi] = finalBoxPos;
-                const sortedBoxes = newBoxes.sort((a, b) => a - b);
+                // Player steps into the box's old tile
+                const result = expand(bi, finalBoxPos, boxPos, dx, dy, false);
+                if (result) return result;
+            }
+        }
+    }
+
+    // Exhausted all states without finding solution
+    return { solvable: false, reason: 'no_solution', statesExplored: visited.size };
+}
+
+/**
+ * Move-level search, for hazard mode, crumbling floors, conveyors and bridges.
+ * A state is the player tile, boxes, held keys, open holes, standing
+ * crumbling tiles, spike clock and every patrol's position and heading — the
+ * spike phase, patrols, crumbling floor and belts change things on each key
+ * press, and where the player stands opens bridges, so the player can't be
+ * normalized. Bridges follow from the player and boxes, so they need no key
+ * of their own. Outside hazard mode spikes and patrols are left out, as in the
+ * push-level search.
+ * States are expanded in order of hearts lost, so the first win dequeued is
+ * the cheapest one; states that lose more than maxHearts are dropped.
+ * Moves are played with rules.step, pruning pushes into a corner deadlock
+ * (except on pull, hole and conveyor levels, where a cornered box can be
+ * pulled out, left as a spare or carried off; on pull levels every direction
+ * is also tried as a pull).
+ */
+function solveByMoves(level, options) {
+    const maxStates = options.maxStates || 50000;
+    const maxHearts = options.maxHearts ?? 0;
+
+    let board = createBoard(level, options);
+    if (!board) return { solvable: false, reason: 'invalid_level' };
+    if (!options.hazards) board = { ...board, spikes: new Set() };
+
+    const { walls, targets, width, height, pullEnabled } = board;
+    const pruneDeadlocks = !pullEnabled && board.holes.size === 0 && board.conveyors.size === 0;
+
+    const initial = { ...initialState(board, level, { collectibles: false }), hearts: 0, parent: -1, move: '' };
+    if (!options.hazards) initial.entities = [];
+
+    // Hearts lost is the path cost: buckets[h] holds states that lost h hearts
+    // (greedy: nearest the targets first within a bucket)
+    const states = [initial];
+    const best = new Map([[moveStateKey(initial, width), 0]]);
+    const buckets = [createFrontier(options.greedy)];
+    buckets[0].push(0, 0);
+    const targetList = [...targets];
+
+    for (let hearts = 0; hearts < buckets.length; hearts++) {
+        const bucket = buckets[hearts];
+        while (bucket.size() > 0) {
+            const stateIdx = bucket.pop();
+            const state = states[stateIdx];
+            if (best.get(moveStateKey(state, width)) < hearts) continue;
+
+            if (isSolved(state)) {
+                let solution = '';
+                let pushCount = 0;
+                for (let s = state; s.parent >= 0; s = states[s.parent]) {
+                    solution = s.move + solution;
+                    if (s.move !== s.move.toLowerCase()) pushCount++;
+                }
+                return { solvable: true, pushCount, solution, heartsLost: hearts, statesExplored: best.size };
+            }
 
-                // New player position is where the box was (player pushed box from pushFrom through boxPos)
-                const newPlayerPos = boxPos;
+            if (best.size >= maxStates) {
+                return { solvable: false, reason: 'exceeded_limit', statesExplored: best.size };
+            }
 
-                // Compute new reachable area
-                const newBoxSet = new Set(sortedBoxes);
-                const newReachable = floodFill(newPlayerPos, walls, newBoxSet, width, height, teleporterMap, gates, doors, iceTiles);
-                const newCanonical = Math.min(...newReachable);
+            const moves = pullEnabled
+                ? DIRECTIONS.flatMap(dir => [[dir, false], [dir, true]])
+                : DIRECTIONS.map(dir => [dir, false]);
+            for (const [[dx, dy], pull] of moves) {
+                const result = step(state, [dx, dy], { pull });
+                if (!result) continue;
+
+                const push = result.events.find(e => e.type === 'push');
+                const pulled = result.events.some(e => e.type === 'pull');
+                // A pull try that pulled nothing is the plain move again
+                if (pull && !pulled) continue;
+                if (push && pruneDeadlocks && isSimpleDeadlock(push.to, walls, targets, width, height)) continue;
+
+                const damage = result.events.filter(e => e.type === 'damage').length;
+                const next = {
+                    ...result.state,
+                    hearts: state.hearts + damage,
+                    parent: stateIdx,
+                    move: push || pulled ? directionChar(dx, dy).toUpperCase() : directionChar(dx, dy)
+                };
+                if (next.hearts > maxHearts) continue;
+
+                const key = moveStateKey(next, width);
+                if (best.has(key) && best.get(key) <= next.hearts) continue;
+                best.set(key, next.hearts);
+
+                states.push(next);
+                while (buckets.length <= next.hearts) buckets.push(createFrontier(options.greedy));
+                buckets[next.hearts].push(states.length - 1, targetDistance(next.boxes, targetList, width));
+            }
+        }
+    }
 
-                const key = stateKey(newCanonical, sortedBoxes);
-                if (visited.has(key)) continue;
-                visited.add(key);
+    return { solvable: false, reason: 'no_solution', statesExplored: best.size };
+}
 
-                const newPushCount = state.pushCount + 1;
+/**
+ * Open states of a search, as indices: first in, first out, or with greedy
+ * on, lowest priority first (a binary heap; ties in no particular order).
+ */
+function createFrontier(greedy) {
+    if (!greedy) {
+        const items = [];
+        let head = 0;
+        return {
+            push: (item) => { items.push(item); },
+            pop: () => items[head++],
+            size: () => items.length - head
+        };
+    }
 
-                // Check win
-                if (isWinState(newBoxSet, targets, exitPos, newReachable)) {
-                    return { solvable: true, pushCount: newPushCount };
+    const heap = [];  // [priority, item]
+    return {
+        push(item, priority) {
+            heap.push([priority, item]);
+            for (let i = heap.length - 1; i > 0;) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent][0] <= heap[i][0]) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                for (let i = 0; ;) {
+                    const l = 2 * i + 1, r = l + 1;
+                    let min = i;
+                    if (l < heap.length && heap[l][0] < heap[min][0]) min = l;
+                    if (r < heap.length && heap[r][0] < heap[min][0]) min = r;
+                    if (min === i) break;
+                    [heap[min], heap[i]] = [heap[i], heap[min]];
+                    i = min;
                 }
-
-                queue.push({
-                    canonical: newCanonical,
-                    boxes: sortedBoxes,
-                    reachable: newReachable,
-                    pushCount: newPushCount
-                });
             }
+            return top[1];
+        },
+        size: () => heap.length
+    };
+}
+
+// Greedy search priority: each box's Manhattan distance to its nearest target
+function targetDistance(boxes, targets, width) {
+    let total = 0;
+    for (const b of boxes) {
+        let nearest = Infinity;
+        for (const t of targets) {
+            const d = Math.abs(t % width - b % width) + Math.abs(Math.floor(t / width) - Math.floor(b / width));
+            if (d < nearest) nearest = d;
         }
+        if (nearest < Infinity) total += nearest;
     }
+    return total;
+}
 
-    // Exhausted all states without finding solution
-    return { solvable: false, reason: 'no_solution' };
+/**
+ * Visited-set key for the move-level search. Everything that changes what
+ * later moves do is in it; hearts lost is not (it's the cost being minimized).
+ */
+function moveStateKey(state, width) {
+    const patrols = state.entities.map(e => (e.y * width + e.x) + '/' + e.dx + e.dy).join(',');
+    return state.player + ':' + state.boxes.join(',') + '|' + state.keys.join(',') + '|' + state.holes.join(',') +
+        '|' + state.crumbles.join(',') + '|' + state.clock + '|' + patrols;
 }
 
 /**
- * Extract puzzle data from a level object.
+ * Replay a LURD solution from the level start and collect every tile it covers:
+ * tiles the player walks, hops or slides through, and tiles boxes pass over.
+ * @param {Object} level - { grid, overlays, width, height, playerX, playerY }
+ * @param {string} solution - LURD string as returned by solve()
+ * @param {Object} options - { boxIceEnabled: false, pullEnabled: false }
+ * @returns {Set<number>} Tile indices touched by the solution
  */
-function extractPuzzleData(level) {
-    const { grid, width, height, playerX, playerY } = level;
-    if (!grid || !width || !height) return null;
-
-    const walls = new Set();
-    const targets = new Set();
-    const boxes = [];
-    const iceTiles = new Set();
-    let exitPos = -1;
-    const playerPos = playerY * width + playerX;
-
-    for (let i = 0; i < grid.length; i++) {
-        switch (grid[i]) {
-            case TILES.WALL:
-                walls.add(i);
-                break;
-            case TILES.TARGET:
-                targets.add(i);
-                break;
-            case TILES.BOX:
-                boxes.push(i);
-                break;
-            case TILES.BOX_ON_TARGET:
-                boxes.push(i);
-                targets.add(i);
-                break;
+export function traceSolution(level, solution, options = {}) {
+    const board = createBoard(level, options);
+    if (!board) return new Set();
+
+    const { boxes, playerPos, keyDoors, width } = board;
+    const boxSet = new Set(boxes);
+    const tiles = new Set([playerPos, ...boxes]);
+    let held = [];
+    let holes = [...board.holes];
+    let crumbles = [...board.crumbles];
+    let locked = board.doors;
+    let player = playerPos;
+
+    for (const ch of solution) {
+        const [dx, dy] = DIRECTION_BY_CHAR[ch.toLowerCase()];
+        const next = player + dy * width + dx;
+        const left = [player];
+        // Bridges are set for the whole move by where things stand before it
+        const moveLocked = board.bridges.size > 0 ? withBridges(locked, closedBridges(board, player, boxSet)) : locked;
+
+        // Uppercase = push the box on the next tile, or with no box there,
+        // pull the one behind into the tile the player leaves
+        if (ch !== ch.toLowerCase()) {
+            left.push(boxSet.has(next) ? next : player - dy * width - dx);
+            if (boxSet.has(next)) {
+                let finalBoxPos = next + dy * width + dx;
+                tiles.add(finalBoxPos);
+                if (board.boxIceEnabled) {
+                    finalBoxPos = slideBox(board, finalBoxPos, dx, dy, boxSet, moveLocked, tiles);
+                }
+                boxSet.delete(next);
+                if (holes.includes(finalBoxPos)) holes = holes.filter(h => h !== finalBoxPos);
+                else boxSet.add(finalBoxPos);
+            } else {
+                boxSet.delete(player - dy * width - dx);
+                boxSet.add(player);
+            }
+        }
+
+        const trail = new Set([next]);
+        player = landSearch(board, next, dx, dy, boxSet, withHoles(moveLocked, holes), trail);
+        for (const t of trail) tiles.add(t);
+
+        // Conveyors carry the player and boxes a tile (see rules.step)
+        if (board.conveyors.size > 0) {
+            const carry = convey(board, player, boxSet, moveLocked, holes);
+            for (const { from, to } of carry.carried) {
+                left.push(from);
+                tiles.add(to);
+            }
+            if (carry.player !== player) {
+                left.push(player);
+                trail.add(carry.player);
+                tiles.add(carry.player);
+            }
+            player = carry.player;
+            holes = carry.holes;
+        }
+
+        // Crumbling tiles left empty collapse (see rules.step)
+        for (const pos of left) {
+            if (pos === player || boxSet.has(pos) || !crumbles.includes(pos)) continue;
+            crumbles = crumbles.filter(c => c !== pos);
+            holes.push(pos);
+        }
+
+        const nowHeld = addKeysOnTrail(held, trail, keyDoors);
+        if (nowHeld !== held) {
+            held = nowHeld;
+            locked = lockedDoors(board, held);
         }
     }
 
-    // Also check if player is on target (grid stores TARGET there)
-    if (grid[playerPos] === TILES.TARGET) {
-        targets.add(playerPos);
+    return tiles;
+}
+
+/**
+ * Play a known sequence of box moves — the generator's reverse-play solution,
+ * which stays good through decoration unless an overlay gets in its way — with
+ * rules.step, walking between them (and on to the exit) by breadth-first search
+ * over moves that leave every box where it is. Spikes and patrols are left out,
+ * as in the push-level search. The result is a solution, not the shortest one.
+ * @param {Object} level - { grid, overlays, width, height, playerX, playerY }
+ * @param {{ box: number, dx: number, dy: number, pull: boolean }[]} pushes - in
+ *   order; each moves the box standing at box one tile (dx, dy)
+ * @param {Object} options - { boxIceEnabled: false, pullEnabled: false }
+ * @returns {{ solvable: true, pushCount: number, solution: string }|null} null if
+ *   a move can't be made as given or the level isn't solved after the last one
+ */
+export function followPushes(level, pushes, options = {}) {
+    let board = createBoard(level, options);
+    if (!board) return null;
+    board = { ...board, spikes: new Set() };
+    const { width } = board;
+
+    let state = { ...initialState(board, level, { collectibles: false }), entities: [] };
+    let solution = '';
+
+    for (const { box, dx, dy, pull } of pushes) {
+        // Stand behind the box to push it, ahead of it to pull it
+        const stand = pull ? box + dy * width + dx : box - dy * width - dx;
+        const walk = walkTo(state, stand, width);
+        if (!walk) return null;
+
+        const result = step(walk.state, [dx, dy], { pull });
+        const moved = result && result.events.find(e => e.type === (pull ? 'pull' : 'push'));
+        if (!moved || moved.from !== box) return null;
+        state = result.state;
+        solution += walk.moves + directionChar(dx, dy).toUpperCase();
     }
 
-    // Extract overlay data
-    const gates = new Map();
-    const doors = new Set();
-    if (level.overlays) {
-        for (let i = 0; i < level.overlays.length; i++) {
-            if (level.overlays[i] === TILES.ICE) {
-                iceTiles.add(i);
-            } else if (level.overlays[i] === TILES.EXIT) {
-                exitPos = i;
-            } else if (level.overlays[i] >= TILES.GATE_UP && level.overlays[i] <= TILES.GATE_LEFT) {
-                gates.set(i, level.overlays[i]);
-            } else if (level.overlays[i] === TILES.DOOR) {
-                doors.add(i);
-            }
+    if (board.exitPos >= 0) {
+        const walk = walkTo(state, board.exitPos, width);
+        if (!walk) return null;
+        state = walk.state;
+        solution += walk.moves;
+    }
+
+    if (!isSolved(state)) return null;
+    return { solvable: true, pushCount: pushes.length, solution };
+}
+
+// Shortest walk from state to the player standing on goal without moving a
+// box: { state, moves } or null. Walks over crumbling floor branch into a
+// state per set of collapsed tiles, so the search gives up after
+// WALK_STATES_PER_TILE states per grid tile
+function walkTo(state, goal, width) {
+    if (state.player === goal) return { state, moves: '' };
+    const key = (s) => s.player + '|' + s.keys.join(',') + '|' + s.holes.join(',') + '|' + s.crumbles.join(',');
+    const seen = new Set([key(state)]);
+    const queue = [{ state, moves: '' }];
+    const limit = WALK_STATES_PER_TILE * width * state.board.height;
+    for (let head = 0; head < queue.length && seen.size < limit; head++) {
+        const cur = queue[head];
+        for (const [dx, dy] of DIRECTIONS) {
+            const result = step(cur.state, [dx, dy]);
+            if (!result || result.events.some(e => e.type === 'push' || e.type === 'carry')) continue;
+            const next = { state: result.state, moves: cur.moves + directionChar(dx, dy) };
+            if (next.state.player === goal) return next;
+            const k = key(next.state);
+            if (seen.has(k)) continue;
+            seen.add(k);
+            queue.push(next);
         }
     }
+    return null;
+}
+
+/**
+ * Replay a push sequence from the level start and expand it into a LURD string.
+ * Walks between pushes follow the same player-step rules as floodFill, so every
+ * push-from position found by the search is reachable here too. Before each
+ * push the player detours to pick up the keys the search had in inventory.
+ * locked is what stops a box (doors), blocked what stops the player (doors and
+ * open holes).
+ */
+function buildSolution(pushes, finalKeys, board) {
+    const { boxes, playerPos, exitPos, keyDoors, width } = board;
+    const boxSet = new Set(boxes);
+    let held = [];
+    let holes = [...board.holes];
+    let locked = board.doors;
+    let blocked = withHoles(locked, holes);
+    let player = playerPos;
+    let moves = '';
+
+    // Returns true if the trail picked up a key (and so opened a door)
+    const pickUp = (trail) => {
+        const nowHeld = addKeysOnTrail(held, trail, keyDoors);
+        if (nowHeld === held) return false;
+        held = nowHeld;
+        locked = lockedDoors(board, held);
+        blocked = withHoles(locked, holes);
+        return true;
+    };
+
+    // One walking step; returns true if it picked up a key
+    const step = (dx, dy) => {
+        const next = player + dy * width + dx;
+        const trail = new Set([next]);
+        player = landSearch(board, next, dx, dy, boxSet, blocked, trail);
+        moves += directionChar(dx, dy);
+        return pickUp(trail);
+    };
+
+    // Walk to a tile, re-planning whenever a key picked up on the way opens a door
+    const walkTo = (target) => {
+        while (player !== target) {
+            const path = walkPath(board, player, target, boxSet, blocked);
+            if (path === null) return;
+            for (const ch of path) {
+                const [dx, dy] = DIRECTION_BY_CHAR[ch];
+                if (step(dx, dy)) break;
+            }
+        }
+    };
+
+    // Pick up every key the search assumed was in hand, using the same pickup
+    // steps the search found from this position (keys on ice are collected mid-slide)
+    const collectKeys = (keys) => {
+        const origin = player;
+        for (;;) {
+            const missing = keys.filter(k => !held.includes(k));
+            if (missing.length === 0) return;
+            const { pickups } = findKeyPickups(board, origin, boxSet, blocked, held);
+            const keyPos = missing.find(k => pickups.has(k));
+            if (keyPos === undefined) return;
+            const { from, dx, dy } = pickups.get(keyPos);
+            walkTo(from);
+            if (player !== from) return;
+            step(dx, dy);
+        }
+    };
+
+    for (const { boxPos, dx, dy, keys, pull } of pushes) {
+        collectKeys(keys);
+
+        if (pull) {
+            // Stand where the box is going and step away from it
+            const standPos = boxPos + dy * width + dx;
+            walkTo(standPos);
+            moves += directionChar(dx, dy).toUpperCase();
+            boxSet.delete(boxPos);
+            boxSet.add(standPos);
+
+            const enter = standPos + dy * width + dx;
+            const trail = new Set([enter]);
+            player = landSearch(board, enter, dx, dy, boxSet, blocked, trail);
+            pickUp(trail);
+            continue;
+        }
+
+        walkTo(boxPos - dy * width - dx);
+        moves += directionChar(dx, dy).toUpperCase();
 
-    // Build teleporter map from pairs
-    const teleporterMap = new Map();
-    if (level.teleporterPairs) {
-        for (const [a, b] of level.teleporterPairs) {
-            teleporterMap.set(a, b);
-            teleporterMap.set(b, a);
+        let finalBoxPos = boxPos + dy * width + dx;
+        if (board.boxIceEnabled) {
+            finalBoxPos = slideBox(board, finalBoxPos, dx, dy, boxSet, locked);
         }
+        boxSet.delete(boxPos);
+        if (holes.includes(finalBoxPos)) {
+            holes = holes.filter(h => h !== finalBoxPos);
+            blocked = withHoles(locked, holes);
+        } else {
+            boxSet.add(finalBoxPos);
+        }
+
+        const trail = new Set([boxPos]);
+        player = landSearch(board, boxPos, dx, dy, boxSet, blocked, trail);
+        pickUp(trail);
     }
 
-    return { walls, targets, boxes, playerPos, iceTiles, exitPos, teleporterMap, gates, doors, width, height };
+    // Finish on the exit if the level has one
+    if (exitPos >= 0) {
+        collectKeys(finalKeys);
+        walkTo(exitPos);
+    }
+
+    return moves;
+}
+
+/**
+ * Shortest walk (no pushes) from one position to another, as lowercase LURD.
+ * Returns null if toPos can't be reached.
+ */
+function walkPath(board, fromPos, toPos, boxSet, doors) {
+    if (fromPos === toPos) return '';
+
+    const parents = new Map();
+    floodFill(board, fromPos, boxSet, doors, parents);
+    if (!parents.has(toPos)) return null;
+
+    let path = '';
+    for (let pos = toPos; pos !== fromPos; pos = parents.get(pos).from) {
+        const step = parents.get(pos);
+        path = directionChar(step.dx, step.dy) + path;
+    }
+    return path;
+}
+
+function directionChar(dx, dy) {
+    if (dy === -1) return 'u';
+    if (dy === 1) return 'd';
+    return dx === -1 ? 'l' : 'r';
 }
 
 /**
  * BFS flood fill from startPos, blocked by walls and boxes.
- * Models player-ice sliding: stepping onto ice continues in (dx,dy) until stopped.
- * Only the stop position is added as reachable — intermediate ice tiles are not.
+ * Each step follows playerStep, so ice slides and teleporter hops land where
+ * the game would put the player — intermediate ice tiles are not reachable.
+ * If a parents Map is passed, records { from, dx, dy } for every reached tile.
+ * If a touched Map is passed, records the first { from, dx, dy } step that
+ * passes over each tile, including tiles slid across or hopped from.
  * Returns Set of reachable positions.
  */
-function floodFill(startPos, walls, boxSet, width, height, teleporterMap, gates, doors, iceTiles) {
+function floodFill(board, startPos, boxSet, doors, parents = null, touched = null) {
     const reachable = new Set([startPos]);
     const queue = [startPos];
     let head = 0;
 
-    const directions = [[0, -1, -width], [0, 1, width], [-1, 0, -1], [1, 0, 1]];
-
     while (head < queue.length) {
         const cur = queue[head++];
-        const cx = cur % width;
-        const cy = Math.floor(cur / width);
-
-        for (const [dx, dy, delta] of directions) {
-            const nx = cx + dx;
-            const ny = cy + dy;
-            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-
-            let n = cur + delta;
-            if (walls.has(n) || boxSet.has(n)) continue;
-
-            // Door check: treat locked doors as impassable
-            if (doors && doors.has(n)) continue;
-
-            // Gate check: can we enter this tile from direction (dx, dy)?
-            if (gates && gates.has(n) && !gateAllowsDirection(gates.get(n), dx, dy)) continue;
-
-            // Ice slide: if stepping onto ice, simulate sliding in (dx, dy)
-            if (iceTiles && iceTiles.size > 0 && iceTiles.has(n)) {
-                let slidePos = n;
-                while (iceTiles.has(slidePos)) {
-                    const sx = slidePos % width;
-                    const sy = Math.floor(slidePos / width);
-                    const snx = sx + dx;
-                    const sny = sy + dy;
-                    if (snx < 0 || snx >= width || sny < 0 || sny >= height) break;
-                    const nextPos = sny * width + snx;
-                    if (walls.has(nextPos) || boxSet.has(nextPos)) break;
-                    if (doors && doors.has(nextPos)) break;
-                    if (gates && gates.has(nextPos) && !gateAllowsDirection(gates.get(nextPos), dx, dy)) break;
-                    slidePos = nextPos;
+
+        for (const [dx, dy] of DIRECTIONS) {
+            const trail = touched ? new Set() : null;
+            const n = playerStep(board, cur, dx, dy, boxSet, doors, trail);
+            if (trail) {
+                for (const t of trail) {
+                    if (!touched.has(t)) touched.set(t, { from: cur, dx, dy });
                 }
-                n = slidePos; // final stop position
             }
-
-            if (reachable.has(n)) continue;
+            if (n < 0 || reachable.has(n)) continue;
 
             reachable.add(n);
             queue.push(n);
-
-            // Teleporter: if this tile is a teleporter, also enqueue partner
-            if (teleporterMap && teleporterMap.has(n)) {
-                const partner = teleporterMap.get(n);
-                if (!reachable.has(partner) && !walls.has(partner) && !boxSet.has(partner)) {
-                    reachable.add(partner);
-                    queue.push(partner);
-                }
-            }
+            if (parents) parents.set(n, { from: cur, dx, dy });
         }
     }
 
@@ -338,24 +813,140 @@ function floodFill(startPos, walls, boxSet, width, height, teleporterMap, gates,
 }
 
 /**
- * Check if a gate allows entry from direction (dx, dy).
- * Gate tiles restrict which direction you can ENTER from.
+ * Flood fill that picks up keys: every key the player can safely pick up (see
+ * findKeyPickups) is collected and its door unlocked, repeating until no new
+ * key comes into reach. keys is the sorted list of key positions already held;
+ * holes the open holes, which the player walks around.
+ * Returns { reachable, keys, doors } — doors being the ones still locked.
+ */
+function floodFillWithKeys(board, startPos, boxSet, keys, holes = []) {
+    if (board.keyDoors.size === 0) {
+        const reachable = floodFill(board, startPos, boxSet, withHoles(board.doors, holes));
+        return { reachable, keys, doors: board.doors };
+    }
+
+    let held = keys;
+    for (;;) {
+        const locked = lockedDoors(board, held);
+        const { reachable, pickups } = findKeyPickups(board, startPos, boxSet, withHoles(locked, holes), held);
+        if (pickups.size === 0) return { reachable, keys: held, doors: locked };
+        held = [...held, ...pickups.keys()].sort((a, b) => a - b);
+    }
+}
+
+/**
+ * Keys the player can pick up from startPos without getting stranded: some step
+ * must pass over the key, and from where that step lands the player must be able
+ * to walk back to startPos (one-way gates and ice can make a key a trap).
+ * Returns { reachable, pickups } — pickups maps keyPos to its { from, dx, dy } step.
  */
-function gateAllowsDirection(gateTile, dx, dy) {
-    switch (gateTile) {
-        case TILES.GATE_UP:    return dy === -1; // moving up (from below)
-        case TILES.GATE_DOWN:  return dy === 1;  // moving down (from above)
-        case TILES.GATE_LEFT:  return dx === -1; // moving left (from right)
-        case TILES.GATE_RIGHT: return dx === 1;  // moving right (from left)
-        default: return true;
+function findKeyPickups(board, startPos, boxSet, locked, held) {
+    const touched = new Map();
+    const reachable = floodFill(board, startPos, boxSet, locked, null, touched);
+    const pickups = new Map();
+
+    for (const [keyPos, doorPos] of board.keyDoors) {
+        if (held.includes(keyPos) || !touched.has(keyPos)) continue;
+
+        const pickup = touched.get(keyPos);
+        const landing = playerStep(board, pickup.from, pickup.dx, pickup.dy, boxSet, locked);
+        const opened = new Set(locked);
+        opened.delete(doorPos);
+        if (floodFill(board, landing, boxSet, opened).has(startPos)) {
+            pickups.set(keyPos, pickup);
+        }
+    }
+
+    return { reachable, pickups };
+}
+
+/**
+ * Keys held after passing over trail (a Set of tiles).
+ * Returns the same array if nothing new was picked up, else a new sorted one.
+ */
+function addKeysOnTrail(keys, trail, keyDoors) {
+    let held = keys;
+    for (const keyPos of keyDoors.keys()) {
+        if (trail.has(keyPos) && !held.includes(keyPos)) held = [...held, keyPos];
+    }
+    return held === keys ? keys : held.sort((a, b) => a - b);
+}
+
+/**
+ * Move the player one step in (dx, dy).
+ * Returns the final position after any teleport/ice slide, or -1 if blocked.
+ * If a trail Set is passed, adds the entered tile and every tile landed on or slid through.
+ */
+function playerStep(board, pos, dx, dy, boxSet, doors, trail = null) {
+    const n = canEnter(board, pos, dx, dy, boxSet, doors);
+    if (n < 0) return -1;
+
+    if (trail) trail.add(n);
+    return landSearch(board, n, dx, dy, boxSet, doors, trail);
+}
+
+/**
+ * rules.landPlayer for a player that has just entered pos. A key lying on pos
+ * or on a slid tile opens its door for the rest of the slide, as in the game,
+ * but stays out of the search's inventory (addKeysOnTrail / findKeyPickups
+ * decide that). If a trail Set is passed, adds every tile landed on or slid through.
+ */
+function landSearch(board, pos, dx, dy, boxSet, doors, trail = null) {
+    const { keyDoors } = board;
+    if (keyDoors.size === 0) {
+        return landPlayer(board, pos, dx, dy, boxSet, doors, trail && (t => { trail.add(t); }));
     }
+
+    let locked = doors;
+    const unlock = (t) => {
+        const door = keyDoors.get(t);
+        if (door !== undefined && locked.has(door)) {
+            locked = new Set(locked);
+            locked.delete(door);
+        }
+        return locked;
+    };
+    unlock(pos);
+    return landPlayer(board, pos, dx, dy, boxSet, locked, (t) => {
+        if (trail) trail.add(t);
+        return unlock(t);
+    });
 }
 
 /**
  * Create a string key for the visited set.
+ * Held keys and open holes are part of the state: the same boxes with a door
+ * open or a hole filled is a different puzzle.
  */
-function stateKey(canonicalPlayer, sortedBoxes) {
-    return canonicalPlayer + ':' + sortedBoxes.join(',');
+function stateKey(canonicalPlayer, sortedBoxes, sortedKeys, sortedHoles) {
+    let key = canonicalPlayer + ':' + sortedBoxes.join(',');
+    if (sortedKeys.length > 0) key += '|' + sortedKeys.join(',');
+    if (sortedHoles.length > 0) key += '#' + sortedHoles.join(',');
+    return key;
+}
+
+/**
+ * Tiles a box can be pushed from onto some target, walls aside and other
+ * boxes ignored: the targets, then every tile with floor behind it for the
+ * player to push from toward a tile already counted.
+ */
+function pushableToTargets(walls, targets, width, height) {
+    const open = (x, y) => x >= 0 && x < width && y >= 0 && y < height && !walls.has(y * width + x);
+    const live = new Set(targets);
+    const queue = [...targets];
+    for (let head = 0; head < queue.length; head++) {
+        const to = queue[head];
+        const x = to % width;
+        const y = Math.floor(to / width);
+        for (const [dx, dy] of DIRECTIONS) {
+            // Box on (x - dx, y - dy), player behind it on (x - 2dx, y - 2dy)
+            const from = to - dy * width - dx;
+            if (live.has(from) || !open(x - dx, y - dy) || !open(x - 2 * dx, y - 2 * dy)) continue;
+            live.add(from);
+            queue.push(from);
+        }
+    }
+    return live;
 }
 
 /**
@@ -381,48 +972,23 @@ function isSimpleDeadlock(boxPos, walls, targets, width, height) {
     return false;
 }
 
-/**
- * Resolve box sliding on ice.
- * If box lands on ice, slide it in (dx, dy) until hitting wall/box/non-ice tile.
- */
-function resolveBoxSlide(boxPos, dx, dy, walls, iceTiles, boxSet, width, height, gates) {
-    let pos = boxPos;
-
-    while (iceTiles.has(pos)) {
-        const x = pos % width;
-        const y = Math.floor(pos / width);
-        const nx = x + dx;
-        const ny = y + dy;
-
-        // Out of bounds — stop
-        if (nx < 0 || nx >= width || ny < 0 || ny >= height) break;
-
-        const nextPos = ny * width + nx;
-
-        // Wall or another box — stop
-        if (walls.has(nextPos) || boxSet.has(nextPos)) break;
-
-        // Gate check: stop if next tile is a gate that blocks entry
-        if (gates && gates.has(nextPos) && !gateAllowsDirection(gates.get(nextPos), dx, dy)) break;
-
-        pos = nextPos;
-    }
-
-    return pos;
-}
-
 /**
  * Check if state is a win: all boxes on targets, and if exit exists, player can reach it.
+ * Spare boxes on hole levels may be left anywhere (see rules.boxesPlaced).
  */
-function isWinState(boxSet, targets, exitPos, playerReachable) {
+function isWinState(boxSet, board, playerReachable) {
+    const { targets, exitPos } = board;
+
     // All targets must have a box on them
     for (const t of targets) {
         if (!boxSet.has(t)) return false;
     }
 
     // All boxes must be on targets (no extra boxes off targets)
-    for (const b of boxSet) {
-        if (!targets.has(b)) return false;
+    if (board.holes.size === 0) {
+        for (const b of boxSet) {
+            if (!targets.has(b)) return false;
+        }
     }
 
     // If exit exists, player must be able to reach it
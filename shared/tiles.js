@@ -17,5 +17,13 @@ export const TILES = {
     GATE_DOWN: 13,  // One-way gate (entry from above only)
     GATE_LEFT: 14,  // One-way gate (entry from right only)
     KEY: 15,        // Collectible key
-    DOOR: 16        // Locked door
+    DOOR: 16,       // Locked door
+    HOLE: 17,       // Pit — swallows a pushed box, then it's floor
+    CRUMBLE: 18,    // Crumbling floor — becomes a hole once left empty
+    CONVEYOR_UP: 19,    // Conveyor belt (carries player or box up a tile each turn)
+    CONVEYOR_RIGHT: 20, // Conveyor belt (carries right)
+    CONVEYOR_DOWN: 21,  // Conveyor belt (carries down)
+    CONVEYOR_LEFT: 22,  // Conveyor belt (carries left)
+    SWITCH: 23,     // Pressure plate — opens its bridge while something stands on it
+    BRIDGE: 24      // Bridge — a wall unless its plate is pressed
 };
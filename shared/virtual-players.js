@@ -0,0 +1,54 @@
+/**
+ * Virtual players — scripted selection strategies for headless evolution runs.
+ *
+ * Each player scores a candidate; the simulator picks the highest score in a
+ * tournament round (or uses the scores directly as fitness). Players with
+ * needsLevel get the generated level (with level.metrics) as a second argument.
+ * Add a player by adding an entry here; tools/simulate.js picks it up by name.
+ */
+
+export const VIRTUAL_PLAYERS = {
+    'large-grids': {
+        description: 'Prefers large grids (Experiment 1: Large Board Culture)',
+        score: (genome) => genome.genes.gridSize
+    },
+    'small-grids': {
+        description: 'Prefers small grids',
+        score: (genome) => -genome.genes.gridSize
+    },
+    'dense-walls': {
+        description: 'Prefers high wall density (Experiment 2: Dense Maze Culture)',
+        score: (genome) => genome.genes.wallDensity
+    },
+    'simple-puzzles': {
+        description: 'Prefers few boxes and low complexity (Experiment 3: Simple Puzzle Culture)',
+        score: (genome) => -(genome.genes.boxCount + genome.genes.complexity / 10)
+    },
+    'mazes': {
+        description: 'Prefers maze-style layouts (an island culture)',
+        score: (genome) => genome.genes.styleMaze
+    },
+    'caves': {
+        description: 'Prefers cave-style layouts (an island culture)',
+        score: (genome) => genome.genes.styleCaves
+    },
+    'ice': {
+        description: 'Prefers ice levels, the icier the better',
+        score: (genome) => (genome.genes.iceEnabled || 0) * (1 + (genome.genes.iceDensity || 0))
+    },
+    'hazards': {
+        description: 'Prefers spikes and patrol enemies',
+        score: (genome) => (genome.genes.spikeEnabled || 0) + (genome.genes.patrolEnabled || 0)
+    },
+    'long-solutions': {
+        description: 'Prefers levels with more pushes in their solution (uses level metrics)',
+        needsLevel: true,
+        // Levels the metrics found no solution for count the generator's own
+        // solution's pushes instead, an upper bound
+        score: (genome, level) => level.metrics.minPushes ?? level.solutionPushes.length
+    },
+    'random': {
+        description: 'Picks at random — the no-selection-pressure control',
+        score: () => Math.random()
+    }
+};
@@ -0,0 +1,401 @@
+import { TILES } from './tiles.js';
+
+/**
+ * XSB — the plain-text Sokoban format most collections and tools use.
+ *
+ * Standard glyphs:
+ *   #  wall       @  player            $  box
+ *   .  target     +  player on target  *  box on target
+ *   space, - or _  floor
+ *
+ * Machina Ludens extension — overlay tiles, written on plain floor cells:
+ *   ~        ice                  !  exit
+ *   %        spikes               :  DNA collectible
+ *   ^ > v <  one-way gates (the direction they let you enter)
+ *   1-9      teleporter pads — both pads of a pair share a digit
+ *   a-j      keys; the door of the same pair is the matching capital A-J
+ *   o        hole (a board may have one spare box per hole)
+ *   ,        crumbling floor
+ *   m } w {  conveyor belts running up, right, down and left
+ *   x-z      pressure plates; the bridge of the same pair is the matching capital X-Z
+ *
+ * What the grid can't show goes in SOK-style "Key: value" lines after the
+ * board: Title, "BoxIce: yes", "Pull: yes", one "Patrol: x,y,dx,dy" per patrol
+ * enemy, and one "Overlay: x,y,glyph" per overlay under the player, a box or a
+ * target (an exit under a box), whose cell shows only the standard glyph.
+ * Other Sokoban tools don't know the extension glyphs, so export with
+ * { overlays: false } to share a plain board. The alternative p/P/b/B player
+ * and box notation is not supported (b would read as a key).
+ */
+
+const OVERLAY_GLYPHS = {
+    [TILES.ICE]: '~',
+    [TILES.EXIT]: '!',
+    [TILES.SPIKES]: '%',
+    [TILES.COLLECTIBLE]: ':',
+    [TILES.GATE_UP]: '^',
+    [TILES.GATE_RIGHT]: '>',
+    [TILES.GATE_DOWN]: 'v',
+    [TILES.GATE_LEFT]: '<',
+    [TILES.HOLE]: 'o',
+    [TILES.CRUMBLE]: ',',
+    [TILES.CONVEYOR_UP]: 'm',
+    [TILES.CONVEYOR_RIGHT]: '}',
+    [TILES.CONVEYOR_DOWN]: 'w',
+    [TILES.CONVEYOR_LEFT]: '{'
+};
+
+const GLYPH_OVERLAYS = Object.fromEntries(
+    Object.entries(OVERLAY_GLYPHS).map(([tile, glyph]) => [glyph, Number(tile)])
+);
+
+const KEY_GLYPHS = 'abcdefghij';
+const DOOR_GLYPHS = 'ABCDEFGHIJ';
+const SWITCH_GLYPHS = 'xyz';
+const BRIDGE_GLYPHS = 'XYZ';
+const MAX_TELEPORTER_PAIRS = 9;
+
+const BOARD_GLYPHS = new Set('#@+$*. -_' + Object.values(OVERLAY_GLYPHS).join('') + '123456789' + KEY_GLYPHS + DOOR_GLYPHS + SWITCH_GLYPHS + BRIDGE_GLYPHS);
+
+/**
+ * Write a level as XSB text.
+ * @param {Object} level - { width, height, grid, playerX, playerY, overlays?, teleporterPairs?, keyDoorPairs?, switchPairs?, entities?, boxIceEnabled?, pullEnabled? }
+ * @param {Object} options - { overlays: true, title: '' }
+ * @returns {string} Board lines (trailing spaces trimmed) followed by any metadata lines
+ */
+export function levelToXSB(level, options = {}) {
+    const withOverlays = options.overlays !== false;
+    const { width, height, grid } = level;
+    const playerIdx = level.playerY * width + level.playerX;
+
+    // Paired overlays are numbered by their position in the pair lists
+    const pairGlyphs = new Map();
+    if (withOverlays) {
+        (level.teleporterPairs || []).slice(0, MAX_TELEPORTER_PAIRS).forEach(([a, b], i) => {
+            pairGlyphs.set(a, String(i + 1));
+            pairGlyphs.set(b, String(i + 1));
+        });
+        (level.keyDoorPairs || []).slice(0, KEY_GLYPHS.length).forEach(({ keyIdx, doorIdx }, i) => {
+            pairGlyphs.set(keyIdx, KEY_GLYPHS[i]);
+            pairGlyphs.set(doorIdx, DOOR_GLYPHS[i]);
+        });
+        (level.switchPairs || []).slice(0, SWITCH_GLYPHS.length).forEach(({ switchIdx, bridgeIdx }, i) => {
+            pairGlyphs.set(switchIdx, SWITCH_GLYPHS[i]);
+            pairGlyphs.set(bridgeIdx, BRIDGE_GLYPHS[i]);
+        });
+    }
+
+    const lines = [];
+    const hidden = [];  // Overlay lines: [x, y, glyph]
+    for (let y = 0; y < height; y++) {
+        let line = '';
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const tile = grid[i];
+            const onTarget = tile === TILES.TARGET || tile === TILES.BOX_ON_TARGET;
+            const overlayGlyph = pairGlyphs.get(i) ||
+                (withOverlays && level.overlays && OVERLAY_GLYPHS[level.overlays[i]]);
+
+            if (overlayGlyph && tile !== TILES.WALL &&
+                (i === playerIdx || tile === TILES.BOX || tile === TILES.BOX_ON_TARGET || tile === TILES.TARGET)) {
+                hidden.push([x, y, overlayGlyph]);
+            }
+
+            if (i === playerIdx) {
+                line += onTarget ? '+' : '@';
+            } else if (tile === TILES.WALL) {
+                line += '#';
+            } else if (tile === TILES.BOX) {
+                line += '$';
+            } else if (tile === TILES.BOX_ON_TARGET) {
+                line += '*';
+            } else if (tile === TILES.TARGET) {
+                line += '.';
+            } else if (overlayGlyph) {
+                line += overlayGlyph;
+            } else {
+                line += ' ';
+            }
+        }
+        lines.push(line.trimEnd());
+    }
+
+    if (options.title) lines.push(`Title: ${options.title}`);
+    if (withOverlays) {
+        if (level.boxIceEnabled) lines.push('BoxIce: yes');
+        if (level.pullEnabled) lines.push('Pull: yes');
+        for (const [x, y, glyph] of hidden) lines.push(`Overlay: ${x},${y},${glyph}`);
+        for (const e of level.entities || []) {
+            lines.push(`Patrol: ${e.startX ?? e.x},${e.startY ?? e.y},${e.startDx ?? e.dx},${e.startDy ?? e.dy}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Parse the first level in XSB text (see levelToXSB for the glyphs).
+ * "Key: value" lines before or after the board are read as metadata.
+ * Floor outside the walls becomes wall.
+ * @param {string} text - XSB text
+ * @returns {Object} Level in generator format, plus title when given
+ * @throws {Error} If there is no board or it isn't a playable level
+ */
+export function parseXSB(text) {
+    const { header, boards } = splitBoards(text);
+    if (boards.length === 0) throw new Error('No XSB board found');
+    return buildLevel(boards[0].rows, { ...header, ...boards[0].meta });
+}
+
+/**
+ * Parse a multi-level XSB/SOK collection. Each level's title is its "Title:"
+ * line (SOK puts metadata after the board) or else the comment or text line
+ * just above the board ("; 12" in most XSB files). "Title:" before the first
+ * board names the collection.
+ * @param {string} text - Collection text
+ * @returns {{ title: string|null, levels: Object[], errors: string[] }}
+ *   Boards that aren't playable are skipped and described in errors.
+ */
+export function parseXSBCollection(text) {
+    const { header, boards } = splitBoards(text);
+    const levels = [];
+    const errors = [];
+
+    boards.forEach(({ rows, meta }, i) => {
+        try {
+            levels.push(buildLevel(rows, meta));
+        } catch (e) {
+            errors.push(`${meta.title || meta.caption || `Board ${i + 1}`}: ${e.message}`);
+        }
+    });
+
+    return { title: header.title || null, levels, errors };
+}
+
+// Cut text into boards. Metadata lines belong to the board above them (to the
+// header before the first board); the last comment or loose text line above a
+// board is kept as its caption, a fallback title.
+function splitBoards(text) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    const header = {};
+    const boards = [];
+    let caption = null;
+
+    for (let i = 0; i < lines.length;) {
+        if (isBoardLine(lines[i])) {
+            const rows = [];
+            while (i < lines.length && isBoardLine(lines[i])) {
+                rows.push(lines[i].trimEnd());
+                i++;
+            }
+            boards.push({ rows, meta: caption ? { caption } : {} });
+            caption = null;
+            continue;
+        }
+
+        const line = lines[i].trim();
+        if (!readMetaLine(line, boards.length > 0 ? boards[boards.length - 1].meta : header) && line) {
+            caption = line.replace(/^;\s*/, '') || caption;
+        }
+        i++;
+    }
+
+    return { header, boards };
+}
+
+function isBoardLine(line) {
+    const trimmed = line.trimEnd();
+    if (!trimmed.includes('#') || trimmed.trimStart().startsWith(';')) return false;
+    for (const ch of trimmed) {
+        if (!BOARD_GLYPHS.has(ch)) return false;
+    }
+    return true;
+}
+
+// "Key: value" → meta.key (lowercased); Patrol and Overlay lines accumulate.
+// Returns whether the line was metadata.
+function readMetaLine(line, meta) {
+    const match = /^\s*([A-Za-z]+)\s*:\s*(.*?)\s*$/.exec(line);
+    if (!match) return false;
+    const key = match[1].toLowerCase();
+    if (key === 'patrol' || key === 'overlay') {
+        (meta[key] = meta[key] || []).push(match[2]);
+    } else if (!(key in meta)) {
+        meta[key] = match[2];
+    }
+    return true;
+}
+
+function buildLevel(rows, meta) {
+    const width = Math.max(...rows.map(r => r.length));
+    const height = rows.length;
+    const grid = new Array(width * height).fill(TILES.FLOOR);
+    const overlays = new Array(width * height).fill(0);
+    const teleporterPads = new Map();  // digit -> [idx]
+    const keys = new Map();            // pair index -> idx
+    const doors = new Map();
+    const plates = new Map();          // pair index -> idx
+    const bridges = new Map();
+    let playerIdx = -1;
+    let boxCount = 0;
+    let targetCount = 0;
+
+    // Lay the overlay a glyph stands for at i; returns whether it is one
+    const placeOverlay = (ch, i) => {
+        if (GLYPH_OVERLAYS[ch] !== undefined) {
+            overlays[i] = GLYPH_OVERLAYS[ch];
+        } else if (ch >= '1' && ch <= '9') {
+            overlays[i] = TILES.TELEPORTER;
+            if (!teleporterPads.has(ch)) teleporterPads.set(ch, []);
+            teleporterPads.get(ch).push(i);
+        } else if (KEY_GLYPHS.includes(ch)) {
+            overlays[i] = TILES.KEY;
+            keys.set(KEY_GLYPHS.indexOf(ch), i);
+        } else if (DOOR_GLYPHS.includes(ch)) {
+            overlays[i] = TILES.DOOR;
+            doors.set(DOOR_GLYPHS.indexOf(ch), i);
+        } else if (SWITCH_GLYPHS.includes(ch)) {
+            overlays[i] = TILES.SWITCH;
+            plates.set(SWITCH_GLYPHS.indexOf(ch), i);
+        } else if (BRIDGE_GLYPHS.includes(ch)) {
+            overlays[i] = TILES.BRIDGE;
+            bridges.set(BRIDGE_GLYPHS.indexOf(ch), i);
+        } else {
+            return false;
+        }
+        return true;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const ch = rows[y][x] ?? ' ';
+            const i = y * width + x;
+
+            switch (ch) {
+                case '#': grid[i] = TILES.WALL; break;
+                case '$': grid[i] = TILES.BOX; boxCount++; break;
+                case '*': grid[i] = TILES.BOX_ON_TARGET; boxCount++; targetCount++; break;
+                case '.': grid[i] = TILES.TARGET; targetCount++; break;
+                case '@':
+                case '+':
+                    if (playerIdx >= 0) throw new Error('Board has more than one player');
+                    playerIdx = i;
+                    if (ch === '+') {
+                        grid[i] = TILES.TARGET;
+                        targetCount++;
+                    } else {
+                        grid[i] = TILES.PLAYER;
+                    }
+                    break;
+                default:
+                    placeOverlay(ch, i);
+            }
+        }
+    }
+
+    // Overlays under the player, boxes and targets
+    for (const value of meta.overlay || []) {
+        // The glyph may itself be a comma (crumbling floor)
+        const match = /^(\d+)\s*,\s*(\d+)\s*,\s*(\S)$/.exec(value);
+        const x = match ? Number(match[1]) : -1;
+        const y = match ? Number(match[2]) : -1;
+        const i = y * width + x;
+        if (x < 0 || x >= width || y < 0 || y >= height ||
+            grid[i] === TILES.WALL || overlays[i] !== 0 || !placeOverlay(match[3], i)) {
+            throw new Error(`Bad overlay line: ${value}`);
+        }
+    }
+
+    if (playerIdx < 0) throw new Error('Board has no player');
+    if (boxCount === 0) throw new Error('Board has no boxes');
+    // Each hole may take one spare box
+    const holeCount = overlays.filter(t => t === TILES.HOLE).length;
+    if (boxCount < targetCount || boxCount > targetCount + holeCount) {
+        throw new Error(`Board has ${boxCount} boxes but ${targetCount} targets`);
+    }
+
+    // Pairs in glyph order, so a re-export numbers them the same way
+    const teleporterPairs = [];
+    for (const digit of [...teleporterPads.keys()].sort()) {
+        const pads = teleporterPads.get(digit);
+        if (pads.length !== 2) throw new Error(`Teleporter ${digit} needs exactly 2 pads`);
+        // Board order, wherever the pads were written (board or Overlay lines)
+        teleporterPairs.push(pads.sort((a, b) => a - b));
+    }
+
+    const keyDoorPairs = [];
+    for (const colorIndex of [...keys.keys()].sort((a, b) => a - b)) {
+        const keyIdx = keys.get(colorIndex);
+        if (!doors.has(colorIndex)) throw new Error(`Key ${KEY_GLYPHS[colorIndex]} has no door`);
+        keyDoorPairs.push({ keyIdx, doorIdx: doors.get(colorIndex), colorIndex });
+    }
+    if (doors.size !== keys.size) throw new Error('Board has a door without a key');
+
+    const switchPairs = [];
+    for (const colorIndex of [...plates.keys()].sort((a, b) => a - b)) {
+        const switchIdx = plates.get(colorIndex);
+        if (!bridges.has(colorIndex)) throw new Error(`Plate ${SWITCH_GLYPHS[colorIndex]} has no bridge`);
+        switchPairs.push({ switchIdx, bridgeIdx: bridges.get(colorIndex), colorIndex });
+    }
+    if (bridges.size !== plates.size) throw new Error('Board has a bridge without a plate');
+
+    wallOffOutside(grid, overlays, width, height, playerIdx, teleporterPairs);
+
+    const entities = (meta.patrol || []).map(value => {
+        const [x, y, dx, dy] = value.split(',').map(Number);
+        return { type: 'patrol', x, y, dx, dy, startX: x, startY: y, startDx: dx, startDy: dy };
+    });
+
+    const level = {
+        width,
+        height,
+        grid,
+        playerX: playerIdx % width,
+        playerY: Math.floor(playerIdx / width),
+        overlays,
+        entities,
+        teleporterPairs,
+        keyDoorPairs,
+        switchPairs,
+        boxIceEnabled: /^(yes|true|1)$/i.test(meta.boxice || ''),
+        pullEnabled: /^(yes|true|1)$/i.test(meta.pull || '')
+    };
+    if (meta.title || meta.caption) level.title = meta.title || meta.caption;
+    return level;
+}
+
+// Turn floor the player can never reach (the space around a classic board's
+// outline, ragged line ends) into wall so it renders as outside
+function wallOffOutside(grid, overlays, width, height, playerIdx, teleporterPairs) {
+    const partner = new Map();
+    for (const [a, b] of teleporterPairs) {
+        partner.set(a, b);
+        partner.set(b, a);
+    }
+
+    const inside = new Set([playerIdx]);
+    const queue = [playerIdx];
+    for (let head = 0; head < queue.length; head++) {
+        const cur = queue[head];
+        const x = cur % width;
+        const y = Math.floor(cur / width);
+        const next = [];
+        if (x > 0) next.push(cur - 1);
+        if (x < width - 1) next.push(cur + 1);
+        if (y > 0) next.push(cur - width);
+        if (y < height - 1) next.push(cur + width);
+        if (partner.has(cur)) next.push(partner.get(cur));
+
+        for (const n of next) {
+            if (inside.has(n) || grid[n] === TILES.WALL) continue;
+            inside.add(n);
+            queue.push(n);
+        }
+    }
+
+    for (let i = 0; i < grid.length; i++) {
+        if (!inside.has(i) && grid[i] === TILES.FLOOR && overlays[i] === 0) {
+            grid[i] = TILES.WALL;
+        }
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Headless generation checks (Node).
+ *
+ *   node tools/check.js
+ *
+ * Runs each check below and exits non-zero if any fails. Checks cover
+ * behavior that can regress silently: a mechanic a genome asks for that
+ * verification keeps dropping from its levels, or an export that reads back
+ * as a different level.
+ */
+
+import assert from 'node:assert/strict';
+import { Genome } from '../shared/genome.js';
+import { GENE_REGISTRY } from '../shared/gene-registry.js';
+import { createRng } from '../shared/random.js';
+import { TILES } from '../shared/tiles.js';
+import { levelToXSB, parseXSB } from '../shared/xsb.js';
+import { solve } from '../shared/solver.js';
+
+// Every mechanic's on/off gene off, so a check turns on only what it's about
+const NO_MECHANICS = Object.fromEntries(
+    GENE_REGISTRY.filter(def => def.mechanic && def.type === 'binary').map(def => [def.name, 0])
+);
+
+const CHECKS = [
+    {
+        name: 'switch genomes yield solvable pressure plate levels',
+        run() {
+            // Plate levels verification can't solve within budget lose their
+            // plates, which on larger grids is a fair share of them
+            for (const gridSize of [9, 10, 14, 20]) {
+                let withPlates = 0;
+                for (let seed = 1; seed <= 3; seed++) {
+                    const genome = new Genome({ ...Genome.randomGenes(3, createRng(seed)), ...NO_MECHANICS, gridSize, switchEnabled: 1, switchCount: 1 });
+                    const level = genome.generateLevel(seed);
+                    const where = `${gridSize}x${gridSize}, seed ${seed}`;
+                    if (gridSize <= 10) assert.ok(level.overlays.includes(TILES.SWITCH), `no plate at ${where}`);
+                    if (!level.overlays.includes(TILES.SWITCH)) continue;
+                    withPlates++;
+                    assert.ok(level.overlays.includes(TILES.BRIDGE), `no bridge at ${where}`);
+                    assert.ok('Pressure plates' in genome.describe(level), `plates left out of describe at ${where}`);
+                    assertSolvable(level, where);
+                }
+                assert.ok(withPlates > 0, `no plates in any ${gridSize}x${gridSize} level`);
+            }
+        }
+    },
+    {
+        name: 'switch levels the search can\'t finish aren\'t shipped with their plates',
+        run() {
+            // Decorates a plate with no box to spare, which the search can't
+            // rule out within budget
+            const genome = new Genome({ ...Genome.randomGenes(3, createRng(48)), ...NO_MECHANICS, gridSize: 9, switchEnabled: 1, switchCount: 1 });
+            const level = genome.generateLevel(3);
+            if (level.overlays.includes(TILES.SWITCH)) assertSolvable(level, '9x9, seed 3');
+        }
+    },
+    {
+        name: 'XSB round trip keeps overlays under the player, boxes and targets',
+        run() {
+            const level = parseXSB([
+                '##########',
+                '#@ $ $ ..#',
+                '#        #',
+                '##########'
+            ].join('\n'));
+            const at = (x, y) => y * level.width + x;
+            level.overlays[at(3, 1)] = TILES.EXIT;
+            level.overlays[at(5, 1)] = TILES.CRUMBLE;
+            level.overlays[at(1, 1)] = TILES.TELEPORTER;
+            level.overlays[at(2, 2)] = TILES.TELEPORTER;
+            level.teleporterPairs = [[at(1, 1), at(2, 2)]];
+            level.overlays[at(7, 1)] = TILES.KEY;
+            level.overlays[at(5, 2)] = TILES.DOOR;
+            level.keyDoorPairs = [{ keyIdx: at(7, 1), doorIdx: at(5, 2), colorIndex: 0 }];
+            level.overlays[at(8, 1)] = TILES.SWITCH;
+            level.overlays[at(7, 2)] = TILES.BRIDGE;
+            level.switchPairs = [{ switchIdx: at(8, 1), bridgeIdx: at(7, 2), colorIndex: 0 }];
+
+            const text = levelToXSB(level);
+            const back = parseXSB(text);
+            for (const field of ['grid', 'overlays', 'teleporterPairs', 'keyDoorPairs', 'switchPairs']) {
+                assert.deepEqual(back[field], level[field], `${field} changed by the round trip:\n${text}`);
+            }
+            assert.equal(levelToXSB(back), text);
+        }
+    }
+];
+
+// Any solution found settles it; the search is greedy to find one sooner
+function assertSolvable(level, where) {
+    const result = solve(level, { boxIceEnabled: !!level.boxIceEnabled, pullEnabled: !!level.pullEnabled, maxStates: 100000, greedy: true });
+    assert.ok(result.solvable, `unsolvable level (${result.reason}) at ${where}`);
+}
+
+// Verification logs every retry; keep the report readable
+const log = console.log;
+console.log = () => {};
+
+let failed = 0;
+for (const check of CHECKS) {
+    try {
+        check.run();
+        log(`ok   ${check.name}`);
+    } catch (err) {
+        failed++;
+        log(`FAIL ${check.name}\n     ${err.message}`);
+    }
+}
+log(`${CHECKS.length - failed}/${CHECKS.length} checks passed`);
+if (failed > 0) process.exitCode = 1;
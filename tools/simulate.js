@@ -0,0 +1,203 @@
+/**
+ * Headless evolution runner (Node).
+ *
+ *   node tools/simulate.js --player large-grids --generations 30 --out large.json
+ *   node tools/simulate.js --islands mazes,caves --migrate-every 3 --migration-rate 0.2
+ *   node tools/simulate.js --list
+ *
+ * Options:
+ *   --player <name>      Virtual player from shared/virtual-players.js (required
+ *                        unless --islands is given)
+ *   --islands <a,b,...>  Island model: one population per listed player, named after it
+ *   --migrate-every <n>  Generations between island migrations (default 3, 0 = never)
+ *   --migration-rate <r> Share of each island copied to the next per migration (default 0.2)
+ *   --generations <n>    Generations to evolve (default 20)
+ *   --tier <1-3>         Gene tier unlocked for the run (default 3)
+ *   --mode <mode>        'tournament' (game loop, default) or 'fitness' (Population.evolve)
+ *   --speciation         Cluster genomes into species with shared fitness
+ *   --crossover <mode>   'gene' (each gene from either parent, default) or 'layer'
+ *                        (each gene layer whole from one parent)
+ *   --out <file>         Output JSON path (default simulation-<player>.json)
+ *
+ * Output matches the experiment exports in docs/: experimentName, population,
+ * generationHistory (one getStats() snapshot per generation, Gen 0 included).
+ * Island runs write islands: [{ name, population, generationHistory }] and the
+ * migration log instead.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { VIRTUAL_PLAYERS } from '../shared/virtual-players.js';
+import { runSimulation, runIslands } from '../shared/simulation.js';
+import { DEFAULT_MIGRATION_INTERVAL, DEFAULT_MIGRATION_RATE } from '../shared/islands.js';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function listPlayers() {
+    console.log('Virtual players:');
+    for (const [name, player] of Object.entries(VIRTUAL_PLAYERS)) {
+        console.log(`  ${name.padEnd(16)} ${player.description}`);
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.list) {
+        listPlayers();
+        return;
+    }
+
+    if (args.islands) {
+        runIslandExperiment(args);
+        return;
+    }
+
+    const player = VIRTUAL_PLAYERS[args.player];
+    if (!player) {
+        console.error(args.player ? `Unknown player: ${args.player}` : 'Missing --player');
+        listPlayers();
+        process.exitCode = 1;
+        return;
+    }
+
+    const mode = parseMode(args);
+    if (!mode) return;
+    const crossoverMode = parseCrossover(args);
+    if (!crossoverMode) return;
+
+    const generations = parseInt(args.generations ?? 20, 10);
+    const tier = parseInt(args.tier ?? 3, 10);
+    const out = args.out || `simulation-${args.player}.json`;
+
+    // Generation logs from the genome/solver are noise here
+    const log = console.log;
+    console.log = () => {};
+
+    const { population, generationHistory } = runSimulation(player, {
+        generations,
+        tier,
+        mode,
+        speciation: !!args.speciation,
+        crossoverMode,
+        onGeneration: (entry, pop) => {
+            const a = entry.averages;
+            const species = pop.speciation ? `, ${pop.species.length} species` : '';
+            log(`Gen ${entry.generation}: grid ${a.gridSize}, boxes ${a.boxCount}, complexity ${a.complexity}, walls ${a.wallDensity}${species}`);
+        }
+    });
+
+    console.log = log;
+
+    writeFileSync(out, JSON.stringify({
+        experimentName: `${args.player} (${mode})`,
+        player: args.player,
+        mode,
+        tier,
+        population: population.toJSON(),
+        generationHistory,
+        savedDate: new Date().toISOString(),
+        currentGeneration: population.generation
+    }, null, 2));
+
+    console.log(`Wrote ${generationHistory.length} generations to ${out}`);
+}
+
+function parseMode(args) {
+    const mode = args.mode || 'tournament';
+    if (mode !== 'tournament' && mode !== 'fitness') {
+        console.error(`Unknown mode: ${mode} (expected tournament or fitness)`);
+        process.exitCode = 1;
+        return null;
+    }
+    return mode;
+}
+
+function parseCrossover(args) {
+    const mode = args.crossover || 'gene';
+    if (mode !== 'gene' && mode !== 'layer') {
+        console.error(`Unknown crossover: ${mode} (expected gene or layer)`);
+        process.exitCode = 1;
+        return null;
+    }
+    return mode;
+}
+
+function runIslandExperiment(args) {
+    const names = String(args.islands).split(',').filter(Boolean);
+    const unknown = names.find(name => !VIRTUAL_PLAYERS[name]);
+    if (names.length < 2 || unknown) {
+        console.error(unknown ? `Unknown player: ${unknown}` : '--islands needs at least two players');
+        listPlayers();
+        process.exitCode = 1;
+        return;
+    }
+
+    const mode = parseMode(args);
+    if (!mode) return;
+    const crossoverMode = parseCrossover(args);
+    if (!crossoverMode) return;
+
+    const generations = parseInt(args.generations ?? 20, 10);
+    const tier = parseInt(args.tier ?? 3, 10);
+    const migrationInterval = parseInt(args['migrate-every'] ?? DEFAULT_MIGRATION_INTERVAL, 10);
+    const migrationRate = parseFloat(args['migration-rate'] ?? DEFAULT_MIGRATION_RATE);
+    const out = args.out || `simulation-islands-${names.join('-')}.json`;
+
+    const log = console.log;
+    console.log = () => {};
+
+    const { archipelago, generationHistory } = runIslands(
+        names.map(name => ({ name, player: VIRTUAL_PLAYERS[name] })),
+        {
+            generations,
+            tier,
+            mode,
+            speciation: !!args.speciation,
+            crossoverMode,
+            migrationInterval,
+            migrationRate,
+            onGeneration: (entry, pop, island, migrations) => {
+                const a = entry.averages;
+                const s = entry.styleWeights;
+                const arrivals = migrations.length > 0 ? `, ${migrations.map(m => `+${m.names.length} from ${m.from}`).join(', ')}` : '';
+                log(`[${island}] Gen ${entry.generation}: grid ${a.gridSize}, walls ${a.wallDensity}, maze ${s.maze}%, caves ${s.caves}%${arrivals}`);
+            }
+        }
+    );
+
+    console.log = log;
+
+    writeFileSync(out, JSON.stringify({
+        experimentName: `islands: ${names.join(' + ')} (${mode})`,
+        mode,
+        tier,
+        migrationInterval,
+        migrationRate,
+        islands: archipelago.islands.map(({ name, population }) => ({
+            name,
+            player: name,
+            population: population.toJSON(),
+            generationHistory: generationHistory[name]
+        })),
+        migrations: archipelago.migrations,
+        savedDate: new Date().toISOString()
+    }, null, 2));
+
+    console.log(`Wrote ${names.length} islands x ${generations + 1} generations to ${out}`);
+}
+
+main();